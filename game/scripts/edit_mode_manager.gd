@@ -186,9 +186,6 @@ var _last_ws_state: bool = false
 var _connection_check_timer: float = 0.0
 const CONNECTION_CHECK_INTERVAL: float = 0.5  # Check every 500ms
 
-# Admin key for saving default (can be overridden via environment or config)
-var admin_key: String = "hackterm-admin-2024"
-
 # Auto-save state
 var _scene_dirty: bool = false
 var _scene_debounce_timer: Timer = null
@@ -560,7 +557,6 @@ func _save_to_session_http() -> void:
 
 	var config = get_scene_config()
 	var payload = {
-		"token": OnlineManager.session_token,
 		"config_name": "default",
 		"config": config
 	}
@@ -7034,7 +7030,6 @@ func _confirm_save_default() -> void:
 		var config = get_scene_config()
 		OnlineManager._ws_send({
 			"type": "scene_save_default",
-			"admin_key": admin_key,
 			"config": config
 		})
 		_set_save_status("saving", "Saving as default...")
@@ -7056,11 +7051,13 @@ func _save_to_default() -> void:
 
 	var config = get_scene_config()
 	var body = JSON.stringify({
-		"admin_key": admin_key,
 		"config": config
 	})
 
-	var headers = ["Content-Type: application/json"]
+	var headers = [
+		"Content-Type: application/json",
+		"X-Session-Token: " + OnlineManager.session_token
+	]
 
 	var url = OnlineManager.server_url + "/scene/save-default"
 	var error = _http_save_default.request(url, headers, HTTPClient.METHOD_POST, body)
@@ -7086,7 +7083,7 @@ func _load_from_session() -> void:
 	_set_save_status("saving", "Loading configuration...")
 
 	var headers = ["X-Session-Token: " + OnlineManager.session_token]
-	var url = OnlineManager.server_url + "/scene/load/" + OnlineManager.session_token
+	var url = OnlineManager.server_url + "/scene/load"
 
 	var error = _http_load_config.request(url, headers, HTTPClient.METHOD_GET)
 
@@ -7157,8 +7154,8 @@ func _on_save_default_completed(result: int, response_code: int, _headers: Packe
 		_set_save_status("success", "Default config saved for all players!")
 		print("[EditMode] Default configuration saved successfully")
 	elif response_code == 403:
-		_set_save_status("error", "Invalid admin key")
-		print("[EditMode] Save to default failed: invalid admin key")
+		_set_save_status("error", "Admin role required")
+		print("[EditMode] Save to default failed: not an admin")
 	else:
 		var error_msg = data.get("message", "Save failed")
 		_set_save_status("error", error_msg)
@@ -19,6 +19,8 @@ signal websocket_disconnected()
 signal versions_received(path: String, current: Dictionary, versions: Array)
 signal version_restored(path: String, version: int)
 signal scene_config_received(msg: Dictionary)  # For edit mode auto-save
+signal dial_result(answer: Dictionary)  # What answered a dialed number
+signal scan_event(msg: Dictionary)  # Server-side war dial scan progress
 
 # Server configuration
 const DEFAULT_SERVER_URL = "http://localhost:3000/api"
@@ -210,8 +212,22 @@ func _handle_ws_message(text: String) -> void:
 		"pong":
 			pass  # Connection alive
 
+		"handle_changed":
+			# Handle was changed (possibly from another device)
+			player_handle = msg.get("handle", player_handle)
+			_save_local_data()
+			print("[OnlineManager] Handle changed to %s" % player_handle)
+
+		"phone_changed":
+			# Phone number was changed (possibly from another device)
+			player_phone = msg.get("phone_number", player_phone)
+			_save_local_data()
+			print("[OnlineManager] Phone number changed to %s" % player_phone)
+
 		"error":
 			print("[OnlineManager] WebSocket error: %s - %s" % [msg.get("code", ""), msg.get("message", "")])
+			if msg.get("request", "") == "start_scan":
+				scan_event.emit(msg)
 
 		"file_changed":
 			# Remote file change from another device
@@ -264,6 +280,14 @@ func _handle_ws_message(text: String) -> void:
 			# Scene configuration messages - forward to edit mode
 			scene_config_received.emit(msg)
 
+		"dial_result":
+			# The phone network's answer to dial_number()
+			dial_result.emit(msg)
+
+		"scan_started", "number_result", "scan_status", "scan_complete", "scan_list_response":
+			# Server-side scan jobs - forward to the war dialer
+			scan_event.emit(msg)
+
 
 func disconnect_websocket() -> void:
 	if _websocket != null:
@@ -335,6 +359,40 @@ func request_sync(since_timestamp: int = 0) -> void:
 		})
 
 
+func dial_number(number: String) -> bool:
+	"""Ask the phone network what answers a number (reply via dial_result)"""
+	if not _ws_authenticated:
+		return false
+	_ws_send({
+		"type": "dial",
+		"number": number
+	})
+	return true
+
+
+func start_scan(area_code: String, prefix: String, start_num: int, end_num: int) -> bool:
+	"""Start a war dial scan on the server (progress via scan_event)"""
+	if not _ws_authenticated:
+		return false
+	_ws_send({
+		"type": "start_scan",
+		"area_code": area_code,
+		"prefix": prefix,
+		"start": start_num,
+		"end": end_num
+	})
+	return true
+
+
+func control_scan(job_id: int, action: String) -> void:
+	"""Pause, resume or cancel a server-side scan ("pause", "resume", "cancel")"""
+	if _ws_authenticated:
+		_ws_send({
+			"type": "%s_scan" % action,
+			"job_id": job_id
+		})
+
+
 func get_file_versions(path: String) -> void:
 	"""Get version history for a file"""
 	if not is_online or session_token.is_empty():
@@ -348,7 +406,7 @@ func get_file_versions(path: String) -> void:
 	# URL encode the path
 	var encoded_path = path.uri_encode()
 	var error = _http_request.request(
-		server_url + "/versions/" + session_token + "/" + encoded_path,
+		server_url + "/versions/" + encoded_path,
 		headers,
 		HTTPClient.METHOD_GET
 	)
@@ -370,7 +428,7 @@ func restore_file_version(path: String, version: int) -> void:
 	var headers = ["Content-Type: application/json", "X-Session-Token: " + session_token]
 	var encoded_path = path.uri_encode()
 	var error = _http_request.request(
-		server_url + "/versions/" + session_token + "/" + encoded_path + "/restore/" + str(version),
+		server_url + "/versions/" + encoded_path + "/restore/" + str(version),
 		headers,
 		HTTPClient.METHOD_POST
 	)
@@ -399,7 +457,7 @@ func _http_create_file(path: String, content: String, file_type: String, program
 		data["metadata"] = metadata
 	var body = JSON.stringify(data)
 	var headers = ["Content-Type: application/json", "X-Session-Token: " + session_token]
-	_http_request.request(server_url + "/files/" + session_token, headers, HTTPClient.METHOD_POST, body)
+	_http_request.request(server_url + "/files", headers, HTTPClient.METHOD_POST, body)
 
 
 func _http_delete_file(path: String) -> void:
@@ -411,7 +469,7 @@ func _http_delete_file(path: String) -> void:
 	_current_request = "delete_file"
 	var headers = ["X-Session-Token: " + session_token]
 	var encoded_path = path.uri_encode()
-	_http_request.request(server_url + "/files/" + session_token + "/" + encoded_path, headers, HTTPClient.METHOD_DELETE)
+	_http_request.request(server_url + "/files/" + encoded_path, headers, HTTPClient.METHOD_DELETE)
 
 
 func _http_create_dir(path: String) -> void:
@@ -423,7 +481,7 @@ func _http_create_dir(path: String) -> void:
 	_current_request = "create_dir"
 	var body = JSON.stringify({"path": path})
 	var headers = ["Content-Type: application/json", "X-Session-Token: " + session_token]
-	_http_request.request(server_url + "/dirs/" + session_token, headers, HTTPClient.METHOD_POST, body)
+	_http_request.request(server_url + "/dirs", headers, HTTPClient.METHOD_POST, body)
 
 
 func _http_remove_dir(path: String) -> void:
@@ -435,7 +493,7 @@ func _http_remove_dir(path: String) -> void:
 	_current_request = "remove_dir"
 	var headers = ["X-Session-Token: " + session_token]
 	var encoded_path = path.uri_encode()
-	_http_request.request(server_url + "/dirs/" + session_token + "/" + encoded_path, headers, HTTPClient.METHOD_DELETE)
+	_http_request.request(server_url + "/dirs/" + encoded_path, headers, HTTPClient.METHOD_DELETE)
 
 
 # ===== LOCAL DATA PERSISTENCE =====
@@ -573,8 +631,8 @@ func check_email_available(email: String) -> void:
 
 # ===== REGISTRATION =====
 
-func register_player(handle: String, email: String = "") -> void:
-	"""Register a new player with the server"""
+func register_player(handle: String, email: String = "", area_code: String = "") -> void:
+	"""Register a new player with the server (no email = guest account, no area code = any)"""
 	if not _current_request.is_empty():
 		print("[OnlineManager] Request already in progress")
 		return
@@ -585,13 +643,20 @@ func register_player(handle: String, email: String = "") -> void:
 		return
 
 	_current_request = "register"
-	var body = JSON.stringify({
+	var endpoint = "/register"
+	var payload = {
 		"handle": handle,
-		"email": email,
 		"browser_id": _get_browser_id()
-	})
+	}
+	if email.is_empty():
+		endpoint = "/register/guest"
+	else:
+		payload["email"] = email
+	if not area_code.is_empty():
+		payload["area_code"] = area_code
+	var body = JSON.stringify(payload)
 	var headers = ["Content-Type: application/json"]
-	var error = _http_request.request(server_url + "/register", headers, HTTPClient.METHOD_POST, body)
+	var error = _http_request.request(server_url + endpoint, headers, HTTPClient.METHOD_POST, body)
 
 	if error != OK:
 		print("[OnlineManager] Failed to send registration request: ", error)
@@ -601,17 +666,20 @@ func register_player(handle: String, email: String = "") -> void:
 
 # ===== RECOVERY =====
 
-func recover_session(code: String) -> void:
-	"""Recover a session using recovery code"""
+func recover_session(code: String, otp: String = "") -> void:
+	"""Recover a session using recovery code (otp: two-factor or backup code, if enabled)"""
 	if not _current_request.is_empty():
 		print("[OnlineManager] Request already in progress")
 		return
 
 	_current_request = "recover"
-	var body = JSON.stringify({
+	var payload = {
 		"recovery_code": code.to_upper(),
 		"browser_id": _get_browser_id()
-	})
+	}
+	if not otp.is_empty():
+		payload["otp"] = otp
+	var body = JSON.stringify(payload)
 	var headers = ["Content-Type: application/json"]
 	var error = _http_request.request(server_url + "/recover", headers, HTTPClient.METHOD_POST, body)
 
@@ -642,7 +710,7 @@ func sync_filesystem(filesystem: Dictionary) -> void:
 		"X-Session-Token: " + session_token
 	]
 	var error = _http_request.request(
-		server_url + "/filesystem/" + session_token,
+		server_url + "/filesystem",
 		headers,
 		HTTPClient.METHOD_PUT,
 		body
@@ -665,7 +733,7 @@ func fetch_filesystem() -> void:
 	_current_request = "fetch"
 	var headers = ["X-Session-Token: " + session_token]
 	var error = _http_request.request(
-		server_url + "/filesystem/" + session_token,
+		server_url + "/filesystem",
 		headers,
 		HTTPClient.METHOD_GET
 	)
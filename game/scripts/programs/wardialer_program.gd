@@ -237,7 +237,10 @@ func _on_number_result(number: String, result: String) -> void:
 		"MODEM":
 			result_str = "[MODEM DETECTED!] ***"
 			# Add modem to discovered modems log
-			var system_id = ""
+			# System the phone network says answered ("" picks one at random offline)
+			var system_id = war_dialer.last_answer.get("system_id", "")
+			if war_dialer.last_answer.get("result", "") == "PLAYER":
+				system_id = "player:%s" % war_dialer.last_answer.get("handle", "")
 			if force_next_ai_host:
 				system_id = "ai_host"
 				force_next_ai_host = false
@@ -387,7 +387,8 @@ func _first_boot_register() -> void:
 		return
 
 	# Get email
-	print_line("Enter email (for recovery code).")
+	print_line("Enter email (for account confirmation).")
+	print_line("Leave blank to play as a guest.")
 
 	is_ready = true
 	_display_base = _output_text + "Email: "
@@ -398,36 +399,37 @@ func _first_boot_register() -> void:
 	is_ready = false
 	email = email.strip_edges()
 
-	# Basic email validation
-	if not "@" in email or not "." in email or email.length() < 5:
+	# Basic email validation (blank = guest, no checks needed)
+	if not email.is_empty() and (not "@" in email or not "." in email or email.length() < 5):
 		print_line("ERROR: Invalid email address.")
 		await get_tree().create_timer(1.0).timeout
 		await _first_boot_register()
 		return
 
 	# Check if email is available
-	_email_check_received = false
-	_email_check_available = false
-	OnlineManager.email_check_complete.connect(_on_email_check_complete, CONNECT_ONE_SHOT)
-	OnlineManager.check_email_available(email)
+	if not email.is_empty():
+		if not await _check_registration_email(email):
+			return
 
-	var email_check_start = Time.get_ticks_msec()
-	while not _email_check_received and (Time.get_ticks_msec() - email_check_start) < 5000:
-		await get_tree().create_timer(0.1).timeout
+	# Get area code (the server checks it is open for registration)
+	print_line("Area code for your phone number.")
+	print_line("Leave blank for any.")
 
-	if not _email_check_received:
-		print_line("ERROR: Network timeout.")
+	is_ready = true
+	_display_base = _output_text + "Area code: "
+	current_input = ""
+	_refresh_display()
+
+	var area_code = await _wait_for_registration_input()
+	is_ready = false
+	area_code = area_code.strip_edges()
+
+	if not area_code.is_empty() and (area_code.length() != 3 or not area_code.is_valid_int()):
+		print_line("ERROR: Area code must be 3 digits.")
 		await get_tree().create_timer(1.0).timeout
 		await _first_boot_register()
 		return
 
-	if not _email_check_available:
-		print_line("ERROR: Email already registered.")
-		print_line("Use [C] Recover to restore account.")
-		await get_tree().create_timer(1.5).timeout
-		await _first_boot_registration()
-		return
-
 	# Try to register with server
 	print_line("Registering...")
 
@@ -435,7 +437,7 @@ func _first_boot_register() -> void:
 	_registration_success = false
 	_registration_data = {}
 	OnlineManager.registration_complete.connect(_on_registration_complete, CONNECT_ONE_SHOT)
-	OnlineManager.register_player(handle, email)
+	OnlineManager.register_player(handle, email, area_code)
 
 	# Wait for response with timeout
 	var timeout = 10.0
@@ -451,8 +453,17 @@ func _first_boot_register() -> void:
 		print_line("Phone:  " + OnlineManager.player_phone)
 		print_line("Code:   " + OnlineManager.recovery_code)
 		print_line("========================================")
-		print_line("Recovery code emailed to: " + email)
+		print_line("WRITE THIS CODE DOWN - it is not emailed.")
 		print_line("Use SESSION RECOVER <code> to restore.")
+		print_line("")
+		if _registration_data.get("guest", false):
+			print_line("GUEST ACCOUNT: storage is limited and the")
+			print_line("account is removed after " + str(_registration_data.get("idle_expiry_days", 7)) + " days idle.")
+			print_line("Add an email later to keep it for good.")
+		else:
+			print_line("Confirmation link sent to: " + email)
+			print_line("Until you confirm, storage is limited and the")
+			print_line("account is removed at " + str(_registration_data.get("verify_by", "")) + " UTC.")
 	elif _registration_received and not _registration_success:
 		var error = _registration_data.get("error", "UNKNOWN")
 		if error == "HANDLE_TAKEN":
@@ -471,6 +482,33 @@ func _first_boot_register() -> void:
 		await _first_boot_registration()
 
 
+func _check_registration_email(email: String) -> bool:
+	"""Check the email is still free; on failure restarts registration and returns false"""
+	_email_check_received = false
+	_email_check_available = false
+	OnlineManager.email_check_complete.connect(_on_email_check_complete, CONNECT_ONE_SHOT)
+	OnlineManager.check_email_available(email)
+
+	var email_check_start = Time.get_ticks_msec()
+	while not _email_check_received and (Time.get_ticks_msec() - email_check_start) < 5000:
+		await get_tree().create_timer(0.1).timeout
+
+	if not _email_check_received:
+		print_line("ERROR: Network timeout.")
+		await get_tree().create_timer(1.0).timeout
+		await _first_boot_register()
+		return false
+
+	if not _email_check_available:
+		print_line("ERROR: Email already registered.")
+		print_line("Use [C] Recover to restore account.")
+		await get_tree().create_timer(1.5).timeout
+		await _first_boot_registration()
+		return false
+
+	return true
+
+
 func _on_handle_check_complete(available: bool, data: Dictionary) -> void:
 	"""Signal handler for handle availability check"""
 	_handle_check_received = true
@@ -504,7 +542,7 @@ func _first_boot_recovery() -> void:
 
 	print_line("")
 	print_line("Enter your recovery code.")
-	print_line("Example: SHADOW-7X9K-M2P1")
+	print_line("Example: SHADOW-SP5V-K68HF")
 	print_line("")
 
 	# Enable input for code
@@ -525,28 +563,53 @@ func _first_boot_recovery() -> void:
 		await _first_boot_registration()
 		return
 
-	print_line("")
-	print_line("Contacting Shadow Network...")
-
-	OnlineManager.recover_session(code)
-
-	# Wait for response with timeout
-	var timeout = 10.0
-	var start_time = Time.get_ticks_msec()
+	var otp = ""
 	var result_received = false
 	var result_success = false
 	var result_data = {}
 
-	OnlineManager.recovery_complete.connect(
-		func(success: bool, data: Dictionary):
-			result_received = true
-			result_success = success
-			result_data = data,
-		CONNECT_ONE_SHOT
-	)
+	while true:
+		print_line("")
+		print_line("Contacting Shadow Network...")
 
-	while not result_received and (Time.get_ticks_msec() - start_time) < timeout * 1000:
-		await get_tree().create_timer(0.1).timeout
+		OnlineManager.recover_session(code, otp)
+
+		# Wait for response with timeout
+		var timeout = 10.0
+		var start_time = Time.get_ticks_msec()
+		result_received = false
+		result_success = false
+		result_data = {}
+
+		OnlineManager.recovery_complete.connect(
+			func(success: bool, data: Dictionary):
+				result_received = true
+				result_success = success
+				result_data = data,
+			CONNECT_ONE_SHOT
+		)
+
+		while not result_received and (Time.get_ticks_msec() - start_time) < timeout * 1000:
+			await get_tree().create_timer(0.1).timeout
+
+		# Two-factor accounts: ask for the authenticator (or backup) code
+		if not result_received or result_success or not result_data.get("two_factor_required", false):
+			break
+
+		print_line("")
+		if result_data.get("error", "") == "INVALID_OTP":
+			print_line("ERROR: Two-factor code rejected.")
+		print_line("Enter your 2FA code (or a backup code).")
+		is_ready = true
+		_display_base = _output_text + "2FA code: "
+		current_input = ""
+		_refresh_display()
+
+		otp = await _wait_for_registration_input()
+		is_ready = false
+		otp = otp.strip_edges()
+		if otp.is_empty():
+			break
 
 	if result_received and result_success:
 		print_line("")
@@ -564,6 +627,8 @@ func _first_boot_recovery() -> void:
 		print_line("")
 		if error == "INVALID_CODE":
 			print_line("ERROR: Recovery code not found.")
+		elif error == "OTP_REQUIRED":
+			print_line("ERROR: Two-factor code required.")
 		else:
 			print_line("ERROR: " + result_data.get("message", "Recovery failed"))
 		print_line("")
@@ -1403,16 +1468,19 @@ func _session_recover(args: Array) -> void:
 	"""Recover player identity using recovery code"""
 	if args.size() < 2:
 		print_line("")
-		print_line("Usage: SESSION RECOVER <recovery-code>")
-		print_line("Example: SESSION RECOVER SHADOW-7X9K-M2P1")
+		print_line("Usage: SESSION RECOVER <recovery-code> [2fa-code]")
+		print_line("Example: SESSION RECOVER SHADOW-SP5V-K68HF")
+		print_line("Accounts with two-factor add the authenticator")
+		print_line("code (or a backup code) after the recovery code.")
 		print_line("")
 		return
 
 	var code = args[1].to_upper()
+	var otp = args[2] if args.size() > 2 else ""
 	print_line("")
 	print_line("Contacting Shadow Network...")
 
-	OnlineManager.recover_session(code)
+	OnlineManager.recover_session(code, otp)
 
 	# Wait for response with timeout
 	var timeout = 5.0
@@ -1447,6 +1515,11 @@ func _session_recover(args: Array) -> void:
 		var error = result_data.get("error", "UNKNOWN")
 		if error == "INVALID_CODE":
 			print_line("ERROR: Recovery code not found.")
+		elif error == "OTP_REQUIRED":
+			print_line("Two-factor is enabled on this account.")
+			print_line("Usage: SESSION RECOVER <recovery-code> <2fa-code>")
+		elif error == "INVALID_OTP":
+			print_line("ERROR: Two-factor code rejected.")
 		else:
 			print_line("ERROR: " + result_data.get("message", "Recovery failed"))
 		print_line("")
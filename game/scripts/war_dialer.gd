@@ -35,7 +35,10 @@ var scan_results: Dictionary = {
 # DTMF generator
 var dtmf: DTMFGenerator
 
-# Result probabilities (for simulation)
+# Server results that mean a carrier answered
+const CARRIER_RESULTS = ["PLAYER", "HOST", "BBS"]
+
+# Result probabilities (offline simulation only - online, the server decides)
 const RESULT_WEIGHTS = {
 	"NO_ANSWER": 45,
 	"VOICE": 30,
@@ -47,6 +50,15 @@ const RESULT_WEIGHTS = {
 # Debug: force next call to be a modem
 var force_next_modem: bool = false
 
+# Phone network answer for the number being dialed ({} until it arrives)
+var _server_answer: Dictionary = {}
+
+# Answer behind the last number_result (system_id, handle...; {} if simulated)
+var last_answer: Dictionary = {}
+
+# Scan job running on the server (0 = dialing locally, -1 = waiting for the job)
+var server_job_id: int = 0
+
 
 func _ready() -> void:
 	# Create DTMF generator
@@ -55,6 +67,9 @@ func _ready() -> void:
 	
 	# Connect DTMF signals
 	dtmf.dialing_complete.connect(_on_dialing_complete)
+	
+	OnlineManager.dial_result.connect(_on_dial_result)
+	OnlineManager.scan_event.connect(_on_scan_event)
 
 
 ## Start a war dialing scan
@@ -85,12 +100,21 @@ func start_scan(p_area_code: String, p_prefix: String, p_start: int, p_end: int)
 	var end_num = _format_number(end_suffix)
 	emit_signal("scan_started", start_num, end_num)
 	
+	# Online, the server dials (and keeps dialing if we disconnect)
+	if not force_next_modem and OnlineManager.start_scan(area_code, prefix, start_suffix, end_suffix):
+		server_job_id = -1
+		return
+	
 	# Start dialing
+	server_job_id = 0
 	_dial_next()
 
 
 ## Stop the current scan
 func stop_scan() -> void:
+	if server_job_id > 0:
+		OnlineManager.control_scan(server_job_id, "cancel")
+	server_job_id = 0
 	is_scanning = false
 	is_paused = false
 	dtmf.stop_dialing()
@@ -100,6 +124,9 @@ func stop_scan() -> void:
 ## Pause/resume the scan
 func toggle_pause() -> void:
 	is_paused = !is_paused
+	if server_job_id > 0:
+		OnlineManager.control_scan(server_job_id, "pause" if is_paused else "resume")
+		return
 	if not is_paused and is_scanning:
 		_dial_next()
 
@@ -133,14 +160,103 @@ func _on_dialing_complete(_number: String) -> void:
 	if not is_scanning:
 		return
 	
-	# Simulate waiting for answer
+	var number = _format_number(current_suffix)
+	
+	# Ask the phone network while the line rings
+	_server_answer = {}
+	var asked_server = not force_next_modem and OnlineManager.dial_number(number)
+	
+	# Wait for answer
 	await get_tree().create_timer(ring_wait_time).timeout
 	
-	# Determine result (simulated)
-	var result = _simulate_call_result()
-	var number = _format_number(current_suffix)
+	# Determine result (simulated if offline or the server didn't reply in time)
+	var result = ""
+	last_answer = {}
+	if asked_server and not _server_answer.is_empty():
+		last_answer = _server_answer
+		result = _to_scan_result(last_answer.get("result", "NO_ANSWER"))
+	else:
+		result = _simulate_call_result()
 	
 	# Record result
+	_record_result(number, result)
+	
+	emit_signal("number_result", number, result)
+	
+	# Move to next number
+	current_suffix += 1
+	
+	# Delay before next call
+	await get_tree().create_timer(between_calls_delay).timeout
+	
+	# Dial next
+	_dial_next()
+
+
+## Phone network reply to our dial request
+func _on_dial_result(answer: Dictionary) -> void:
+	if not is_scanning:
+		return
+	# Server normalizes 555-01-23 to 555-0123
+	var dialed = _format_number(current_suffix).replace("-", "")
+	if str(answer.get("number", "")).replace("-", "") == dialed:
+		_server_answer = answer
+
+
+## Progress of a scan job running on the server
+func _on_scan_event(msg: Dictionary) -> void:
+	if not is_scanning or server_job_id == 0:
+		return
+	
+	match msg.get("type", ""):
+		"scan_started":
+			var job = msg.get("job", {})
+			if server_job_id == -1 and job.get("area_code") == area_code and job.get("prefix") == prefix \
+					and int(job.get("start", -1)) == start_suffix and int(job.get("end", -1)) == end_suffix:
+				server_job_id = int(job.get("id", 0))
+		
+		"error":
+			# Server refused the job (one already running...) - dial locally
+			if server_job_id == -1:
+				server_job_id = 0
+				_dial_next()
+		
+		"number_result":
+			if int(msg.get("job_id", 0)) != server_job_id:
+				return
+			var number = msg.get("number", "")
+			last_answer = msg
+			emit_signal("number_dialing", number)
+			_record_result(number, msg.get("result", "NO_ANSWER"))
+			current_suffix = int(number.get_slice("-", 2)) + 1
+			emit_signal("number_result", number, msg.get("result", "NO_ANSWER"))
+		
+		"scan_status":
+			var job = msg.get("job", {})
+			if int(job.get("id", 0)) != server_job_id:
+				return
+			match job.get("status", ""):
+				"paused":
+					is_paused = true
+				"running":
+					is_paused = false
+				"cancelled", "failed":
+					# Cancelled from another device, or the server gave up on it
+					server_job_id = 0
+					is_scanning = false
+					is_paused = false
+					emit_signal("scan_stopped")
+		
+		"scan_complete":
+			if int(msg.get("job_id", 0)) != server_job_id:
+				return
+			server_job_id = 0
+			is_scanning = false
+			emit_signal("scan_complete", scan_results)
+
+
+## Add a result to scan_results
+func _record_result(number: String, result: String) -> void:
 	match result:
 		"MODEM":
 			scan_results["modems"].append(number)
@@ -154,17 +270,15 @@ func _on_dialing_complete(_number: String) -> void:
 			scan_results["no_answer"].append(number)
 	
 	scan_results["total_scanned"] += 1
-	
-	emit_signal("number_result", number, result)
-	
-	# Move to next number
-	current_suffix += 1
-	
-	# Delay before next call
-	await get_tree().create_timer(between_calls_delay).timeout
-	
-	# Dial next
-	_dial_next()
+
+
+## Map a phone network result to a scan result
+func _to_scan_result(server_result: String) -> String:
+	if server_result in CARRIER_RESULTS:
+		return "MODEM"
+	if server_result in RESULT_WEIGHTS:
+		return server_result
+	return "NO_ANSWER"
 
 
 ## Simulate the result of a phone call
@@ -20,6 +20,8 @@ show_help() {
     echo "  multiplayer - Build web + start API server (full stack)"
     echo "  api         - Start only the API server on port 3000"
     echo "  players     - List all registered players"
+    echo "  admin       - Set a player's role: ./run.sh admin <handle> [player|moderator|admin]"
+    echo "  new-season  - Regenerate the phone world: ./run.sh new-season [note]"
     echo "  shell       - Open a shell in the container"
     echo "  clean       - Remove Docker images and builds"
     echo "  help        - Show this help"
@@ -185,9 +187,9 @@ case "${1:-help}" in
         echo "========================================="
         if [ -f "server/db/hackterm.db" ]; then
             docker run --rm -v "$(pwd)/server/db:/db" alpine:latest sh -c \
-                'apk add --quiet sqlite && sqlite3 /db/hackterm.db "SELECT handle, phone_number, recovery_code, created_at FROM players ORDER BY created_at DESC;"' \
-                | while IFS='|' read -r handle phone code created; do
-                    printf "  %-12s  %-10s  %-18s  %s\n" "$handle" "$phone" "$code" "$created"
+                'apk add --quiet sqlite && sqlite3 /db/hackterm.db "SELECT handle, phone_number, email, created_at FROM players ORDER BY created_at DESC;"' \
+                | while IFS='|' read -r handle phone email created; do
+                    printf "  %-12s  %-10s  %-28s  %s\n" "$handle" "$phone" "$email" "$created"
                 done
             echo ""
             total=$(docker run --rm -v "$(pwd)/server/db:/db" alpine:latest sh -c \
@@ -198,6 +200,20 @@ case "${1:-help}" in
         fi
         echo "========================================="
         ;;
+    admin)
+        if [ -z "$2" ]; then
+            echo "Usage: ./run.sh admin <handle> [player|moderator|admin]"
+            exit 1
+        fi
+        docker compose --profile multiplayer exec hackterm-api node scripts/set-role.js "$2" "${3:-admin}"
+        ;;
+    new-season)
+        if [ -n "$2" ]; then
+            docker compose --profile multiplayer exec hackterm-api node scripts/regenerate-world.js --note "$2"
+        else
+            docker compose --profile multiplayer exec hackterm-api node scripts/regenerate-world.js
+        fi
+        ;;
     shell)
         echo "Opening shell in container..."
         setup_display
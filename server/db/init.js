@@ -3,6 +3,9 @@
  */
 
 const { initPhonePool } = require('../utils/phone_pool');
+const { initWorld } = require('../utils/world_directory');
+const { hashSecret } = require('../utils/secret_hash');
+const { seedReservedHandles, useWordMatchForSeededWords } = require('../utils/handles');
 
 /**
  * Check if a column exists in a table
@@ -16,6 +19,63 @@ function columnExists(db, table, column) {
   return info.some(col => col.name === column);
 }
 
+/**
+ * Run a one-off data migration exactly once
+ * @param {Database} db - SQLite database instance
+ * @param {string} name - Unique migration name
+ * @param {Function} migrate - Migration body (runs inside a transaction)
+ */
+function runOnce(db, name, migrate) {
+  const applied = db.prepare('SELECT name FROM schema_migrations WHERE name = ?').get(name);
+  if (applied) return;
+
+  console.log(`  Running migration: ${name}`);
+  db.transaction(() => {
+    migrate();
+    db.prepare('INSERT INTO schema_migrations (name) VALUES (?)').run(name);
+  })();
+}
+
+/**
+ * Replace plaintext session tokens and recovery codes with keyed hashes
+ * @param {Database} db - SQLite database instance
+ */
+function hashStoredSecrets(db) {
+  const players = db.prepare('SELECT id, recovery_code FROM players').all();
+  const updatePlayer = db.prepare('UPDATE players SET recovery_code = ? WHERE id = ?');
+  for (const player of players) {
+    updatePlayer.run(hashSecret(player.recovery_code.toUpperCase()), player.id);
+  }
+
+  const sessions = db.prepare('SELECT id, token FROM sessions').all();
+  const updateSession = db.prepare('UPDATE sessions SET token = ? WHERE id = ?');
+  for (const session of sessions) {
+    updateSession.run(hashSecret(session.token), session.id);
+  }
+
+  // Tokens also leaked into these tables as connection / author markers
+  const active = db.prepare('SELECT id, session_token FROM active_sessions').all();
+  const updateActive = db.prepare('UPDATE active_sessions SET session_token = ? WHERE id = ?');
+  for (const row of active) {
+    updateActive.run(hashSecret(row.session_token), row.id);
+  }
+
+  const authors = db.prepare(`
+    SELECT DISTINCT updated_by_session FROM player_files WHERE updated_by_session IS NOT NULL
+  `).all();
+  const updateAuthor = db.prepare(`
+    UPDATE player_files SET updated_by_session = ? WHERE updated_by_session = ?
+  `);
+  for (const row of authors) {
+    updateAuthor.run(hashSecret(row.updated_by_session), row.updated_by_session);
+  }
+
+  // Pending login codes used an unkeyed hash; make players request new ones
+  db.prepare(`
+    UPDATE email_login_codes SET used_at = datetime('now') WHERE used_at IS NULL
+  `).run();
+}
+
 /**
  * Initialize database schema
  * @param {Database} db - SQLite database instance
@@ -26,6 +86,14 @@ function initDatabase(db) {
   // Enable foreign keys
   db.pragma('foreign_keys = ON');
 
+  // Applied one-off data migrations
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Players table
   db.exec(`
     CREATE TABLE IF NOT EXISTS players (
@@ -44,12 +112,41 @@ function initDatabase(db) {
     db.exec(`ALTER TABLE players ADD COLUMN email TEXT`);
   }
 
+  // Migrate players: add role column if missing ('player', 'moderator', 'admin')
+  if (!columnExists(db, 'players', 'role')) {
+    console.log('  Adding role column to players');
+    db.exec(`ALTER TABLE players ADD COLUMN role TEXT NOT NULL DEFAULT 'player'`);
+  }
+
+  // Migrate players: add moderation columns if missing ('active', 'suspended', 'banned')
+  if (!columnExists(db, 'players', 'status')) {
+    console.log('  Adding status columns to players');
+    db.exec(`ALTER TABLE players ADD COLUMN status TEXT NOT NULL DEFAULT 'active'`);
+    db.exec(`ALTER TABLE players ADD COLUMN suspended_until DATETIME`);
+    db.exec(`ALTER TABLE players ADD COLUMN status_reason TEXT`);
+  }
+
+  // Migrate players: add email verification timestamp (NULL = unverified, limited mode)
+  // Accounts that predate verification are treated as verified
+  if (!columnExists(db, 'players', 'email_verified_at')) {
+    console.log('  Adding email_verified_at column to players');
+    db.exec(`ALTER TABLE players ADD COLUMN email_verified_at DATETIME`);
+    db.exec(`UPDATE players SET email_verified_at = created_at`);
+  }
+
+  // Migrate players: guest flag (no email, limited quota, removed when idle)
+  if (!columnExists(db, 'players', 'is_guest')) {
+    console.log('  Adding is_guest column to players');
+    db.exec(`ALTER TABLE players ADD COLUMN is_guest INTEGER NOT NULL DEFAULT 0`);
+  }
+
   // Create indexes
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_players_handle ON players(handle);
     CREATE INDEX IF NOT EXISTS idx_players_phone ON players(phone_number);
     CREATE INDEX IF NOT EXISTS idx_players_recovery ON players(recovery_code);
     CREATE INDEX IF NOT EXISTS idx_players_email ON players(email);
+    CREATE INDEX IF NOT EXISTS idx_players_last_seen ON players(last_seen);
   `);
 
   // Phone number pool
@@ -61,6 +158,37 @@ function initDatabase(db) {
     )
   `);
 
+  // Migrate phone_pool: released numbers sit in quarantine before reuse
+  if (!columnExists(db, 'phone_pool', 'quarantined_until')) {
+    console.log('  Adding quarantined_until column to phone_pool');
+    db.exec(`ALTER TABLE phone_pool ADD COLUMN quarantined_until DATETIME`);
+  }
+
+  // Migrate phone_pool: numbers are grouped by area code and exchange
+  if (!columnExists(db, 'phone_pool', 'area_code')) {
+    console.log('  Adding area_code and exchange columns to phone_pool');
+    db.exec(`
+      ALTER TABLE phone_pool ADD COLUMN area_code TEXT;
+      ALTER TABLE phone_pool ADD COLUMN exchange TEXT;
+      UPDATE phone_pool SET area_code = substr(number, 1, 3), exchange = substr(number, 5, 2);
+    `);
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_phone_pool_exchange ON phone_pool(area_code, exchange, allocated);
+  `);
+
+  // Numbering plan: what each exchange of 100 numbers is for (see utils/phone_pool.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS phone_exchanges (
+      area_code TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      purpose TEXT NOT NULL CHECK (purpose IN ('players', 'npc', 'service')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (area_code, exchange)
+    )
+  `);
+
   // Player filesystems
   db.exec(`
     CREATE TABLE IF NOT EXISTS player_files (
@@ -130,6 +258,16 @@ function initDatabase(db) {
     )
   `);
 
+  // Migrate sessions: track last activity and token rotation
+  if (!columnExists(db, 'sessions', 'last_used_at')) {
+    console.log('  Adding last_used_at column to sessions');
+    db.exec(`ALTER TABLE sessions ADD COLUMN last_used_at DATETIME`);
+  }
+  if (!columnExists(db, 'sessions', 'replaced_by')) {
+    console.log('  Adding replaced_by column to sessions');
+    db.exec(`ALTER TABLE sessions ADD COLUMN replaced_by INTEGER`);
+  }
+
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
     CREATE INDEX IF NOT EXISTS idx_sessions_player ON sessions(player_id);
@@ -150,6 +288,257 @@ function initDatabase(db) {
     CREATE INDEX IF NOT EXISTS idx_active_sessions_player ON active_sessions(player_id);
   `);
 
+  // Account security history (append-only, see utils/security_log.js)
+  // No foreign keys: entries must outlive the accounts they mention
+  const securityEventsSchema = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER,
+      event_type TEXT NOT NULL,
+      ip TEXT,
+      browser_id TEXT,
+      user_agent TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  `;
+
+  db.exec(`CREATE TABLE IF NOT EXISTS security_events (${securityEventsSchema})`);
+
+  // Migrate security_events: rebuild without the players foreign key, adding
+  // browser_id and user_agent (SQLite can't drop a constraint in place)
+  if (!columnExists(db, 'security_events', 'browser_id')) {
+    console.log('  Rebuilding security_events (append-only, browser and user agent columns)');
+    db.transaction(() => {
+      db.exec(`CREATE TABLE security_events_new (${securityEventsSchema})`);
+      db.exec(`
+        INSERT INTO security_events_new (id, player_id, event_type, ip, details, created_at)
+        SELECT id, player_id, event_type, ip, details, created_at FROM security_events
+      `);
+      db.exec('DROP TABLE security_events');
+      db.exec('ALTER TABLE security_events_new RENAME TO security_events');
+    })();
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_security_events_player ON security_events(player_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type, created_at);
+    CREATE INDEX IF NOT EXISTS idx_security_events_ip ON security_events(ip, created_at);
+
+    CREATE TRIGGER IF NOT EXISTS security_events_no_update BEFORE UPDATE ON security_events
+    BEGIN SELECT RAISE(ABORT, 'security_events is append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS security_events_no_delete BEFORE DELETE ON security_events
+    BEGIN SELECT RAISE(ABORT, 'security_events is append-only'); END;
+  `);
+
+  // Admin audit log (append-only)
+  // No foreign keys: entries must outlive the accounts they mention
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      action TEXT NOT NULL,
+      target_player_id INTEGER,
+      ip TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit_log(actor_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target_player_id, created_at);
+  `);
+
+  // Pending account deletions (confirmation step)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS account_deletion_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      token_hash TEXT NOT NULL,
+      requested_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_account_deletion_player ON account_deletion_requests(player_id);
+  `);
+
+  // One-time email login codes (recovery without the recovery code)
+  // Rows with player_id NULL record requests for unknown emails (throttling only)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_login_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER REFERENCES players(id),
+      email TEXT NOT NULL,
+      code_hash TEXT,
+      ip TEXT,
+      attempts INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_email_login_codes_email ON email_login_codes(email, created_at);
+    CREATE INDEX IF NOT EXISTS idx_email_login_codes_ip ON email_login_codes(ip, created_at);
+  `);
+
+  // Failed /api/recover attempts (brute-force backoff, see utils/recovery_guard.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recovery_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ip TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_recovery_failures_ip ON recovery_failures(ip, created_at);
+    CREATE INDEX IF NOT EXISTS idx_recovery_failures_created ON recovery_failures(created_at);
+  `);
+
+  // Handle changes; old_handle stays bound to the player until held_until
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS handle_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      old_handle TEXT NOT NULL,
+      new_handle TEXT NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      held_until DATETIME NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_handle_history_old ON handle_history(old_handle, held_until);
+    CREATE INDEX IF NOT EXISTS idx_handle_history_player ON handle_history(player_id, changed_at);
+  `);
+
+  // Phone number changes; the old number forwards for a while (see utils/phone_numbers.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS phone_number_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      old_number TEXT NOT NULL,
+      new_number TEXT NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      forward_until DATETIME NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_phone_number_history_old ON phone_number_history(old_number, forward_until);
+    CREATE INDEX IF NOT EXISTS idx_phone_number_history_player ON phone_number_history(player_id, changed_at);
+  `);
+
+  // Reserved / blocked handles (admin-managed; match_type 'exact', 'contains' or 'word')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reserved_handles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pattern TEXT UNIQUE NOT NULL,
+      match_type TEXT NOT NULL DEFAULT 'exact',
+      reason TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // BBS-style player profiles (privacy: JSON of field -> 'public' | 'private')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS player_profiles (
+      player_id INTEGER PRIMARY KEY REFERENCES players(id),
+      location TEXT,
+      group_name TEXT,
+      favorite_system TEXT,
+      bio TEXT,
+      signature TEXT,
+      privacy TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // TOTP two-factor (secret is sealed; enabled_at NULL while enrollment is pending)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS two_factor (
+      player_id INTEGER PRIMARY KEY REFERENCES players(id),
+      secret TEXT NOT NULL,
+      enabled_at DATETIME,
+      last_used_step INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      code_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      used_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_two_factor_backup_player ON two_factor_backup_codes(player_id);
+  `);
+
+  // Email verification links (one live token per player)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_verifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      email TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_email_verifications_player ON email_verifications(player_id, created_at);
+  `);
+
+  // World seasons: each seed generates a whole phone world (utils/world_directory.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS world_seasons (
+      season INTEGER PRIMARY KEY AUTOINCREMENT,
+      seed TEXT NOT NULL,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // War dial scan jobs run by the server (see utils/scan_jobs.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scan_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      player_id INTEGER NOT NULL REFERENCES players(id),
+      area_code TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      start_num INTEGER NOT NULL,
+      end_num INTEGER NOT NULL,
+      next_num INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running',
+      log_path TEXT NOT NULL,
+      results TEXT NOT NULL,
+      error TEXT,
+      next_dial_at INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      finished_at DATETIME
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_scan_jobs_player ON scan_jobs(player_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_scan_jobs_due ON scan_jobs(status, next_dial_at);
+  `);
+
   // Scene configurations (for edit mode)
   db.exec(`
     CREATE TABLE IF NOT EXISTS scene_configs (
@@ -182,10 +571,17 @@ function initDatabase(db) {
     `).run();
   }
 
+  // Secrets are stored as keyed hashes only (see utils/secret_hash.js)
+  runOnce(db, 'hash_stored_secrets', () => hashStoredSecrets(db));
+  runOnce(db, 'seed_reserved_handles', () => seedReservedHandles(db));
+  // First seeded as 'contains', which blocked GRAPE, SCUNTHORPE and the like
+  runOnce(db, 'reserved_handles_word_match', () => useWordMatchForSeededWords(db));
+
   console.log('Database schema initialized');
 
-  // Initialize phone pool
+  // Apply the numbering plan and create the first world season
   initPhonePool(db);
+  initWorld(db);
 }
 
 module.exports = { initDatabase };
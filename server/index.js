@@ -13,9 +13,19 @@ const { initDatabase } = require('./db/init');
 const playersRouter = require('./routes/players');
 const filesystemRouter = require('./routes/filesystem');
 const sceneRouter = require('./routes/scene');
+const sessionsRouter = require('./routes/sessions');
+const accountRouter = require('./routes/account');
+const adminRouter = require('./routes/admin');
 const aiRouter = require('./routes/ai');
-const { initWebSocket, getTotalConnections } = require('./websocket');
+const phoneRouter = require('./routes/phone');
+const { initWebSocket, getTotalConnections, disconnectPlayer, broadcastToPlayer } = require('./websocket');
 const { initEmailTransporter } = require('./utils/email');
+const { stripLegacyToken, redactTokens } = require('./utils/auth');
+const { bootstrapAdmins } = require('./utils/roles');
+const { expireUnverifiedAccounts } = require('./utils/email_verification');
+const { expireGuestAccounts } = require('./utils/guests');
+const { pruneRecoveryFailures } = require('./utils/recovery_guard');
+const { startScanScheduler } = require('./utils/scan_jobs');
 
 const app = express();
 const server = http.createServer(app);
@@ -27,6 +37,7 @@ console.log(`Database path: ${dbPath}`);
 
 const db = new Database(dbPath);
 initDatabase(db);
+bootstrapAdmins(db);
 
 // Initialize email transporter
 initEmailTransporter();
@@ -62,6 +73,8 @@ app.use(cors({
   credentials: true
 }));
 
+// Account archives carry a whole filesystem; allow them a bigger body
+app.use('/api/account/import', express.json({ limit: '25mb' }));
 app.use(express.json({ limit: '1mb' }));
 
 // Attach db to all requests
@@ -75,15 +88,22 @@ app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    console.log(`${req.method} ${req.path} ${res.statusCode} ${duration}ms`);
+    console.log(`${req.method} ${redactTokens(req.path)} ${res.statusCode} ${duration}ms`);
   });
   next();
 });
 
+// Deprecated token-in-URL paths (/api/filesystem/:token) route like the token-free ones
+app.use('/api', stripLegacyToken);
+
 // Routes
 app.use('/api', playersRouter);
 app.use('/api', filesystemRouter);
 app.use('/api', sceneRouter);
+app.use('/api', sessionsRouter);
+app.use('/api', accountRouter);
+app.use('/api', adminRouter);
+app.use('/api', phoneRouter);
 app.use('/api/assets', aiRouter);
 
 // Health check / status endpoint
@@ -98,7 +118,7 @@ app.get('/api/status', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  console.error('Server error:', redactTokens(err.stack || err));
   res.status(500).json({
     success: false,
     error: 'INTERNAL_ERROR',
@@ -118,6 +138,31 @@ app.use((req, res) => {
 // Initialize WebSocket server
 initWebSocket(server, db);
 
+// War dial scan jobs (events go to every socket of the player)
+startScanScheduler(db, (playerId, message) => broadcastToPlayer(playerId, null, message));
+
+// Periodic cleanup (expired unverified accounts, abandoned guests, old recovery failures)
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+function runMaintenance() {
+  try {
+    for (const account of expireUnverifiedAccounts(db)) {
+      disconnectPlayer(account.player_id, 'ACCOUNT_EXPIRED');
+      console.log(`[MAINTENANCE] Removed unverified account ${account.handle} (${account.phone_number} released)`);
+    }
+    for (const account of expireGuestAccounts(db)) {
+      disconnectPlayer(account.player_id, 'ACCOUNT_EXPIRED');
+      console.log(`[MAINTENANCE] Removed idle guest ${account.handle} (${account.phone_number} released)`);
+    }
+    pruneRecoveryFailures(db);
+  } catch (error) {
+    console.error('[MAINTENANCE] Error:', error.message);
+  }
+}
+
+runMaintenance();
+setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS).unref();
+
 // Start server
 server.listen(PORT, '0.0.0.0', () => {
   console.log('');
@@ -129,9 +174,49 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log('');
   console.log('  REST Endpoints:');
   console.log('    POST /api/register    - Register new player');
+  console.log('    POST /api/register/guest - Register guest (no email)');
+  console.log('    GET  /api/area-codes  - Area codes open for registration');
+  console.log('    GET  /api/numbers     - Search free numbers (vanity)');
   console.log('    POST /api/recover     - Recover session');
+  console.log('    POST /api/recover/email        - Email login code');
+  console.log('    POST /api/recover/email/verify - Redeem login code');
+  console.log('    GET  /api/verify-email?token=  - Confirm email (link)');
   console.log('    GET  /api/player/:h   - Lookup by handle');
   console.log('    GET  /api/phone/:n    - Lookup by phone');
+  console.log('    GET  /api/profile/:h  - Public profile');
+  console.log('    GET  /api/players     - Player directory (user list)');
+  console.log('    POST /api/dial        - Dial a number');
+  console.log('    POST /api/scans       - Start a war dial scan');
+  console.log('    GET  /api/scans       - List scans');
+  console.log('    POST /api/scans/:i/pause - Pause / resume / cancel a scan');
+  console.log('    GET  /api/sessions    - List devices');
+  console.log('    DEL  /api/sessions/:i - Revoke a device');
+  console.log('    POST /api/sessions/rotate - Rotate token');
+  console.log('    POST /api/logout      - Log out');
+  console.log('    POST /api/account/recovery-code - New recovery code');
+  console.log('    POST /api/account/verify-email  - Resend verification link');
+  console.log('    POST /api/account/upgrade       - Guest to full account');
+  console.log('    POST /api/account/handle        - Change handle');
+  console.log('    POST /api/account/phone         - Change phone number');
+  console.log('    PUT  /api/account/profile       - Edit profile');
+  console.log('    POST /api/account/2fa/setup     - Two-factor enrollment');
+  console.log('    GET  /api/account/security      - Security history');
+  console.log('    GET  /api/account/export        - Download account archive');
+  console.log('    POST /api/account/import        - Restore account archive');
+  console.log('    POST /api/account/delete        - Delete account (confirm step)');
+  console.log('    GET  /api/admin/players             - Search players (admin)');
+  console.log('    GET  /api/admin/players/:h          - Player details (admin)');
+  console.log('    POST /api/admin/players/:h/suspend  - Suspend / ban / reinstate');
+  console.log('    POST /api/admin/players/:h/logout   - Force logout');
+  console.log('    PUT  /api/admin/players/:h/phone    - Reassign phone number');
+  console.log('    POST /api/admin/players/:h/scene/reset - Reset scene to master');
+  console.log('    POST /api/admin/players/:h/delete   - Delete account (confirm step)');
+  console.log('    PUT  /api/admin/players/:h/role - Set role (admin)');
+  console.log('    GET  /api/admin/reserved-handles - Reserved handle list');
+  console.log('    GET  /api/admin/audit           - Admin audit log');
+  console.log('    GET  /api/admin/security-events - Security event search');
+  console.log('    GET  /api/admin/phone-plan      - Numbering plan and pool usage');
+  console.log('    POST /api/admin/phone-plan      - Add exchanges');
   console.log('    GET  /api/filesystem  - Get filesystem');
   console.log('    PUT  /api/filesystem  - Sync filesystem');
   console.log('    POST /api/files       - Create/update file');
@@ -0,0 +1,854 @@
+/**
+ * Account Routes
+ * Recovery code rotation, email verification and guest upgrade, handle and
+ * phone number changes, profile, two-factor, security history, export/import
+ * and account deletion
+ */
+
+const express = require('express');
+const router = express.Router();
+const { generateUniqueRecoveryCode } = require('../utils/recovery_code');
+const { sendRecoveryCodeEmail, isValidEmail } = require('../utils/email');
+const { requireAuth } = require('../utils/auth');
+const { revokeOtherSessions } = require('../utils/sessions');
+const { logSecurityEvent, listSecurityEvents } = require('../utils/security_log');
+const { hashSecret } = require('../utils/secret_hash');
+const { requestDeletion, isDeletionConfirmed, deleteAccount, CONFIRMATION_TTL_MINUTES } = require('../utils/account_deletion');
+const { buildArchive, validateArchive, importArchive, IMPORT_MODES } = require('../utils/account_archive');
+const { sendVerification, isResendThrottled, getVerificationDeadline } = require('../utils/email_verification');
+const { getQuotaStatus, sendQuotaExceeded } = require('../utils/quotas');
+const { isGuest, GUEST_TTL_DAYS } = require('../utils/guests');
+const {
+  checkHandle,
+  checkHandleAvailable,
+  getNextHandleChange,
+  changeHandle,
+  listHandleHistory,
+  HANDLE_CHANGE_COOLDOWN_DAYS,
+  HANDLE_HOLD_DAYS
+} = require('../utils/handles');
+const { normalizePhoneNumber } = require('../utils/phone_network');
+const {
+  getNextNumberChange,
+  changePhoneNumber,
+  listNumberHistory,
+  PHONE_CHANGE_COOLDOWN_DAYS,
+  PHONE_FORWARD_DAYS
+} = require('../utils/phone_numbers');
+const { validateProfileUpdate, getProfile, updateProfile } = require('../utils/profiles');
+const {
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../utils/two_factor');
+const { disconnectSessions, disconnectPlayer, broadcastToPlayer } = require('../websocket');
+
+/**
+ * POST /api/account/recovery-code
+ * Replace the player's recovery code with a fresh one
+ * Body: { revoke_other_sessions? }
+ */
+router.post('/account/recovery-code', requireAuth, (req, res) => {
+  const db = req.db;
+  const revokeOthers = req.body?.revoke_other_sessions === true;
+
+  const recoveryCode = generateUniqueRecoveryCode(db);
+  if (!recoveryCode) {
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'Could not generate unique recovery code'
+    });
+  }
+
+  const rotate = db.transaction(() => {
+    db.prepare('UPDATE players SET recovery_code = ? WHERE id = ?').run(hashSecret(recoveryCode), req.playerId);
+
+    const revoked = revokeOthers
+      ? revokeOtherSessions(db, req.playerId, req.sessionToken)
+      : [];
+
+    logSecurityEvent(db, req.playerId, 'RECOVERY_CODE_ROTATED', {
+      req,
+      details: { sessions_revoked: revoked.length }
+    });
+
+    return revoked;
+  });
+
+  try {
+    const revoked = rotate();
+    disconnectSessions(req.playerId, revoked, 'RECOVERY_CODE_ROTATED');
+
+    const player = db.prepare(`
+      SELECT email, email_verified_at, phone_number FROM players WHERE id = ?
+    `).get(req.playerId);
+    // Never mail codes to an address nobody has confirmed
+    const emailed = !!(player.email && player.email_verified_at);
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: recovery code rotated (${revoked.length} sessions revoked)`);
+
+    if (emailed) {
+      sendRecoveryCodeEmail(player.email, req.playerHandle, recoveryCode, player.phone_number, { rotated: true })
+        .catch(err => console.error('[ACCOUNT] Email send error:', err.message));
+    }
+
+    res.json({
+      success: true,
+      recovery_code: recoveryCode,
+      sessions_revoked: revoked.length,
+      emailed
+    });
+  } catch (error) {
+    console.error('[ACCOUNT] Rotate error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'ROTATE_FAILED',
+      message: 'Failed to rotate recovery code'
+    });
+  }
+});
+
+/**
+ * GET /api/account/verify-email
+ * Verification state and the storage limits that currently apply
+ */
+router.get('/account/verify-email', requireAuth, (req, res) => {
+  const db = req.db;
+  const player = db.prepare('SELECT email, email_verified_at, is_guest FROM players WHERE id = ?').get(req.playerId);
+
+  res.json({
+    success: true,
+    guest: !!player.is_guest,
+    idle_expiry_days: player.is_guest ? GUEST_TTL_DAYS : null,
+    email: player.email,
+    email_verified: !!player.email_verified_at,
+    verified_at: player.email_verified_at,
+    verify_by: getVerificationDeadline(db, req.playerId),
+    quota: getQuotaStatus(db, req.playerId)
+  });
+});
+
+/**
+ * Validate an address and mail a verification link to it
+ * Shared by resend and guest upgrade.
+ * @param {Request} req - Authenticated request
+ * @param {Response} res - Express response
+ * @param {string} email - Normalized email address
+ * @param {string} event - Security event to record
+ */
+function startVerification(req, res, email, event) {
+  const db = req.db;
+
+  const taken = db.prepare(`
+    SELECT id FROM players WHERE email = ? AND id != ? AND email_verified_at IS NOT NULL
+  `).get(email, req.playerId);
+  if (taken) {
+    return res.status(409).json({
+      success: false,
+      error: 'EMAIL_TAKEN',
+      message: 'Email already registered to another account'
+    });
+  }
+
+  if (isResendThrottled(db, req.playerId)) {
+    return res.status(429).json({
+      success: false,
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many verification emails. Try again later.'
+    });
+  }
+
+  try {
+    sendVerification(db, req.playerId, req.playerHandle, email);
+
+    logSecurityEvent(db, req.playerId, event, {
+      req,
+      details: { email }
+    });
+    console.log(`[VERIFY] ${req.playerHandle}: verification link sent to ${email}`);
+
+    res.json({
+      success: true,
+      email,
+      verify_by: getVerificationDeadline(db, req.playerId)
+    });
+  } catch (error) {
+    console.error('[VERIFY] Send error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SEND_FAILED',
+      message: 'Failed to send verification email'
+    });
+  }
+}
+
+/**
+ * POST /api/account/verify-email
+ * Send a (new) verification link
+ * Body: { email? } - a different address, to fix a typo or change email.
+ * A verified player's current email stays in place until the new one is confirmed.
+ */
+router.post('/account/verify-email', requireAuth, (req, res) => {
+  const db = req.db;
+  const player = db.prepare('SELECT email, email_verified_at FROM players WHERE id = ?').get(req.playerId);
+
+  let email = player.email;
+  if (req.body?.email !== undefined) {
+    if (!isValidEmail(req.body.email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_EMAIL',
+        message: 'Valid email address is required'
+      });
+    }
+    email = req.body.email.trim().toLowerCase();
+  } else {
+    // Resend to whatever address the last link went to
+    const pending = db.prepare(`
+      SELECT email FROM email_verifications WHERE player_id = ?
+      ORDER BY created_at DESC, id DESC LIMIT 1
+    `).get(req.playerId);
+    if (pending) email = pending.email;
+  }
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EMAIL',
+      message: 'Valid email address is required'
+    });
+  }
+
+  if (player.email_verified_at && email === player.email) {
+    return res.status(409).json({
+      success: false,
+      error: 'ALREADY_VERIFIED',
+      message: 'Email is already verified'
+    });
+  }
+
+  startVerification(req, res, email, 'EMAIL_VERIFICATION_SENT');
+});
+
+/**
+ * POST /api/account/upgrade
+ * Turn a guest into a full account: attach an email and send the link.
+ * The account stays a guest (files, scenes and all) until the link is used.
+ * Body: { email }
+ */
+router.post('/account/upgrade', requireAuth, (req, res) => {
+  const { email } = req.body;
+
+  if (!isGuest(req.db, req.playerId)) {
+    return res.status(409).json({
+      success: false,
+      error: 'NOT_GUEST',
+      message: 'Account is not a guest account'
+    });
+  }
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EMAIL',
+      message: 'Valid email address is required'
+    });
+  }
+
+  startVerification(req, res, email.trim().toLowerCase(), 'GUEST_UPGRADE_REQUESTED');
+});
+
+/**
+ * GET /api/account/handle
+ * Handle change history and when the next change is allowed
+ */
+router.get('/account/handle', requireAuth, (req, res) => {
+  const db = req.db;
+
+  res.json({
+    success: true,
+    handle: req.playerHandle,
+    next_change_at: getNextHandleChange(db, req.playerId),
+    cooldown_days: HANDLE_CHANGE_COOLDOWN_DAYS,
+    history: listHandleHistory(db, req.playerId)
+  });
+});
+
+/**
+ * POST /api/account/handle
+ * Change handle. The old handle keeps resolving to this player (and can't
+ * be registered by anyone else) for HANDLE_HOLD_DAYS.
+ * Body: { handle }
+ */
+router.post('/account/handle', requireAuth, (req, res) => {
+  const db = req.db;
+
+  const checked = checkHandle(req.body.handle);
+  if (!checked.handle) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_HANDLE',
+      message: checked.message
+    });
+  }
+
+  const newHandle = checked.handle;
+  if (newHandle === req.playerHandle) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_HANDLE',
+      message: 'That is already your handle'
+    });
+  }
+
+  const nextChangeAt = getNextHandleChange(db, req.playerId);
+  if (nextChangeAt) {
+    return res.status(429).json({
+      success: false,
+      error: 'HANDLE_CHANGE_COOLDOWN',
+      message: `Handle can only be changed once every ${HANDLE_CHANGE_COOLDOWN_DAYS} days`,
+      next_change_at: nextChangeAt
+    });
+  }
+
+  const unavailable = checkHandleAvailable(db, newHandle, req.playerId);
+  if (unavailable) {
+    return res.status(409).json({
+      success: false,
+      ...unavailable
+    });
+  }
+
+  try {
+    const previous = changeHandle(db, req.playerId, newHandle);
+
+    logSecurityEvent(db, req.playerId, 'HANDLE_CHANGED', {
+      req,
+      details: { from: previous, to: newHandle }
+    });
+
+    broadcastToPlayer(req.playerId, null, {
+      type: 'handle_changed',
+      handle: newHandle,
+      previous_handle: previous,
+      timestamp: Date.now()
+    });
+
+    console.log(`[ACCOUNT] ${previous}: handle changed to ${newHandle}`);
+
+    res.json({
+      success: true,
+      handle: newHandle,
+      previous_handle: previous,
+      held_for_days: HANDLE_HOLD_DAYS,
+      next_change_at: getNextHandleChange(db, req.playerId)
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({
+        success: false,
+        error: 'HANDLE_TAKEN',
+        message: 'Handle already registered'
+      });
+    }
+    console.error('[ACCOUNT] Handle change error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'CHANGE_FAILED',
+      message: 'Failed to change handle'
+    });
+  }
+});
+
+/**
+ * GET /api/account/phone
+ * Phone number change history and when the next change is allowed
+ */
+router.get('/account/phone', requireAuth, (req, res) => {
+  const db = req.db;
+  const player = db.prepare('SELECT phone_number FROM players WHERE id = ?').get(req.playerId);
+
+  res.json({
+    success: true,
+    phone_number: player.phone_number,
+    next_change_at: getNextNumberChange(db, req.playerId),
+    cooldown_days: PHONE_CHANGE_COOLDOWN_DAYS,
+    history: listNumberHistory(db, req.playerId)
+  });
+});
+
+/**
+ * POST /api/account/phone
+ * Change phone number. The old number goes back to the pool through
+ * quarantine and forwards calls to the new one for PHONE_FORWARD_DAYS.
+ * Body: { phone_number?, area_code? } - a free number (see GET /api/numbers),
+ * or omit for a random one (in area_code if given)
+ */
+router.post('/account/phone', requireAuth, (req, res) => {
+  const db = req.db;
+  const { phone_number, area_code } = req.body;
+
+  const number = phone_number ? normalizePhoneNumber(phone_number) : null;
+  if (phone_number && !number) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_NUMBER',
+      message: 'Phone number must be seven digits (e.g. 555-1337)'
+    });
+  }
+
+  const nextChangeAt = getNextNumberChange(db, req.playerId);
+  if (nextChangeAt) {
+    return res.status(429).json({
+      success: false,
+      error: 'PHONE_CHANGE_COOLDOWN',
+      message: `Phone number can only be changed once every ${PHONE_CHANGE_COOLDOWN_DAYS} days`,
+      next_change_at: nextChangeAt
+    });
+  }
+
+  try {
+    const change = db.transaction(() => {
+      const changed = changePhoneNumber(db, req.playerId, {
+        number,
+        areaCode: area_code ? String(area_code) : null
+      });
+      logSecurityEvent(db, req.playerId, 'PHONE_NUMBER_CHANGED', {
+        req,
+        details: changed
+      });
+      return changed;
+    })();
+
+    broadcastToPlayer(req.playerId, null, {
+      type: 'phone_changed',
+      phone_number: change.to,
+      previous_phone_number: change.from,
+      timestamp: Date.now()
+    });
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: phone ${change.from} -> ${change.to}`);
+
+    res.json({
+      success: true,
+      phone_number: change.to,
+      previous_phone_number: change.from,
+      forwarded_for_days: PHONE_FORWARD_DAYS,
+      next_change_at: getNextNumberChange(db, req.playerId)
+    });
+  } catch (error) {
+    if (error.code === 'NUMBER_UNAVAILABLE') {
+      return res.status(409).json({
+        success: false,
+        error: 'NUMBER_UNAVAILABLE',
+        message: error.message
+      });
+    }
+    console.error('[ACCOUNT] Phone change error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'CHANGE_FAILED',
+      message: 'Failed to change phone number'
+    });
+  }
+});
+
+/**
+ * GET /api/account/profile
+ * The player's own profile, including private fields and privacy settings
+ */
+router.get('/account/profile', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    profile: getProfile(req.db, req.playerId)
+  });
+});
+
+/**
+ * PUT /api/account/profile
+ * Update profile fields; omitted fields are left alone, null clears one
+ * Body: { location?, group?, favorite_system?, bio?, signature?,
+ *         privacy?: { <field>: 'public' | 'private' } }
+ */
+router.put('/account/profile', requireAuth, (req, res) => {
+  const db = req.db;
+  const { fields, privacy, errors } = validateProfileUpdate(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PROFILE',
+      message: errors[0],
+      errors
+    });
+  }
+
+  try {
+    updateProfile(db, req.playerId, fields, privacy);
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: profile updated`);
+
+    res.json({
+      success: true,
+      profile: getProfile(db, req.playerId)
+    });
+  } catch (error) {
+    console.error('[ACCOUNT] Profile update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_FAILED',
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * GET /api/account/2fa
+ * Two-factor status
+ */
+router.get('/account/2fa', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    ...getTwoFactorStatus(req.db, req.playerId)
+  });
+});
+
+/**
+ * POST /api/account/2fa/setup
+ * Start enrollment: returns the secret to add to an authenticator app.
+ * Nothing changes for logins until POST /api/account/2fa/enable.
+ */
+router.post('/account/2fa/setup', requireAuth, (req, res) => {
+  const db = req.db;
+
+  if (getTwoFactorStatus(db, req.playerId).enabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'ALREADY_ENABLED',
+      message: 'Two-factor is already enabled'
+    });
+  }
+
+  const enrollment = beginEnrollment(db, req.playerId, req.playerHandle);
+
+  res.json({
+    success: true,
+    secret: enrollment.secret,
+    otpauth_uri: enrollment.otpauth_uri
+  });
+});
+
+/**
+ * POST /api/account/2fa/enable
+ * Confirm enrollment with a code from the app; returns backup codes (shown once)
+ * Body: { code }
+ */
+router.post('/account/2fa/enable', requireAuth, (req, res) => {
+  const db = req.db;
+  const status = getTwoFactorStatus(db, req.playerId);
+
+  if (status.enabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'ALREADY_ENABLED',
+      message: 'Two-factor is already enabled'
+    });
+  }
+  if (!status.pending) {
+    return res.status(400).json({
+      success: false,
+      error: 'NOT_SET_UP',
+      message: 'Start with POST /api/account/2fa/setup'
+    });
+  }
+
+  const backupCodes = confirmEnrollment(db, req.playerId, req.body.code);
+  if (!backupCodes) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_OTP',
+      message: 'Two-factor code is invalid'
+    });
+  }
+
+  logSecurityEvent(db, req.playerId, 'TWO_FACTOR_ENABLED', { req });
+  console.log(`[ACCOUNT] ${req.playerHandle}: two-factor enabled`);
+
+  res.json({
+    success: true,
+    backup_codes: backupCodes
+  });
+});
+
+/**
+ * Require a current second factor for a two-factor settings change
+ * @returns {boolean} True if verified (an error response was sent otherwise)
+ */
+function requireCurrentSecondFactor(req, res) {
+  const db = req.db;
+
+  if (!getTwoFactorStatus(db, req.playerId).enabled) {
+    res.status(400).json({
+      success: false,
+      error: 'NOT_ENABLED',
+      message: 'Two-factor is not enabled'
+    });
+    return false;
+  }
+
+  if (!verifySecondFactor(db, req.playerId, req.body.code)) {
+    logSecurityEvent(db, req.playerId, 'TWO_FACTOR_FAILED', { req, details: { via: 'settings' } });
+    res.status(400).json({
+      success: false,
+      error: 'INVALID_OTP',
+      message: 'Two-factor code is invalid'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * POST /api/account/2fa/disable
+ * Turn two-factor off
+ * Body: { code } - a current code or a backup code
+ */
+router.post('/account/2fa/disable', requireAuth, (req, res) => {
+  if (!requireCurrentSecondFactor(req, res)) return;
+
+  disableTwoFactor(req.db, req.playerId);
+
+  logSecurityEvent(req.db, req.playerId, 'TWO_FACTOR_DISABLED', { req });
+  console.log(`[ACCOUNT] ${req.playerHandle}: two-factor disabled`);
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/account/2fa/backup-codes
+ * Replace all backup codes (old ones stop working)
+ * Body: { code } - a current code or a backup code
+ */
+router.post('/account/2fa/backup-codes', requireAuth, (req, res) => {
+  if (!requireCurrentSecondFactor(req, res)) return;
+
+  const backupCodes = regenerateBackupCodes(req.db, req.playerId);
+
+  logSecurityEvent(req.db, req.playerId, 'BACKUP_CODES_REGENERATED', { req });
+
+  res.json({
+    success: true,
+    backup_codes: backupCodes
+  });
+});
+
+/**
+ * GET /api/account/security
+ * The player's account security history, newest first
+ * Query params: event, before_id (paging), limit (optional, max 200)
+ */
+router.get('/account/security', requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  try {
+    res.json({
+      success: true,
+      events: listSecurityEvents(req.db, req.playerId, {
+        event: req.query.event ? String(req.query.event).toUpperCase() : null,
+        beforeId: parseInt(req.query.before_id) || null,
+        limit
+      })
+    });
+  } catch (error) {
+    console.error('[ACCOUNT] Security history error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to load security history'
+    });
+  }
+});
+
+/**
+ * GET /api/account/export
+ * Download the whole account as a versioned JSON archive
+ */
+router.get('/account/export', requireAuth, (req, res) => {
+  const db = req.db;
+
+  try {
+    const archive = buildArchive(db, req.playerId);
+    const date = archive.exported_at.slice(0, 10);
+
+    logSecurityEvent(db, req.playerId, 'ACCOUNT_EXPORTED', {
+      req,
+      details: { files: archive.files.length }
+    });
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: exported ${archive.files.length} files`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="hackterm-${req.playerHandle.toLowerCase()}-${date}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('[ACCOUNT] Export error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'EXPORT_FAILED',
+      message: 'Failed to export account'
+    });
+  }
+});
+
+/**
+ * POST /api/account/import
+ * Restore an exported archive into this account
+ * Body: { archive, mode? } - mode 'merge' (default) keeps existing entries
+ *   and reports conflicts; 'replace' wipes files and scenes first
+ */
+router.post('/account/import', requireAuth, (req, res) => {
+  const db = req.db;
+  const { archive, mode = 'merge' } = req.body;
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_MODE',
+      message: `Mode must be one of: ${IMPORT_MODES.join(', ')}`
+    });
+  }
+
+  const errors = validateArchive(archive);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ARCHIVE',
+      message: 'Archive failed validation',
+      errors: errors.slice(0, 50)
+    });
+  }
+
+  try {
+    const report = importArchive(db, req.playerId, archive, {
+      mode,
+      sessionToken: req.sessionToken
+    });
+
+    logSecurityEvent(db, req.playerId, 'ACCOUNT_IMPORTED', {
+      req,
+      details: {
+        mode,
+        files_created: report.files.created,
+        conflicts: report.conflicts.length
+      }
+    });
+
+    // Other devices hold a stale filesystem now; push the full file list
+    const files = db.prepare(`
+      SELECT path, file_type, content, content_hash, file_size, program, metadata, updated_at
+      FROM player_files WHERE player_id = ?
+    `).all(req.playerId);
+
+    broadcastToPlayer(req.playerId, null, {
+      type: 'sync_data',
+      files: files.map(f => ({
+        path: f.path,
+        type: f.file_type,
+        content: f.content,
+        content_hash: f.content_hash,
+        file_size: f.file_size,
+        program: f.program,
+        metadata: f.metadata ? JSON.parse(f.metadata) : null,
+        updated_at: f.updated_at
+      })),
+      server_time: Date.now()
+    });
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: imported archive (${mode}, ${report.files.created} files, ${report.conflicts.length} conflicts)`);
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
+    console.error('[ACCOUNT] Import error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'IMPORT_FAILED',
+      message: 'Failed to import archive'
+    });
+  }
+});
+
+/**
+ * POST /api/account/delete
+ * Step 1 of deleting the account: get a confirmation token
+ */
+router.post('/account/delete', requireAuth, (req, res) => {
+  try {
+    const token = requestDeletion(req.db, req.playerId, req.playerId);
+
+    console.log(`[ACCOUNT] ${req.playerHandle}: deletion requested`);
+
+    res.json({
+      success: true,
+      confirmation_token: token,
+      expires_in_minutes: CONFIRMATION_TTL_MINUTES,
+      message: 'Send the confirmation token to /api/account/delete/confirm to delete your account and all its files'
+    });
+  } catch (error) {
+    console.error('[ACCOUNT] Delete request error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_FAILED',
+      message: 'Failed to start account deletion'
+    });
+  }
+});
+
+/**
+ * POST /api/account/delete/confirm
+ * Step 2: permanently delete the account
+ * Body: { confirmation_token }
+ */
+router.post('/account/delete/confirm', requireAuth, (req, res) => {
+  const db = req.db;
+
+  if (!isDeletionConfirmed(db, req.playerId, req.playerId, req.body?.confirmation_token)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_CONFIRMATION',
+      message: 'Confirmation token is invalid or expired'
+    });
+  }
+
+  try {
+    const deleted = db.transaction(() => {
+      const result = deleteAccount(db, req.playerId);
+      logSecurityEvent(db, req.playerId, 'ACCOUNT_DELETED', { req, details: { handle: result.handle } });
+      return result;
+    })();
+    disconnectPlayer(req.playerId, 'ACCOUNT_DELETED');
+
+    console.log(`[ACCOUNT] ${deleted.handle}: account deleted (${deleted.phone_number} released)`);
+
+    res.json({
+      success: true,
+      handle: deleted.handle
+    });
+  } catch (error) {
+    console.error('[ACCOUNT] Delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_FAILED',
+      message: 'Failed to delete account'
+    });
+  }
+});
+
+module.exports = router;
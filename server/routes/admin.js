@@ -0,0 +1,1042 @@
+/**
+ * Admin Routes
+ * Player management, role management, the reserved handle list, the
+ * admin audit log, the numbering plan and the phone world directory
+ * (admin accounts only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { ROLES, requireRole, setPlayerRole } = require('../utils/roles');
+const { logAdminAction, listAdminActions } = require('../utils/admin_audit');
+const { listSessions, revokeOtherSessions } = require('../utils/sessions');
+const { setAccountStatus, getRestriction } = require('../utils/moderation');
+const {
+  addExchanges,
+  getPoolStats,
+  getExchangePurpose,
+  PURPOSES
+} = require('../utils/phone_pool');
+const { logSecurityEvent, searchSecurityEvents } = require('../utils/security_log');
+const { requestDeletion, isDeletionConfirmed, deleteAccount, CONFIRMATION_TTL_MINUTES } = require('../utils/account_deletion');
+const {
+  listReservedHandles,
+  addReservedHandle,
+  removeReservedHandle,
+  listHandleHistory,
+  MATCH_TYPES
+} = require('../utils/handles');
+const { getCurrentSeason, getExchangeDirectory } = require('../utils/world_directory');
+const { normalizePhoneNumber, dialNumber } = require('../utils/phone_network');
+const { changePhoneNumber, listNumberHistory } = require('../utils/phone_numbers');
+const { disconnectPlayer, broadcastToPlayer, getPlayerConnectionCount } = require('../websocket');
+
+// Every route in this file is admin only
+router.use('/admin', requireAuth, requireRole('admin'));
+
+// Sortable columns for the player search
+const PLAYER_SORT_COLUMNS = {
+  handle: 'handle',
+  created: 'created_at',
+  last_seen: 'last_seen'
+};
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} value - Search text
+ * @returns {string} Pattern matching the text anywhere
+ */
+function containsPattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Middleware: load the player named by :handle into req.target
+ */
+function loadTarget(req, res, next) {
+  const handle = req.params.handle.toUpperCase();
+  const target = req.db.prepare(`
+    SELECT id, handle, email, email_verified_at, is_guest, phone_number, role, status,
+           suspended_until, status_reason, created_at, last_seen
+    FROM players WHERE handle = ?
+  `).get(handle);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'NOT_FOUND',
+      message: `Handle not found: ${handle}`
+    });
+  }
+
+  req.target = target;
+  next();
+}
+
+/**
+ * GET /api/admin/players
+ * Search and page through players
+ * Query params: handle, email, phone (substring matches), status,
+ *   seen_after, seen_before (dates), sort (handle|created|last_seen),
+ *   order (asc|desc), page (from 1), per_page (max 100)
+ */
+router.get('/admin/players', (req, res) => {
+  const db = req.db;
+  const { handle, email, phone, status, seen_after, seen_before } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 25, 1), 100);
+  const sortColumn = PLAYER_SORT_COLUMNS[req.query.sort] || 'created_at';
+  const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
+
+  const conditions = [];
+  const params = [];
+
+  if (handle) {
+    conditions.push("handle LIKE ? ESCAPE '\\'");
+    params.push(containsPattern(handle.toUpperCase()));
+  }
+  if (email) {
+    conditions.push("email LIKE ? ESCAPE '\\'");
+    params.push(containsPattern(email.toLowerCase()));
+  }
+  if (phone) {
+    conditions.push("phone_number LIKE ? ESCAPE '\\'");
+    params.push(containsPattern(phone));
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (seen_after) {
+    conditions.push('last_seen >= datetime(?)');
+    params.push(seen_after);
+  }
+  if (seen_before) {
+    conditions.push('last_seen < datetime(?)');
+    params.push(seen_before);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const total = db.prepare(`SELECT COUNT(*) as count FROM players ${where}`).get(...params).count;
+
+    const players = db.prepare(`
+      SELECT id, handle, email, email_verified_at, is_guest, phone_number, role, status,
+             suspended_until, created_at, last_seen
+      FROM players
+      ${where}
+      ORDER BY ${sortColumn} ${order}, id ${order}
+      LIMIT ? OFFSET ?
+    `).all(...params, perPage, (page - 1) * perPage);
+
+    res.json({
+      success: true,
+      players,
+      page,
+      per_page: perPage,
+      total
+    });
+  } catch (error) {
+    console.error('[ADMIN] Player search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SEARCH_FAILED',
+      message: 'Failed to search players'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/players/:handle
+ * Full view of a player: account, sessions, file counts and scene configs
+ */
+router.get('/admin/players/:handle', loadTarget, (req, res) => {
+  const db = req.db;
+  const target = req.target;
+
+  try {
+    const files = db.prepare(`
+      SELECT
+        SUM(CASE WHEN file_type = 'dir' THEN 0 ELSE 1 END) as files,
+        SUM(CASE WHEN file_type = 'dir' THEN 1 ELSE 0 END) as directories,
+        COALESCE(SUM(file_size), 0) as total_size
+      FROM player_files WHERE player_id = ?
+    `).get(target.id);
+
+    const versions = db.prepare(`
+      SELECT COUNT(*) as count FROM file_versions WHERE player_id = ?
+    `).get(target.id);
+
+    const sceneConfigs = db.prepare(`
+      SELECT config_name, LENGTH(config_data) as size, created_at, updated_at
+      FROM scene_configs WHERE player_id = ?
+      ORDER BY updated_at DESC
+    `).all(target.id);
+
+    res.json({
+      success: true,
+      player: {
+        ...target,
+        restriction: getRestriction(db, target.id)
+      },
+      sessions: listSessions(db, target.id, null),
+      handle_history: listHandleHistory(db, target.id),
+      phone_history: listNumberHistory(db, target.id),
+      connections: getPlayerConnectionCount(target.id),
+      files: {
+        files: files.files || 0,
+        directories: files.directories || 0,
+        total_size: files.total_size,
+        versions: versions.count
+      },
+      scene_configs: sceneConfigs
+    });
+  } catch (error) {
+    console.error('[ADMIN] Player view error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LOAD_FAILED',
+      message: 'Failed to load player'
+    });
+  }
+});
+
+/**
+ * Apply a suspension or ban and kick the player off every device
+ * @param {object} req - Express request (admin, target, body.reason)
+ * @param {string} status - 'suspended' or 'banned'
+ * @param {number|null} hours - Suspension length, null for indefinite
+ * @returns {number} Connections closed
+ */
+function restrictTarget(req, status, hours) {
+  const db = req.db;
+  const { reason = null } = req.body;
+  const action = status === 'banned' ? 'PLAYER_BANNED' : 'PLAYER_SUSPENDED';
+  const event = status === 'banned' ? 'ACCOUNT_BANNED' : 'ACCOUNT_SUSPENDED';
+
+  db.transaction(() => {
+    setAccountStatus(db, req.target.id, status, { reason, hours });
+    logAdminAction(db, req.playerId, action, {
+      targetPlayerId: req.target.id,
+      ip: req.ip,
+      details: { handle: req.target.handle, reason, hours }
+    });
+    logSecurityEvent(db, req.target.id, event, {
+      req,
+      details: { reason, hours }
+    });
+  })();
+
+  return disconnectPlayer(req.target.id, event);
+}
+
+/**
+ * POST /api/admin/players/:handle/suspend
+ * Suspend a player
+ * Body: { reason?, hours? } - omit hours to suspend until reinstated
+ */
+router.post('/admin/players/:handle/suspend', loadTarget, (req, res) => {
+  const hours = req.body.hours !== undefined ? Number(req.body.hours) : null;
+
+  if (hours !== null && !(hours > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_DURATION',
+      message: 'hours must be a positive number'
+    });
+  }
+
+  if (req.target.id === req.playerId) {
+    return res.status(400).json({
+      success: false,
+      error: 'CANNOT_TARGET_SELF',
+      message: 'You cannot suspend yourself'
+    });
+  }
+
+  try {
+    const disconnected = restrictTarget(req, 'suspended', hours);
+    console.log(`[ADMIN] ${req.playerHandle}: suspended ${req.target.handle}` + (hours ? ` for ${hours}h` : ''));
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      restriction: getRestriction(req.db, req.target.id),
+      disconnected
+    });
+  } catch (error) {
+    console.error('[ADMIN] Suspend error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SUSPEND_FAILED',
+      message: 'Failed to suspend player'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/ban
+ * Ban a player permanently (until reinstated)
+ * Body: { reason? }
+ */
+router.post('/admin/players/:handle/ban', loadTarget, (req, res) => {
+  if (req.target.id === req.playerId) {
+    return res.status(400).json({
+      success: false,
+      error: 'CANNOT_TARGET_SELF',
+      message: 'You cannot ban yourself'
+    });
+  }
+
+  try {
+    const disconnected = restrictTarget(req, 'banned', null);
+    console.log(`[ADMIN] ${req.playerHandle}: banned ${req.target.handle}`);
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      restriction: getRestriction(req.db, req.target.id),
+      disconnected
+    });
+  } catch (error) {
+    console.error('[ADMIN] Ban error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'BAN_FAILED',
+      message: 'Failed to ban player'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/reinstate
+ * Lift a suspension or ban
+ */
+router.post('/admin/players/:handle/reinstate', loadTarget, (req, res) => {
+  const db = req.db;
+
+  try {
+    db.transaction(() => {
+      setAccountStatus(db, req.target.id, 'active');
+      logAdminAction(db, req.playerId, 'PLAYER_REINSTATED', {
+        targetPlayerId: req.target.id,
+        ip: req.ip,
+        details: { handle: req.target.handle, previous_status: req.target.status }
+      });
+      logSecurityEvent(db, req.target.id, 'ACCOUNT_REINSTATED', { req });
+    })();
+
+    console.log(`[ADMIN] ${req.playerHandle}: reinstated ${req.target.handle}`);
+
+    res.json({
+      success: true,
+      handle: req.target.handle
+    });
+  } catch (error) {
+    console.error('[ADMIN] Reinstate error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'REINSTATE_FAILED',
+      message: 'Failed to reinstate player'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/logout
+ * Revoke every session of a player and close their connections
+ */
+router.post('/admin/players/:handle/logout', loadTarget, (req, res) => {
+  const db = req.db;
+
+  try {
+    const revoked = db.transaction(() => {
+      const tokens = revokeOtherSessions(db, req.target.id, null);
+      logAdminAction(db, req.playerId, 'FORCE_LOGOUT', {
+        targetPlayerId: req.target.id,
+        ip: req.ip,
+        details: { handle: req.target.handle, sessions_revoked: tokens.length }
+      });
+      logSecurityEvent(db, req.target.id, 'FORCED_LOGOUT', {
+        req,
+        details: { sessions_revoked: tokens.length }
+      });
+      return tokens;
+    })();
+
+    disconnectPlayer(req.target.id, 'FORCED_LOGOUT');
+
+    console.log(`[ADMIN] ${req.playerHandle}: logged out ${req.target.handle} (${revoked.length} sessions)`);
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      sessions_revoked: revoked.length
+    });
+  } catch (error) {
+    console.error('[ADMIN] Force logout error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LOGOUT_FAILED',
+      message: 'Failed to log out player'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/players/:handle/phone
+ * Give a player a different phone number. Same as a player's own change
+ * (history, forwarding, quarantine) but without the cooldown.
+ * Body: { phone_number?, area_code? } - a specific free number, or omit for
+ * a random one (in area_code if given)
+ */
+router.put('/admin/players/:handle/phone', loadTarget, (req, res) => {
+  const db = req.db;
+  const { phone_number, area_code } = req.body;
+
+  const requested = phone_number ? normalizePhoneNumber(phone_number) : null;
+  if (phone_number && !requested) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_NUMBER',
+      message: 'Phone number must be seven digits (e.g. 555-1337)'
+    });
+  }
+
+  try {
+    const change = db.transaction(() => {
+      const changed = changePhoneNumber(db, req.target.id, {
+        number: requested,
+        areaCode: area_code ? String(area_code) : null
+      });
+
+      logAdminAction(db, req.playerId, 'PHONE_REASSIGNED', {
+        targetPlayerId: req.target.id,
+        ip: req.ip,
+        details: { handle: req.target.handle, ...changed }
+      });
+      logSecurityEvent(db, req.target.id, 'PHONE_NUMBER_CHANGED', {
+        req,
+        details: changed
+      });
+
+      return changed;
+    })();
+
+    broadcastToPlayer(req.target.id, null, {
+      type: 'phone_changed',
+      phone_number: change.to,
+      previous_phone_number: change.from,
+      timestamp: Date.now()
+    });
+
+    console.log(`[ADMIN] ${req.playerHandle}: ${req.target.handle} phone ${change.from} -> ${change.to}`);
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      phone_number: change.to,
+      previous_phone_number: change.from
+    });
+  } catch (error) {
+    if (error.code === 'NUMBER_UNAVAILABLE') {
+      return res.status(409).json({
+        success: false,
+        error: requested ? 'NUMBER_UNAVAILABLE' : 'NO_NUMBERS',
+        message: error.message
+      });
+    }
+    console.error('[ADMIN] Phone reassign error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'REASSIGN_FAILED',
+      message: 'Failed to reassign phone number'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/scene/reset
+ * Reset a player's scene to the master default
+ * Body: { config_name? } - omit to reset every saved config
+ */
+router.post('/admin/players/:handle/scene/reset', loadTarget, (req, res) => {
+  const db = req.db;
+  const configName = req.body.config_name || null;
+
+  try {
+    const deleted = db.transaction(() => {
+      const result = configName
+        ? db.prepare('DELETE FROM scene_configs WHERE player_id = ? AND config_name = ?').run(req.target.id, configName)
+        : db.prepare('DELETE FROM scene_configs WHERE player_id = ?').run(req.target.id);
+
+      logAdminAction(db, req.playerId, 'SCENE_RESET', {
+        targetPlayerId: req.target.id,
+        ip: req.ip,
+        details: { handle: req.target.handle, config_name: configName, deleted: result.changes }
+      });
+
+      return result.changes;
+    })();
+
+    // Push the master layout to any open edit sessions
+    const master = db.prepare(`
+      SELECT config_data FROM scene_configs
+      WHERE player_id IS NULL AND config_name = 'master'
+    `).get();
+
+    if (master) {
+      broadcastToPlayer(req.target.id, null, {
+        type: 'scene_changed',
+        config: JSON.parse(master.config_data),
+        config_name: configName || 'default',
+        by_session: null,
+        timestamp: Date.now()
+      });
+    }
+
+    console.log(`[ADMIN] ${req.playerHandle}: reset scene for ${req.target.handle} (${deleted} configs)`);
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      deleted
+    });
+  } catch (error) {
+    console.error('[ADMIN] Scene reset error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'RESET_FAILED',
+      message: 'Failed to reset scene'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/delete
+ * Step 1 of deleting a player's account: get a confirmation token
+ */
+router.post('/admin/players/:handle/delete', loadTarget, (req, res) => {
+  if (req.target.id === req.playerId) {
+    return res.status(400).json({
+      success: false,
+      error: 'CANNOT_TARGET_SELF',
+      message: 'Use /api/account/delete to delete your own account'
+    });
+  }
+
+  try {
+    const token = requestDeletion(req.db, req.target.id, req.playerId);
+
+    res.json({
+      success: true,
+      handle: req.target.handle,
+      confirmation_token: token,
+      expires_in_minutes: CONFIRMATION_TTL_MINUTES
+    });
+  } catch (error) {
+    console.error('[ADMIN] Delete request error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_FAILED',
+      message: 'Failed to start account deletion'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/players/:handle/delete/confirm
+ * Step 2: permanently delete the player's account
+ * Body: { confirmation_token }
+ */
+router.post('/admin/players/:handle/delete/confirm', loadTarget, (req, res) => {
+  const db = req.db;
+
+  if (!isDeletionConfirmed(db, req.target.id, req.playerId, req.body.confirmation_token)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_CONFIRMATION',
+      message: 'Confirmation token is invalid or expired'
+    });
+  }
+
+  try {
+    const deleted = db.transaction(() => {
+      const result = deleteAccount(db, req.target.id);
+      logAdminAction(db, req.playerId, 'ACCOUNT_DELETED', {
+        targetPlayerId: req.target.id,
+        ip: req.ip,
+        details: { handle: result.handle, phone_number: result.phone_number }
+      });
+      logSecurityEvent(db, req.target.id, 'ACCOUNT_DELETED', {
+        req,
+        details: { handle: result.handle, by_admin: true }
+      });
+      return result;
+    })();
+
+    disconnectPlayer(req.target.id, 'ACCOUNT_DELETED');
+
+    console.log(`[ADMIN] ${req.playerHandle}: deleted ${deleted.handle} (${deleted.phone_number} released)`);
+
+    res.json({
+      success: true,
+      handle: deleted.handle
+    });
+  } catch (error) {
+    console.error('[ADMIN] Delete error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'DELETE_FAILED',
+      message: 'Failed to delete account'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/players/:handle/role
+ * Grant or revoke a role (admin only)
+ * Body: { role } - 'player', 'moderator' or 'admin'
+ */
+router.put('/admin/players/:handle/role', (req, res) => {
+  const db = req.db;
+  const handle = req.params.handle.toUpperCase();
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ROLE',
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  const target = db.prepare('SELECT id, handle, role FROM players WHERE handle = ?').get(handle);
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'NOT_FOUND',
+      message: `Handle not found: ${handle}`
+    });
+  }
+
+  // An admin demoting themselves could leave nobody able to undo it
+  if (target.id === req.playerId && role !== 'admin') {
+    return res.status(400).json({
+      success: false,
+      error: 'CANNOT_DEMOTE_SELF',
+      message: 'Ask another admin to change your role'
+    });
+  }
+
+  try {
+    db.transaction(() => {
+      setPlayerRole(db, target.id, role);
+      logAdminAction(db, req.playerId, 'ROLE_CHANGED', {
+        targetPlayerId: target.id,
+        ip: req.ip,
+        details: { handle: target.handle, from: target.role, to: role }
+      });
+      logSecurityEvent(db, target.id, 'ROLE_CHANGED', {
+        req,
+        details: { from: target.role, to: role }
+      });
+    })();
+
+    console.log(`[ADMIN] ${req.playerHandle}: ${target.handle} role ${target.role} -> ${role}`);
+
+    res.json({
+      success: true,
+      handle: target.handle,
+      role
+    });
+  } catch (error) {
+    console.error('[ADMIN] Role change error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'ROLE_CHANGE_FAILED',
+      message: 'Failed to change role'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reserved-handles
+ * The reserved / blocked handle list
+ */
+router.get('/admin/reserved-handles', (req, res) => {
+  res.json({
+    success: true,
+    entries: listReservedHandles(req.db)
+  });
+});
+
+/**
+ * POST /api/admin/reserved-handles
+ * Reserve a handle, or block every handle containing a word
+ * Body: { pattern, match_type? ('exact' | 'contains' | 'word'), reason? }
+ * Existing players are not renamed.
+ */
+router.post('/admin/reserved-handles', (req, res) => {
+  const db = req.db;
+  const { pattern, reason } = req.body;
+  const matchType = req.body.match_type || 'exact';
+
+  if (!pattern || typeof pattern !== 'string' || !/^[A-Za-z0-9_-]{2,12}$/.test(pattern.trim())) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PATTERN',
+      message: 'Pattern must be 2-12 letters, numbers, underscore or hyphen'
+    });
+  }
+
+  if (!MATCH_TYPES.includes(matchType)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_MATCH_TYPE',
+      message: `match_type must be one of: ${MATCH_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    const entry = db.transaction(() => {
+      const added = addReservedHandle(db, pattern, matchType, reason, req.playerId);
+      if (added) {
+        logAdminAction(db, req.playerId, 'RESERVED_HANDLE_ADDED', {
+          ip: req.ip,
+          details: { pattern: added.pattern, match_type: added.match_type, reason: added.reason }
+        });
+      }
+      return added;
+    })();
+
+    if (!entry) {
+      return res.status(409).json({
+        success: false,
+        error: 'ALREADY_RESERVED',
+        message: 'Pattern is already on the list'
+      });
+    }
+
+    console.log(`[ADMIN] ${req.playerHandle}: reserved handle ${entry.pattern} (${entry.match_type})`);
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('[ADMIN] Reserve handle error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_FAILED',
+      message: 'Failed to update reserved handles'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/reserved-handles/:id
+ * Remove an entry from the reserved handle list
+ */
+router.delete('/admin/reserved-handles/:id', (req, res) => {
+  const db = req.db;
+
+  try {
+    const entry = db.transaction(() => {
+      const removed = removeReservedHandle(db, parseInt(req.params.id));
+      if (removed) {
+        logAdminAction(db, req.playerId, 'RESERVED_HANDLE_REMOVED', {
+          ip: req.ip,
+          details: { pattern: removed.pattern, match_type: removed.match_type }
+        });
+      }
+      return removed;
+    })();
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: 'Reserved handle entry not found'
+      });
+    }
+
+    console.log(`[ADMIN] ${req.playerHandle}: released reserved handle ${entry.pattern}`);
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    console.error('[ADMIN] Unreserve handle error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_FAILED',
+      message: 'Failed to update reserved handles'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Admin audit log, newest first (admin only)
+ * Query params: actor, target (handles), action, limit (max 500)
+ */
+router.get('/admin/audit', (req, res) => {
+  const db = req.db;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  const findId = (handle) => {
+    const player = db.prepare('SELECT id FROM players WHERE handle = ?').get(handle.toUpperCase());
+    return player ? player.id : -1;
+  };
+
+  try {
+    res.json({
+      success: true,
+      entries: listAdminActions(db, {
+        actorId: req.query.actor ? findId(req.query.actor) : null,
+        targetPlayerId: req.query.target ? findId(req.query.target) : null,
+        action: req.query.action ? req.query.action.toUpperCase() : null,
+        limit
+      })
+    });
+  } catch (error) {
+    console.error('[ADMIN] Audit log error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to load audit log'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/security-events
+ * Security events across all players, newest first (admin only)
+ * Query params: handle, event, ip, browser_id, since, until (dates),
+ *   before_id (paging), limit (max 500)
+ */
+router.get('/admin/security-events', (req, res) => {
+  const db = req.db;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  for (const param of ['since', 'until']) {
+    if (req.query[param] && Number.isNaN(Date.parse(req.query[param]))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE',
+        message: `${param} must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`
+      });
+    }
+  }
+
+  let playerId = null;
+  if (req.query.handle) {
+    const player = db.prepare('SELECT id FROM players WHERE handle = ?').get(String(req.query.handle).toUpperCase());
+    playerId = player ? player.id : -1;
+  }
+
+  const toSqlDate = (value) => new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+
+  try {
+    res.json({
+      success: true,
+      events: searchSecurityEvents(db, {
+        playerId,
+        event: req.query.event ? String(req.query.event).toUpperCase() : null,
+        ip: req.query.ip || null,
+        browserId: req.query.browser_id || null,
+        since: req.query.since ? toSqlDate(req.query.since) : null,
+        until: req.query.until ? toSqlDate(req.query.until) : null,
+        beforeId: parseInt(req.query.before_id) || null,
+        limit
+      })
+    });
+  } catch (error) {
+    console.error('[ADMIN] Security events error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to load security events'
+    });
+  }
+});
+
+// ============================================================================
+// NUMBERING PLAN
+// ============================================================================
+
+/**
+ * GET /api/admin/phone-plan
+ * Every planned exchange with its purpose and pool usage
+ */
+router.get('/admin/phone-plan', (req, res) => {
+  res.json({
+    success: true,
+    ...getPoolStats(req.db)
+  });
+});
+
+/**
+ * POST /api/admin/phone-plan
+ * Add exchanges to the numbering plan on the live server
+ * Body: { area_code, purpose ('players' | 'npc' | 'service'), from, to? }
+ * Exchanges that are already planned keep their purpose and numbers.
+ */
+router.post('/admin/phone-plan', (req, res) => {
+  const db = req.db;
+  const areaCode = String(req.body.area_code ?? '');
+  const { purpose } = req.body;
+  const from = Number(req.body.from);
+  const to = req.body.to === undefined ? from : Number(req.body.to);
+
+  if (!/^\d{3}$/.test(areaCode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_AREA_CODE',
+      message: 'Area code must be 3 digits'
+    });
+  }
+
+  if (!PURPOSES.includes(purpose)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PURPOSE',
+      message: `purpose must be one of: ${PURPOSES.join(', ')}`
+    });
+  }
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > 99 || from > to) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EXCHANGE',
+      message: 'from and to must be exchanges 0-99, from <= to'
+    });
+  }
+
+  try {
+    const result = db.transaction(() => {
+      const added = addExchanges(db, { areaCode, purpose, from, to });
+      if (added.added.length > 0) {
+        logAdminAction(db, req.playerId, 'PHONE_PLAN_EXTENDED', {
+          ip: req.ip,
+          details: { area_code: areaCode, purpose, exchanges: added.added }
+        });
+      }
+      return added;
+    })();
+
+    if (result.added.length > 0) {
+      console.log(`[ADMIN] ${req.playerHandle}: numbering plan ${areaCode} exchanges ${result.added.join(',')} added (${purpose})`);
+    }
+
+    res.json({
+      success: true,
+      area_code: areaCode,
+      purpose,
+      added: result.added,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('[ADMIN] Phone plan error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'UPDATE_FAILED',
+      message: 'Failed to update the numbering plan'
+    });
+  }
+});
+
+// ============================================================================
+// WORLD DIRECTORY
+// ============================================================================
+
+/**
+ * GET /api/admin/world
+ * Current world season (new seasons: node scripts/regenerate-world.js)
+ */
+router.get('/admin/world', (req, res) => {
+  const { season, note, created_at } = getCurrentSeason(req.db);
+  res.json({ success: true, season, note, created_at });
+});
+
+/**
+ * GET /api/admin/world/lookup/:number
+ * What answers a number, and the world entry behind it
+ */
+router.get('/admin/world/lookup/:number', (req, res) => {
+  const number = normalizePhoneNumber(req.params.number);
+
+  if (!number) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_NUMBER',
+      message: 'Phone number must be seven digits (e.g. 555-0142)'
+    });
+  }
+
+  const directory = getExchangeDirectory(req.db, number.slice(0, 3), number.slice(4, 6));
+
+  res.json({
+    success: true,
+    season: directory.season,
+    answer: dialNumber(req.db, number),
+    world: directory.entries[parseInt(number.slice(6), 10)]
+  });
+});
+
+/**
+ * GET /api/admin/world/:area_code/:exchange
+ * All 100 numbers of an exchange (e.g. /world/555/01 = 555-0100..555-0199)
+ * Query: kind (host, bbs, fax, voice, busy, dead) to filter
+ * Numbers in the phone pool are marked: players own them, not the world.
+ * purpose is the exchange's numbering plan purpose (null if unplanned).
+ */
+router.get('/admin/world/:area_code/:exchange', (req, res) => {
+  const { area_code: areaCode, exchange } = req.params;
+
+  if (!/^\d{3}$/.test(areaCode) || !/^\d{2}$/.test(exchange)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EXCHANGE',
+      message: 'Area code must be 3 digits and exchange 2 digits'
+    });
+  }
+
+  try {
+    const directory = getExchangeDirectory(req.db, areaCode, exchange);
+
+    const poolNumbers = new Set(req.db.prepare(`
+      SELECT number FROM phone_pool WHERE number LIKE ?
+    `).all(`${areaCode}-${exchange}__`).map(row => row.number));
+
+    const counts = {};
+    for (const entry of directory.entries) {
+      counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+    }
+
+    const entries = directory.entries
+      .filter(entry => !req.query.kind || entry.kind === req.query.kind)
+      .map(entry => (poolNumbers.has(entry.number) ? { ...entry, player_pool: true } : entry));
+
+    res.json({
+      success: true,
+      ...directory,
+      purpose: getExchangePurpose(req.db, `${areaCode}-${exchange}00`),
+      counts,
+      entries
+    });
+  } catch (error) {
+    console.error('[ADMIN] World directory error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to load world directory'
+    });
+  }
+});
+
+module.exports = router;
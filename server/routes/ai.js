@@ -7,46 +7,12 @@
 
 const express = require('express');
 const router = express.Router();
-
-// Rate limiting
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 5; // 5 requests per minute per IP
-const rateLimitMap = new Map();
+const { rateLimit, RATE_LIMITS } = require('../utils/rate_limit');
 
 // Usage tracking
 let totalGenerations = 0;
 let generationsByDay = {};
 
-/**
- * Simple rate limiter middleware
- */
-function rateLimiter(req, res, next) {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-
-    if (!rateLimitMap.has(ip)) {
-        rateLimitMap.set(ip, { count: 0, resetTime: now + RATE_LIMIT_WINDOW_MS });
-    }
-
-    const limit = rateLimitMap.get(ip);
-
-    if (now > limit.resetTime) {
-        limit.count = 0;
-        limit.resetTime = now + RATE_LIMIT_WINDOW_MS;
-    }
-
-    limit.count++;
-
-    if (limit.count > RATE_LIMIT_MAX_REQUESTS) {
-        return res.status(429).json({
-            error: 'Rate limit exceeded',
-            retryAfter: Math.ceil((limit.resetTime - now) / 1000)
-        });
-    }
-
-    next();
-}
-
 /**
  * POST /api/assets/generate
  *
@@ -57,7 +23,7 @@ function rateLimiter(req, res, next) {
  *   - aspect_ratio: string (optional) - "1:1", "16:9", "9:16", "4:3", "3:4"
  *   - style: string (optional) - Style preset name
  */
-router.post('/generate', rateLimiter, async (req, res) => {
+router.post('/generate', rateLimit('ai_generate'), async (req, res) => {
     const { prompt, aspect_ratio = '1:1', style = 'retro_80s' } = req.body;
 
     if (!prompt) {
@@ -149,7 +115,7 @@ router.get('/generate/status', (req, res) => {
 
     res.json({
         available: !!apiKey,
-        rateLimitPerMinute: RATE_LIMIT_MAX_REQUESTS,
+        rateLimitPerMinute: RATE_LIMITS.ai_generate.perMinute,
         totalGenerations,
         generationsToday: generationsByDay[new Date().toISOString().split('T')[0]] || 0
     });
@@ -6,6 +6,9 @@
 const express = require('express');
 const crypto = require('crypto');
 const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { enforceQuota, sendQuotaExceeded } = require('../utils/quotas');
+const { rateLimit } = require('../utils/rate_limit');
 
 // Max versions to keep per file
 const MAX_VERSIONS = 5;
@@ -56,51 +59,15 @@ function saveFileVersion(db, playerId, path) {
   );
 }
 
-/**
- * Middleware to validate session token
- */
-function validateToken(req, res, next) {
-  const token = req.params.token || req.body.token || req.headers['x-session-token'];
-  const db = req.db;
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'MISSING_TOKEN',
-      message: 'Session token required'
-    });
-  }
-
-  const session = db.prepare(`
-    SELECT s.player_id, s.token, p.handle
-    FROM sessions s
-    JOIN players p ON s.player_id = p.id
-    WHERE s.token = ? AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))
-  `).get(token);
-
-  if (!session) {
-    return res.status(401).json({
-      success: false,
-      error: 'INVALID_TOKEN',
-      message: 'Invalid or expired session token'
-    });
-  }
-
-  req.playerId = session.player_id;
-  req.playerHandle = session.handle;
-  req.sessionToken = session.token;
-  next();
-}
-
 // ============================================================================
 // FULL FILESYSTEM OPERATIONS (Legacy support)
 // ============================================================================
 
 /**
- * GET /api/filesystem/:token
+ * GET /api/filesystem
  * Get player's full filesystem
  */
-router.get('/filesystem/:token', validateToken, (req, res) => {
+router.get('/filesystem', requireAuth, (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
 
@@ -133,10 +100,10 @@ router.get('/filesystem/:token', validateToken, (req, res) => {
 });
 
 /**
- * PUT /api/filesystem/:token
+ * PUT /api/filesystem
  * Sync player's filesystem (full replacement)
  */
-router.put('/filesystem/:token', validateToken, (req, res) => {
+router.put('/filesystem', requireAuth, rateLimit('file_write'), (req, res) => {
   const { filesystem } = req.body;
   const db = req.db;
   const playerId = req.playerId;
@@ -182,6 +149,7 @@ router.put('/filesystem/:token', validateToken, (req, res) => {
       fileCount++;
     }
 
+    enforceQuota(db, playerId);
     return fileCount;
   });
 
@@ -195,6 +163,7 @@ router.put('/filesystem/:token', validateToken, (req, res) => {
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[SYNC] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -205,10 +174,10 @@ router.put('/filesystem/:token', validateToken, (req, res) => {
 });
 
 /**
- * PATCH /api/filesystem/:token
+ * PATCH /api/filesystem
  * Partial filesystem update (add/update specific files)
  */
-router.patch('/filesystem/:token', validateToken, (req, res) => {
+router.patch('/filesystem', requireAuth, rateLimit('file_write'), (req, res) => {
   const { changes } = req.body;
   const db = req.db;
   const playerId = req.playerId;
@@ -272,6 +241,7 @@ router.patch('/filesystem/:token', validateToken, (req, res) => {
       }
     }
 
+    enforceQuota(db, playerId);
     return { updated, deleted };
   });
 
@@ -284,6 +254,7 @@ router.patch('/filesystem/:token', validateToken, (req, res) => {
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[PATCH] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -298,10 +269,10 @@ router.patch('/filesystem/:token', validateToken, (req, res) => {
 // ============================================================================
 
 /**
- * POST /api/files/:token
+ * POST /api/files
  * Create or update a single file
  */
-router.post('/files/:token', validateToken, (req, res) => {
+router.post('/files', requireAuth, rateLimit('file_write'), (req, res) => {
   const { path, file_type, content, program, metadata } = req.body;
   const db = req.db;
   const playerId = req.playerId;
@@ -314,13 +285,13 @@ router.post('/files/:token', validateToken, (req, res) => {
     });
   }
 
-  try {
+  const hash = computeHash(content);
+  const size = content ? content.length : 0;
+
+  const writeFile = db.transaction(() => {
     // Save version before update
     saveFileVersion(db, playerId, path);
 
-    const hash = computeHash(content);
-    const size = content ? content.length : 0;
-
     db.prepare(`
       INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, program, metadata, updated_at, updated_by_session)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
@@ -345,6 +316,12 @@ router.post('/files/:token', validateToken, (req, res) => {
       req.sessionToken
     );
 
+    enforceQuota(db, playerId);
+  });
+
+  try {
+    writeFile();
+
     console.log(`[FILE] ${req.playerHandle}: created/updated ${path}`);
 
     res.json({
@@ -355,6 +332,7 @@ router.post('/files/:token', validateToken, (req, res) => {
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[FILE] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -365,11 +343,11 @@ router.post('/files/:token', validateToken, (req, res) => {
 });
 
 /**
- * GET /api/files/:token/:path
+ * GET /api/files/:path
  * Get a single file with metadata
  * Note: path should be URL encoded (e.g., C%3A%5CGAMES%5CREADME.TXT)
  */
-router.get('/files/:token/*', validateToken, (req, res) => {
+router.get('/files/*', requireAuth, (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   const path = req.params[0]; // Get the wildcard path
@@ -405,10 +383,10 @@ router.get('/files/:token/*', validateToken, (req, res) => {
 });
 
 /**
- * DELETE /api/files/:token/:path
+ * DELETE /api/files/:path
  * Delete a single file (saves version first)
  */
-router.delete('/files/:token/*', validateToken, (req, res) => {
+router.delete('/files/*', requireAuth, rateLimit('file_write'), (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   const path = req.params[0];
@@ -451,10 +429,10 @@ router.delete('/files/:token/*', validateToken, (req, res) => {
 // ============================================================================
 
 /**
- * POST /api/dirs/:token
+ * POST /api/dirs
  * Create a directory
  */
-router.post('/dirs/:token', validateToken, (req, res) => {
+router.post('/dirs', requireAuth, rateLimit('file_write'), (req, res) => {
   const { path } = req.body;
   const db = req.db;
   const playerId = req.playerId;
@@ -481,10 +459,14 @@ router.post('/dirs/:token', validateToken, (req, res) => {
       });
     }
 
-    db.prepare(`
-      INSERT INTO player_files (player_id, path, file_type, updated_at, updated_by_session)
-      VALUES (?, ?, 'dir', datetime('now'), ?)
-    `).run(playerId, path, req.sessionToken);
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO player_files (player_id, path, file_type, updated_at, updated_by_session)
+        VALUES (?, ?, 'dir', datetime('now'), ?)
+      `).run(playerId, path, req.sessionToken);
+
+      enforceQuota(db, playerId);
+    })();
 
     console.log(`[DIR] ${req.playerHandle}: created ${path}`);
 
@@ -494,6 +476,7 @@ router.post('/dirs/:token', validateToken, (req, res) => {
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[DIR] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -504,10 +487,10 @@ router.post('/dirs/:token', validateToken, (req, res) => {
 });
 
 /**
- * DELETE /api/dirs/:token/:path
+ * DELETE /api/dirs/:path
  * Remove a directory (must be empty)
  */
-router.delete('/dirs/:token/*', validateToken, (req, res) => {
+router.delete('/dirs/*', requireAuth, rateLimit('file_write'), (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   const path = req.params[0];
@@ -574,10 +557,10 @@ router.delete('/dirs/:token/*', validateToken, (req, res) => {
 // ============================================================================
 
 /**
- * GET /api/versions/:token/:path
+ * GET /api/versions/:path
  * List version history for a file
  */
-router.get('/versions/:token/*', validateToken, (req, res) => {
+router.get('/versions/*', requireAuth, (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   const path = req.params[0];
@@ -616,10 +599,10 @@ router.get('/versions/:token/*', validateToken, (req, res) => {
 });
 
 /**
- * POST /api/versions/:token/:path/restore/:version
+ * POST /api/versions/:path/restore/:version
  * Restore a file to a previous version
  */
-router.post('/versions/:token/*/restore/:version', validateToken, (req, res) => {
+router.post('/versions/*/restore/:version', requireAuth, rateLimit('file_write'), (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   // Extract path from params - it's between token and /restore
@@ -650,29 +633,33 @@ router.post('/versions/:token/*/restore/:version', validateToken, (req, res) =>
       });
     }
 
-    // Save current version before restoring
-    saveFileVersion(db, playerId, pathParts);
+    db.transaction(() => {
+      // Save current version before restoring
+      saveFileVersion(db, playerId, pathParts);
+
+      // Restore the file (it may be bigger than the current one, or recreate a deleted one)
+      db.prepare(`
+        INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, updated_at, updated_by_session)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?)
+        ON CONFLICT(player_id, path) DO UPDATE SET
+          file_type = excluded.file_type,
+          content = excluded.content,
+          content_hash = excluded.content_hash,
+          file_size = excluded.file_size,
+          updated_at = datetime('now'),
+          updated_by_session = excluded.updated_by_session
+      `).run(
+        playerId,
+        pathParts,
+        versionData.file_type,
+        versionData.content,
+        versionData.content_hash,
+        versionData.file_size,
+        req.sessionToken
+      );
 
-    // Restore the file
-    db.prepare(`
-      INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, updated_at, updated_by_session)
-      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?)
-      ON CONFLICT(player_id, path) DO UPDATE SET
-        file_type = excluded.file_type,
-        content = excluded.content,
-        content_hash = excluded.content_hash,
-        file_size = excluded.file_size,
-        updated_at = datetime('now'),
-        updated_by_session = excluded.updated_by_session
-    `).run(
-      playerId,
-      pathParts,
-      versionData.file_type,
-      versionData.content,
-      versionData.content_hash,
-      versionData.file_size,
-      req.sessionToken
-    );
+      enforceQuota(db, playerId);
+    })();
 
     console.log(`[VERSION] ${req.playerHandle}: restored ${pathParts} to version ${version}`);
 
@@ -683,6 +670,7 @@ router.post('/versions/:token/*/restore/:version', validateToken, (req, res) =>
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[VERSION RESTORE] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -697,10 +685,10 @@ router.post('/versions/:token/*/restore/:version', validateToken, (req, res) =>
 // ============================================================================
 
 /**
- * POST /api/batch/:token
+ * POST /api/batch
  * Apply multiple file operations atomically
  */
-router.post('/batch/:token', validateToken, (req, res) => {
+router.post('/batch', requireAuth, rateLimit('file_write'), (req, res) => {
   const { operations } = req.body;
   const db = req.db;
   const playerId = req.playerId;
@@ -797,6 +785,7 @@ router.post('/batch/:token', validateToken, (req, res) => {
       }
     }
 
+    enforceQuota(db, playerId);
     return results;
   });
 
@@ -810,6 +799,7 @@ router.post('/batch/:token', validateToken, (req, res) => {
       server_time: Date.now()
     });
   } catch (error) {
+    if (sendQuotaExceeded(res, error)) return;
     console.error('[BATCH] Error:', error.message);
     res.status(500).json({
       success: false,
@@ -824,10 +814,10 @@ router.post('/batch/:token', validateToken, (req, res) => {
 // ============================================================================
 
 /**
- * GET /api/sync/:token
+ * GET /api/sync
  * Get changes since a timestamp
  */
-router.get('/sync/:token', validateToken, (req, res) => {
+router.get('/sync', requireAuth, (req, res) => {
   const db = req.db;
   const playerId = req.playerId;
   const since = req.query.since ? new Date(parseInt(req.query.since)).toISOString() : null;
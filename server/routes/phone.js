@@ -0,0 +1,158 @@
+/**
+ * Phone Network Routes
+ * Dialing numbers (the server decides what answers) and war dial scan jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { rateLimit } = require('../utils/rate_limit');
+const { normalizePhoneNumber, dialNumber } = require('../utils/phone_network');
+const { createScanJob, getScanJob, listScanJobs, updateScanJob } = require('../utils/scan_jobs');
+
+// Scan job error codes -> HTTP status
+const SCAN_ERROR_STATUS = {
+  INVALID_RANGE: 400,
+  SCAN_IN_PROGRESS: 409,
+  INVALID_STATE: 409,
+  QUOTA_EXCEEDED: 413
+};
+
+/**
+ * POST /api/dial
+ * Dial a number and get what answers it
+ * Body: { number } - seven digits, any punctuation (555-0142, 555-01-42)
+ */
+router.post('/dial', requireAuth, rateLimit('dial'), (req, res) => {
+  const number = normalizePhoneNumber(req.body.number);
+
+  if (!number) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_NUMBER',
+      message: 'Phone number must be seven digits (e.g. 555-0142)'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...dialNumber(req.db, number)
+    });
+  } catch (error) {
+    console.error('[PHONE] Dial error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'DIAL_FAILED',
+      message: 'Failed to dial number'
+    });
+  }
+});
+
+// ============================================================================
+// SCAN JOBS
+// ============================================================================
+
+/**
+ * POST /api/scans
+ * Start a war dial scan that runs on the server
+ * Body: { area_code, prefix, start, end } - as the war dialer (555, 01, 0, 99)
+ */
+router.post('/scans', requireAuth, rateLimit('scan'), (req, res) => {
+  try {
+    const job = createScanJob(req.db, req.playerId, req.body);
+    console.log(`[SCAN] ${req.playerHandle}: started scan ${job.id} (${job.area_code}-${job.prefix}-${job.start}..${job.end})`);
+
+    res.status(201).json({ success: true, job });
+  } catch (error) {
+    if (SCAN_ERROR_STATUS[error.code]) {
+      return res.status(SCAN_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    console.error('[SCAN] Start error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SCAN_FAILED',
+      message: 'Failed to start scan'
+    });
+  }
+});
+
+/**
+ * GET /api/scans
+ * The player's scan jobs, newest first
+ * Query: limit (default 20, max 100)
+ */
+router.get('/scans', requireAuth, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      jobs: listScanJobs(req.db, req.playerId, req.query.limit)
+    });
+  } catch (error) {
+    console.error('[SCAN] List error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to list scans'
+    });
+  }
+});
+
+/**
+ * GET /api/scans/:id
+ * One scan job with its results so far
+ */
+router.get('/scans/:id', requireAuth, (req, res) => {
+  const job = getScanJob(req.db, req.playerId, parseInt(req.params.id));
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'SCAN_NOT_FOUND',
+      message: 'Scan not found'
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * POST /api/scans/:id/pause, /resume, /cancel
+ * Control a scan job
+ */
+router.post('/scans/:id/:action(pause|resume|cancel)', requireAuth, rateLimit('scan'), (req, res) => {
+  try {
+    const job = updateScanJob(req.db, req.playerId, parseInt(req.params.id), req.params.action);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'SCAN_NOT_FOUND',
+        message: 'Scan not found'
+      });
+    }
+
+    console.log(`[SCAN] ${req.playerHandle}: ${req.params.action} scan ${job.id}`);
+    res.json({ success: true, job });
+  } catch (error) {
+    if (SCAN_ERROR_STATUS[error.code]) {
+      return res.status(SCAN_ERROR_STATUS[error.code]).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    console.error('[SCAN] Update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SCAN_UPDATE_FAILED',
+      message: 'Failed to update scan'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,48 +3,174 @@
  */
 
 const express = require('express');
-const crypto = require('crypto');
 const router = express.Router();
-const { generateRecoveryCode } = require('../utils/recovery_code');
-const { allocatePhoneNumber, getPoolStats } = require('../utils/phone_pool');
-const { sendRecoveryCodeEmail, isValidEmail } = require('../utils/email');
+const { generateUniqueRecoveryCode, normalizeRecoveryCode, resolveRecoveryCode } = require('../utils/recovery_code');
+const { allocatePhoneNumber, allocateSpecificNumber, getPoolStats, listAreaCodes } = require('../utils/phone_pool');
+const { normalizePhoneNumber } = require('../utils/phone_network');
+const { buildNumberPattern, searchAvailableNumbers, findForward } = require('../utils/phone_numbers');
+const { sendLoginCodeEmail, isValidEmail } = require('../utils/email');
+const { createSession } = require('../utils/sessions');
+const { sendVerification, consumeVerification, getVerificationDeadline } = require('../utils/email_verification');
+const { generateGuestHandle, GUEST_TTL_DAYS } = require('../utils/guests');
+const { checkHandle, checkHandleAvailable, findReservation, findHeldHandle } = require('../utils/handles');
+const { getProfile, toPublicProfile } = require('../utils/profiles');
+const { listDirectory, SORTS } = require('../utils/directory');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../utils/two_factor');
+const { checkRecoveryAllowed, recordRecoveryFailure } = require('../utils/recovery_guard');
+const { QUOTAS } = require('../utils/quotas');
+const {
+  isThrottled,
+  createLoginCode,
+  consumeLoginCode,
+  recordLoginCodeFailure,
+  CODE_TTL_MINUTES
+} = require('../utils/login_codes');
+const { logSecurityEvent } = require('../utils/security_log');
+const { rateLimit } = require('../utils/rate_limit');
+const { hashSecret } = require('../utils/secret_hash');
+const { getRestriction, describeRestriction } = require('../utils/moderation');
 
 /**
- * POST /api/register
- * Register a new player with a handle
+ * Create a player with a phone number and a first session (one transaction)
+ * @param {Database} db - SQLite database instance
+ * @param {object} account
+ * @param {string} account.handle - Validated, free handle
+ * @param {string|null} account.email - Normalized email (null for guests)
+ * @param {boolean} account.isGuest - Create a guest account
+ * @param {string} account.recoveryCode - Plaintext recovery code
+ * @param {string|null} account.browserId - Client browser identifier
+ * @param {string|null} account.areaCode - Preferred area code for the phone number
+ * @param {string|null} account.phoneNumber - A specific free number to claim instead
+ * @returns {object} { playerId, phoneNumber, sessionToken }
+ * @throws {Error} code NUMBER_UNAVAILABLE if the claimed number was taken
  */
-router.post('/register', (req, res) => {
-  const { handle, email, browser_id } = req.body;
-  const db = req.db;
+function createPlayerAccount(db, account) {
+  return db.transaction(() => {
+    // Create player (phone number will be null initially)
+    const result = db.prepare(`
+      INSERT INTO players (handle, phone_number, recovery_code, email, is_guest)
+      VALUES (?, '', ?, ?, ?)
+    `).run(account.handle, hashSecret(account.recoveryCode), account.email, account.isGuest ? 1 : 0);
 
-  // Validate handle
-  if (!handle || typeof handle !== 'string') {
-    return res.status(400).json({
+    const playerId = result.lastInsertRowid;
+
+    // Allocate phone number (the claimed one, or any in the area code)
+    let phoneNumber;
+    if (account.phoneNumber) {
+      if (!allocateSpecificNumber(db, playerId, account.phoneNumber)) {
+        const error = new Error(`Phone number not available: ${account.phoneNumber}`);
+        error.code = 'NUMBER_UNAVAILABLE';
+        throw error;
+      }
+      phoneNumber = account.phoneNumber;
+    } else {
+      phoneNumber = allocatePhoneNumber(db, playerId, { areaCode: account.areaCode });
+    }
+    if (!phoneNumber) {
+      throw new Error('Failed to allocate phone number');
+    }
+
+    // Update player with phone number
+    db.prepare('UPDATE players SET phone_number = ? WHERE id = ?').run(phoneNumber, playerId);
+
+    // Create session
+    const sessionToken = createSession(db, playerId, account.browserId);
+
+    return {
+      playerId,
+      phoneNumber,
+      sessionToken
+    };
+  })();
+}
+
+/**
+ * Send the common pre-registration failures (bad number or area code, no
+ * numbers, no recovery code)
+ * @param {Database} db - SQLite database instance
+ * @param {Response} res - Express response
+ * @param {object} phone
+ * @param {string|null} phone.areaCode - Requested area code, if any
+ * @param {*} phone.requested - Requested phone number from the body, if any
+ * @returns {object|null} { recoveryCode, phoneNumber }, or null if an error response was sent
+ */
+function prepareRegistration(db, res, phone) {
+  const { areaCode, requested } = phone;
+
+  // A claimed number must at least look like one; whether it is free is
+  // settled when it is allocated
+  const phoneNumber = requested ? normalizePhoneNumber(requested) : null;
+  if (requested && !phoneNumber) {
+    res.status(400).json({
       success: false,
-      error: 'INVALID_HANDLE',
-      message: 'Handle is required'
+      error: 'INVALID_NUMBER',
+      message: 'Phone number must be seven digits (e.g. 555-1337)'
     });
+    return null;
   }
 
-  const cleanHandle = handle.toUpperCase().trim();
+  // Only area codes with player exchanges can be asked for
+  if (areaCode) {
+    const areaCodes = listAreaCodes(db).map(area => area.area_code);
+    if (!areaCodes.includes(areaCode)) {
+      res.status(400).json({
+        success: false,
+        error: 'INVALID_AREA_CODE',
+        message: `Area code must be one of: ${areaCodes.join(', ')}`,
+        area_codes: areaCodes
+      });
+      return null;
+    }
+  }
 
-  if (cleanHandle.length < 3 || cleanHandle.length > 12) {
-    return res.status(400).json({
+  // Check pool availability
+  const stats = getPoolStats(db);
+  if (stats.available === 0) {
+    res.status(503).json({
       success: false,
-      error: 'INVALID_HANDLE',
-      message: 'Handle must be 3-12 characters'
+      error: 'NO_NUMBERS',
+      message: 'No phone numbers available'
+    });
+    return null;
+  }
+
+  // Generate recovery code
+  const recoveryCode = generateUniqueRecoveryCode(db);
+
+  if (!recoveryCode) {
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'Could not generate unique recovery code'
     });
+    return null;
   }
 
-  // Check for valid characters (alphanumeric, underscore, hyphen)
-  if (!/^[A-Z0-9_-]+$/.test(cleanHandle)) {
+  return { recoveryCode, phoneNumber };
+}
+
+/**
+ * POST /api/register
+ * Register a new player with a handle
+ * Body: { handle, email, browser_id?, area_code?, phone_number? } - phone_number
+ * claims a free number (see GET /api/numbers)
+ */
+router.post('/register', rateLimit('register'), (req, res) => {
+  const { handle, email, browser_id, area_code, phone_number } = req.body;
+  const db = req.db;
+
+  // Validate handle
+  const checked = checkHandle(handle);
+  if (!checked.handle) {
     return res.status(400).json({
       success: false,
       error: 'INVALID_HANDLE',
-      message: 'Handle can only contain letters, numbers, underscore, and hyphen'
+      message: checked.message
     });
   }
 
+  const cleanHandle = checked.handle;
+
   // Validate email
   if (!email || !isValidEmail(email)) {
     return res.status(400).json({
@@ -56,8 +182,10 @@ router.post('/register', (req, res) => {
 
   const cleanEmail = email.trim().toLowerCase();
 
-  // Check if email already registered
-  const existingEmail = db.prepare('SELECT id FROM players WHERE email = ?').get(cleanEmail);
+  // Check if email already registered (unverified claims don't count - they expire)
+  const existingEmail = db.prepare(`
+    SELECT id FROM players WHERE email = ? AND email_verified_at IS NOT NULL
+  `).get(cleanEmail);
   if (existingEmail) {
     return res.status(409).json({
       success: false,
@@ -66,98 +194,146 @@ router.post('/register', (req, res) => {
     });
   }
 
-  // Check if handle already exists
-  const existing = db.prepare('SELECT id FROM players WHERE handle = ?').get(cleanHandle);
-  if (existing) {
+  // Check the handle is free and not reserved
+  const unavailable = checkHandleAvailable(db, cleanHandle);
+  if (unavailable) {
     return res.status(409).json({
       success: false,
-      error: 'HANDLE_TAKEN',
-      message: 'Handle already registered'
+      ...unavailable
     });
   }
 
-  // Check pool availability
-  const stats = getPoolStats(db);
-  if (stats.available === 0) {
-    return res.status(503).json({
-      success: false,
-      error: 'NO_NUMBERS',
-      message: 'No phone numbers available'
+  const areaCode = area_code ? String(area_code) : null;
+  const prepared = prepareRegistration(db, res, { areaCode, requested: phone_number });
+  if (!prepared) return;
+  const { recoveryCode, phoneNumber: requestedNumber } = prepared;
+
+  try {
+    const { playerId, phoneNumber, sessionToken } = createPlayerAccount(db, {
+      handle: cleanHandle,
+      email: cleanEmail,
+      isGuest: false,
+      recoveryCode,
+      browserId: browser_id,
+      areaCode,
+      phoneNumber: requestedNumber
     });
-  }
 
-  // Generate recovery code
-  let recoveryCode;
-  let attempts = 0;
-  do {
-    recoveryCode = generateRecoveryCode();
-    const existingCode = db.prepare('SELECT id FROM players WHERE recovery_code = ?').get(recoveryCode);
-    if (!existingCode) break;
-    attempts++;
-  } while (attempts < 10);
-
-  if (attempts >= 10) {
-    return res.status(500).json({
+    logSecurityEvent(db, playerId, 'REGISTERED', { req, details: { handle: cleanHandle, phone_number: phoneNumber } });
+    console.log(`[REGISTER] New player: ${cleanHandle} (${phoneNumber}) - ${cleanEmail} (unverified)`);
+
+    // Only a verification link goes out; the recovery code is shown once, here
+    sendVerification(db, playerId, cleanHandle, cleanEmail);
+
+    res.json({
+      success: true,
+      handle: cleanHandle,
+      phone_number: phoneNumber,
+      recovery_code: recoveryCode,
+      session_token: sessionToken,
+      email: cleanEmail,
+      email_verified: false,
+      verify_by: getVerificationDeadline(db, playerId),
+      limits: QUOTAS.unverified
+    });
+  } catch (error) {
+    if (error.code === 'NUMBER_UNAVAILABLE') {
+      return res.status(409).json({
+        success: false,
+        error: 'NUMBER_UNAVAILABLE',
+        message: error.message
+      });
+    }
+    console.error('[REGISTER] Error:', error.message);
+    res.status(500).json({
       success: false,
       error: 'INTERNAL_ERROR',
-      message: 'Could not generate unique recovery code'
+      message: 'Registration failed'
     });
   }
+});
 
-  // Start transaction
-  const createPlayer = db.transaction(() => {
-    // Create player (phone number will be null initially)
-    const result = db.prepare(`
-      INSERT INTO players (handle, phone_number, recovery_code, email)
-      VALUES (?, '', ?, ?)
-    `).run(cleanHandle, recoveryCode, cleanEmail);
-
-    const playerId = result.lastInsertRowid;
+/**
+ * POST /api/register/guest
+ * Register a guest account - no email, limited storage, removed when idle
+ * Body: { handle?, browser_id?, area_code?, phone_number? } - a handle is
+ * generated if none is given
+ */
+router.post('/register/guest', rateLimit('register'), (req, res) => {
+  const { handle, browser_id, area_code, phone_number } = req.body;
+  const db = req.db;
 
-    // Allocate phone number
-    const phoneNumber = allocatePhoneNumber(db, playerId);
-    if (!phoneNumber) {
-      throw new Error('Failed to allocate phone number');
+  let guestHandle;
+  if (handle !== undefined && handle !== null && handle !== '') {
+    const checked = checkHandle(handle);
+    if (!checked.handle) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_HANDLE',
+        message: checked.message
+      });
     }
 
-    // Update player with phone number
-    db.prepare('UPDATE players SET phone_number = ? WHERE id = ?').run(phoneNumber, playerId);
-
-    // Generate session token
-    const sessionToken = crypto.randomBytes(32).toString('hex');
-
-    // Create session
-    db.prepare(`
-      INSERT INTO sessions (player_id, token, browser_id, expires_at)
-      VALUES (?, ?, ?, datetime('now', '+30 days'))
-    `).run(playerId, sessionToken, browser_id || null);
+    const unavailable = checkHandleAvailable(db, checked.handle);
+    if (unavailable) {
+      return res.status(409).json({
+        success: false,
+        ...unavailable
+      });
+    }
+    guestHandle = checked.handle;
+  } else {
+    guestHandle = generateGuestHandle(db);
+    if (!guestHandle) {
+      return res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: 'Could not generate a guest handle'
+      });
+    }
+  }
 
-    return {
-      playerId,
-      phoneNumber,
-      sessionToken
-    };
-  });
+  const areaCode = area_code ? String(area_code) : null;
+  const prepared = prepareRegistration(db, res, { areaCode, requested: phone_number });
+  if (!prepared) return;
+  const { recoveryCode, phoneNumber: requestedNumber } = prepared;
 
   try {
-    const { phoneNumber, sessionToken } = createPlayer();
-
-    console.log(`[REGISTER] New player: ${cleanHandle} (${phoneNumber}) - ${cleanEmail}`);
+    const { playerId, phoneNumber, sessionToken } = createPlayerAccount(db, {
+      handle: guestHandle,
+      email: null,
+      isGuest: true,
+      recoveryCode,
+      browserId: browser_id,
+      areaCode,
+      phoneNumber: requestedNumber
+    });
 
-    // Send recovery code email (async, don't wait)
-    sendRecoveryCodeEmail(cleanEmail, cleanHandle, recoveryCode, phoneNumber)
-      .catch(err => console.error('[REGISTER] Email send error:', err.message));
+    logSecurityEvent(db, playerId, 'REGISTERED', {
+      req,
+      details: { handle: guestHandle, phone_number: phoneNumber, guest: true }
+    });
+    console.log(`[REGISTER] New guest: ${guestHandle} (${phoneNumber})`);
 
     res.json({
       success: true,
-      handle: cleanHandle,
+      handle: guestHandle,
       phone_number: phoneNumber,
       recovery_code: recoveryCode,
       session_token: sessionToken,
-      email: cleanEmail
+      guest: true,
+      idle_expiry_days: GUEST_TTL_DAYS,
+      limits: QUOTAS.guest
     });
   } catch (error) {
-    console.error('[REGISTER] Error:', error.message);
+    if (error.code === 'NUMBER_UNAVAILABLE') {
+      return res.status(409).json({
+        success: false,
+        error: 'NUMBER_UNAVAILABLE',
+        message: error.message
+      });
+    }
+    console.error('[REGISTER] Guest error:', error.message);
     res.status(500).json({
       success: false,
       error: 'INTERNAL_ERROR',
@@ -166,12 +342,25 @@ router.post('/register', (req, res) => {
   }
 });
 
+/**
+ * Describe a failed second factor check
+ * @param {string|undefined} otp - Code the client sent, if any
+ * @returns {object} Error response body
+ */
+function secondFactorError(otp) {
+  return otp
+    ? { success: false, error: 'INVALID_OTP', message: 'Two-factor code is invalid', two_factor_required: true }
+    : { success: false, error: 'OTP_REQUIRED', message: 'Two-factor code required', two_factor_required: true };
+}
+
 /**
  * POST /api/recover
  * Recover a session using recovery code
+ * Body: { recovery_code, otp?, browser_id? } - otp (or a backup code) when two-factor is on
+ * Failed attempts back off per IP and globally (utils/recovery_guard.js)
  */
 router.post('/recover', (req, res) => {
-  const { recovery_code, browser_id } = req.body;
+  const { recovery_code, otp, browser_id } = req.body;
   const db = req.db;
 
   if (!recovery_code) {
@@ -182,15 +371,45 @@ router.post('/recover', (req, res) => {
     });
   }
 
-  const code = recovery_code.toUpperCase().trim();
+  // Refuse before looking at the code, so a throttled client can't test guesses
+  const refused = checkRecoveryAllowed(db, req.ip);
+  if (refused) {
+    res.set('Retry-After', String(refused.retry_after));
+    return res.status(429).json({
+      success: false,
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many failed attempts. Try again later.',
+      retry_after: refused.retry_after
+    });
+  }
 
-  // Find player by recovery code
-  const player = db.prepare(`
+  // Find player by recovery code (stored as a keyed hash): as typed first,
+  // then with a misspelt word corrected
+  const findByCode = db.prepare(`
     SELECT id, handle, phone_number FROM players
     WHERE recovery_code = ?
-  `).get(code);
+  `);
+
+  const typed = normalizeRecoveryCode(recovery_code);
+  const resolved = resolveRecoveryCode(typed);
+
+  let player = findByCode.get(hashSecret(typed));
+  if (!player && resolved.code && resolved.code !== typed) {
+    player = findByCode.get(hashSecret(resolved.code));
+  }
 
   if (!player) {
+    // A failed check character can't belong to any issued code, so it
+    // tells a guesser nothing and isn't counted against them
+    if (resolved.status === 'mistyped') {
+      return res.status(400).json({
+        success: false,
+        error: 'CODE_MISTYPED',
+        message: 'Recovery code looks mistyped. Check each character and try again.'
+      });
+    }
+
+    recordRecoveryFailure(db, req, 'invalid_code');
     return res.status(404).json({
       success: false,
       error: 'INVALID_CODE',
@@ -198,19 +417,185 @@ router.post('/recover', (req, res) => {
     });
   }
 
-  // Generate new session token for this device
-  const sessionToken = crypto.randomBytes(32).toString('hex');
+  const restriction = getRestriction(db, player.id);
+  if (restriction) {
+    logSecurityEvent(db, player.id, 'RECOVERY_REFUSED', { req, details: { status: restriction.status } });
+    return res.status(403).json({
+      success: false,
+      ...describeRestriction(restriction)
+    });
+  }
+
+  let secondFactor = null;
+  if (isTwoFactorEnabled(db, player.id)) {
+    secondFactor = verifySecondFactor(db, player.id, otp);
+    if (!secondFactor) {
+      if (otp) {
+        logSecurityEvent(db, player.id, 'TWO_FACTOR_FAILED', { req, details: { via: 'recovery_code' } });
+        recordRecoveryFailure(db, req, 'invalid_otp', player.id);
+      }
+      return res.status(401).json(secondFactorError(otp));
+    }
+  }
+
+  // Create a new session for this device
+  const sessionToken = createSession(db, player.id, browser_id);
+
+  // Update last seen
+  db.prepare('UPDATE players SET last_seen = CURRENT_TIMESTAMP WHERE id = ?').run(player.id);
+
+  if (secondFactor === 'backup_code') {
+    logSecurityEvent(db, player.id, 'BACKUP_CODE_USED', { req });
+  }
+  logSecurityEvent(db, player.id, 'RECOVERY_CODE_USED', {
+    req,
+    details: secondFactor ? { two_factor: secondFactor } : null
+  });
+  console.log(`[RECOVER] Player recovered: ${player.handle}${secondFactor ? ` (2FA: ${secondFactor})` : ''}`);
+
+  res.json({
+    success: true,
+    handle: player.handle,
+    phone_number: player.phone_number,
+    session_token: sessionToken
+  });
+});
+
+/**
+ * POST /api/recover/email
+ * Request a one-time login code by email (for players who lost their recovery code)
+ * Always reports success so the response doesn't reveal whether the email exists
+ */
+router.post('/recover/email', (req, res) => {
+  const { email } = req.body;
+  const db = req.db;
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EMAIL',
+      message: 'Valid email address is required'
+    });
+  }
+
+  const cleanEmail = email.trim().toLowerCase();
+
+  if (isThrottled(db, cleanEmail, req.ip)) {
+    return res.status(429).json({
+      success: false,
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many login code requests. Try again later.'
+    });
+  }
+
+  // Login codes only go to confirmed addresses
+  const player = db.prepare(`
+    SELECT id, handle FROM players WHERE email = ? AND email_verified_at IS NOT NULL
+  `).get(cleanEmail);
+  const code = createLoginCode(db, cleanEmail, req.ip, player ? player.id : null);
+
+  if (player) {
+    logSecurityEvent(db, player.id, 'EMAIL_LOGIN_REQUESTED', { req });
+    console.log(`[RECOVER] Email login code issued for ${player.handle}`);
+
+    sendLoginCodeEmail(cleanEmail, player.handle, code, CODE_TTL_MINUTES)
+      .catch(err => console.error('[RECOVER] Email send error:', err.message));
+  }
+
+  res.json({
+    success: true,
+    message: 'If that email is registered, a login code has been sent',
+    expires_in_minutes: CODE_TTL_MINUTES
+  });
+});
+
+/**
+ * POST /api/recover/email/verify
+ * Exchange a one-time login code for a new session
+ * Body: { email, code, otp?, browser_id? } - otp (or a backup code) when two-factor is on
+ * Failed attempts back off per IP like POST /api/recover (utils/recovery_guard.js)
+ */
+router.post('/recover/email/verify', (req, res) => {
+  const { email, code, otp, browser_id } = req.body;
+  const db = req.db;
+
+  if (!email || !code) {
+    return res.status(400).json({
+      success: false,
+      error: 'MISSING_CODE',
+      message: 'Email and login code are required'
+    });
+  }
+
+  const refused = checkRecoveryAllowed(db, req.ip);
+  if (refused) {
+    res.set('Retry-After', String(refused.retry_after));
+    return res.status(429).json({
+      success: false,
+      error: 'TOO_MANY_REQUESTS',
+      message: 'Too many failed attempts. Try again later.',
+      retry_after: refused.retry_after
+    });
+  }
+
+  const cleanEmail = String(email).trim().toLowerCase();
+
+  // The login code is only burned if the second factor passes too, so a
+  // player prompted for their two-factor code can retry with the same email
+  // code - but each wrong second factor counts against the code's attempts
+  let playerId = null;
+  let secondFactor = null;
+  try {
+    db.transaction(() => {
+      playerId = consumeLoginCode(db, cleanEmail, code);
+      if (!playerId || !isTwoFactorEnabled(db, playerId)) return;
+
+      secondFactor = verifySecondFactor(db, playerId, otp);
+      if (!secondFactor) {
+        const error = new Error('Second factor failed');
+        error.code = 'SECOND_FACTOR_FAILED';
+        throw error;
+      }
+    })();
+  } catch (error) {
+    if (error.code !== 'SECOND_FACTOR_FAILED') throw error;
+
+    if (otp) {
+      logSecurityEvent(db, playerId, 'TWO_FACTOR_FAILED', { req, details: { via: 'email_login' } });
+      recordLoginCodeFailure(db, cleanEmail);
+      recordRecoveryFailure(db, req, 'invalid_otp', playerId);
+    }
+    return res.status(401).json(secondFactorError(otp));
+  }
+
+  if (!playerId) {
+    logSecurityEvent(db, null, 'EMAIL_LOGIN_FAILED', { req, details: { email: cleanEmail } });
+    recordRecoveryFailure(db, req, 'invalid_login_code');
+    return res.status(401).json({
+      success: false,
+      error: 'INVALID_CODE',
+      message: 'Login code is invalid or expired'
+    });
+  }
+
+  const player = db.prepare('SELECT id, handle, phone_number FROM players WHERE id = ?').get(playerId);
 
-  // Create session
-  db.prepare(`
-    INSERT INTO sessions (player_id, token, browser_id, expires_at)
-    VALUES (?, ?, ?, datetime('now', '+30 days'))
-  `).run(player.id, sessionToken, browser_id || null);
+  const restriction = getRestriction(db, player.id);
+  if (restriction) {
+    return res.status(403).json({
+      success: false,
+      ...describeRestriction(restriction)
+    });
+  }
+
+  // Create a new session for this device
+  const sessionToken = createSession(db, player.id, browser_id);
 
   // Update last seen
   db.prepare('UPDATE players SET last_seen = CURRENT_TIMESTAMP WHERE id = ?').run(player.id);
 
-  console.log(`[RECOVER] Player recovered: ${player.handle}`);
+  logSecurityEvent(db, player.id, 'EMAIL_LOGIN_USED', { req, details: secondFactor ? { two_factor: secondFactor } : null });
+  console.log(`[RECOVER] Player recovered by email: ${player.handle}`);
 
   res.json({
     success: true,
@@ -220,9 +605,68 @@ router.post('/recover', (req, res) => {
   });
 });
 
+/**
+ * Redeem an email verification token and describe the outcome
+ * @returns {object} { status, body } for the caller to send
+ */
+function verifyEmail(req, token) {
+  const db = req.db;
+  const verified = consumeVerification(db, token);
+
+  if (!verified) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'INVALID_TOKEN',
+        message: 'Verification link is invalid or expired'
+      }
+    };
+  }
+
+  logSecurityEvent(db, verified.player_id, 'EMAIL_VERIFIED', {
+    req,
+    details: { email: verified.email }
+  });
+  console.log(`[VERIFY] ${verified.handle}: email verified (${verified.email})`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      handle: verified.handle,
+      email: verified.email
+    }
+  };
+}
+
+/**
+ * GET /api/verify-email?token=...
+ * Target of the emailed link; answers in plain text for the browser
+ */
+router.get('/verify-email', (req, res) => {
+  const { status, body } = verifyEmail(req, req.query.token);
+
+  res.status(status).type('text/plain').send(body.success
+    ? `Email confirmed for ${body.handle}. Your account is fully unlocked - return to the terminal.\n`
+    : `${body.message}. Request a new link from the terminal.\n`);
+});
+
+/**
+ * POST /api/verify-email
+ * Same as the link, for clients that submit the token themselves
+ * Body: { token }
+ */
+router.post('/verify-email', (req, res) => {
+  const { status, body } = verifyEmail(req, req.body.token);
+  res.status(status).json(body);
+});
+
 /**
  * GET /api/player/:handle
  * Lookup player by handle (for availability check)
+ * Reserved handles and recently changed ones are reported as not available;
+ * an old handle resolves to the player's current one.
  * Note: Does not return phone_number for privacy - use /api/phone/:number for reverse lookup
  */
 router.get('/player/:handle', (req, res) => {
@@ -234,6 +678,24 @@ router.get('/player/:handle', (req, res) => {
   `).get(handle);
 
   if (!player) {
+    const held = findHeldHandle(db, handle);
+    if (held) {
+      return res.json({
+        handle: held.handle,
+        exists: true,
+        previous_handle: handle
+      });
+    }
+
+    if (findReservation(db, handle)) {
+      return res.json({
+        handle,
+        exists: false,
+        available: false,
+        reserved: true
+      });
+    }
+
     return res.status(404).json({ error: 'NOT_FOUND', available: true });
   }
 
@@ -244,16 +706,92 @@ router.get('/player/:handle', (req, res) => {
   });
 });
 
+/**
+ * GET /api/profile/:handle
+ * Public BBS-style profile; fields the player marked private are left out.
+ * A recently changed handle still finds the player.
+ */
+router.get('/profile/:handle', (req, res) => {
+  const handle = req.params.handle.toUpperCase();
+  const db = req.db;
+
+  let player = db.prepare(`
+    SELECT id, status FROM players WHERE handle = ?
+  `).get(handle);
+
+  if (!player) {
+    const held = findHeldHandle(db, handle);
+    if (held) {
+      player = db.prepare('SELECT id, status FROM players WHERE id = ?').get(held.player_id);
+    }
+  }
+
+  // Banned players drop out of public view
+  if (!player || player.status === 'banned') {
+    return res.status(404).json({
+      success: false,
+      error: 'NOT_FOUND',
+      message: 'No such player'
+    });
+  }
+
+  res.json({
+    success: true,
+    profile: toPublicProfile(getProfile(db, player.id))
+  });
+});
+
+/**
+ * GET /api/players
+ * BBS-style user list: handle, online status, last seen, join date,
+ * location and group, each subject to the player's privacy settings
+ * Query params: search (handle contains), sort (handle | joined | last_seen),
+ *   order (asc | desc), page, per_page (max 100)
+ */
+router.get('/players', rateLimit('directory'), (req, res) => {
+  const { search, sort, order, page, per_page } = req.query;
+
+  if (sort && !SORTS.includes(sort)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SORT',
+      message: `sort must be one of: ${SORTS.join(', ')}`
+    });
+  }
+
+  if (order && order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ORDER',
+      message: 'order must be asc or desc'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...listDirectory(req.db, { search, sort, order, page, perPage: per_page })
+    });
+  } catch (error) {
+    console.error('[DIRECTORY] List error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to load player list'
+    });
+  }
+});
+
 /**
  * GET /api/email/:email
  * Check if email is already registered (for availability check)
  */
-router.get('/email/:email', (req, res) => {
+router.get('/email/:email', rateLimit('email_lookup'), (req, res) => {
   const email = req.params.email.toLowerCase().trim();
   const db = req.db;
 
   const player = db.prepare(`
-    SELECT id FROM players WHERE email = ?
+    SELECT id FROM players WHERE email = ? AND email_verified_at IS NOT NULL
   `).get(email);
 
   if (!player) {
@@ -277,6 +815,16 @@ router.get('/phone/:number', (req, res) => {
   `).get(number);
 
   if (!player) {
+    // A changed number still reaches its old owner for a while
+    const forward = findForward(db, number);
+    if (forward) {
+      return res.json({
+        handle: forward.handle,
+        phone_number: forward.phone_number,
+        previous_phone_number: number
+      });
+    }
+
     return res.status(404).json({ error: 'NOT_FOUND' });
   }
 
@@ -286,6 +834,50 @@ router.get('/phone/:number', (req, res) => {
   });
 });
 
+/**
+ * GET /api/numbers
+ * Search free numbers to claim at registration or change to
+ * Query: pattern (555-13??, ? or x = any digit), contains (2600),
+ *   area_code, limit (max 100)
+ */
+router.get('/numbers', rateLimit('number_search'), (req, res) => {
+  const { area_code, limit } = req.query;
+
+  const built = buildNumberPattern(req.query);
+  if (!built.like) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PATTERN',
+      message: built.message
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      numbers: searchAvailableNumbers(req.db, built.like, { areaCode: area_code, limit })
+    });
+  } catch (error) {
+    console.error('[NUMBERS] Search error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'SEARCH_FAILED',
+      message: 'Failed to search numbers'
+    });
+  }
+});
+
+/**
+ * GET /api/area-codes
+ * Area codes a new player can ask for (area_code on registration)
+ */
+router.get('/area-codes', (req, res) => {
+  res.json({
+    success: true,
+    area_codes: listAreaCodes(req.db)
+  });
+});
+
 /**
  * GET /api/stats
  * Get server statistics (for debugging/admin)
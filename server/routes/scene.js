@@ -5,55 +5,19 @@
 
 const express = require('express');
 const router = express.Router();
-
-/**
- * Validate session token and return player info
- * @param {object} db - Database instance
- * @param {string} token - Session token
- * @returns {object|null} Player info or null if invalid
- */
-function validateToken(db, token) {
-  if (!token) return null;
-
-  const session = db.prepare(`
-    SELECT s.player_id, s.token, p.handle, p.id as player_id
-    FROM sessions s
-    JOIN players p ON s.player_id = p.id
-    WHERE s.token = ? AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))
-  `).get(token);
-
-  return session || null;
-}
-
-/**
- * Extract token from request (header, body, or query)
- */
-function getToken(req) {
-  return req.headers['x-session-token'] ||
-         req.body?.token ||
-         req.query?.token ||
-         req.params?.token;
-}
+const { requireAuth } = require('../utils/auth');
+const { requireRole } = require('../utils/roles');
+const { saveMasterConfig } = require('../utils/scene_configs');
 
 /**
  * POST /api/scene/save
  * Save player's scene configuration
- * Body: { token, config, config_name? }
+ * Body: { config, config_name? }
  */
-router.post('/scene/save', (req, res) => {
+router.post('/scene/save', requireAuth, (req, res) => {
   const db = req.db;
-  const token = getToken(req);
   const { config, config_name = 'default' } = req.body;
 
-  const session = validateToken(db, token);
-  if (!session) {
-    return res.status(401).json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Invalid or expired session'
-    });
-  }
-
   if (!config || typeof config !== 'object') {
     return res.status(400).json({
       success: false,
@@ -71,9 +35,9 @@ router.post('/scene/save', (req, res) => {
       ON CONFLICT(player_id, config_name) DO UPDATE SET
         config_data = excluded.config_data,
         updated_at = datetime('now')
-    `).run(session.player_id, config_name, configJson);
+    `).run(req.playerId, config_name, configJson);
 
-    console.log(`[SCENE] Saved config '${config_name}' for ${session.handle}`);
+    console.log(`[SCENE] Saved config '${config_name}' for ${req.playerHandle}`);
 
     res.json({
       success: true,
@@ -91,30 +55,20 @@ router.post('/scene/save', (req, res) => {
 });
 
 /**
- * GET /api/scene/load/:token
+ * GET /api/scene/load
  * Load player's scene configuration
  * Query params: config_name (optional, defaults to 'default')
  */
-router.get('/scene/load/:token', (req, res) => {
+router.get('/scene/load', requireAuth, (req, res) => {
   const db = req.db;
-  const token = req.params.token;
   const configName = req.query.config_name || 'default';
 
-  const session = validateToken(db, token);
-  if (!session) {
-    return res.status(401).json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Invalid or expired session'
-    });
-  }
-
   try {
     // Try to load player's config first
     let config = db.prepare(`
       SELECT config_data, updated_at FROM scene_configs
       WHERE player_id = ? AND config_name = ?
-    `).get(session.player_id, configName);
+    `).get(req.playerId, configName);
 
     // If no player config, fall back to master default
     if (!config) {
@@ -156,30 +110,20 @@ router.get('/scene/load/:token', (req, res) => {
 /**
  * POST /api/scene/reset
  * Reset player's scene configuration to master default
- * Body: { token, config_name? }
+ * Body: { config_name? }
  */
-router.post('/scene/reset', (req, res) => {
+router.post('/scene/reset', requireAuth, (req, res) => {
   const db = req.db;
-  const token = getToken(req);
   const { config_name = 'default' } = req.body;
 
-  const session = validateToken(db, token);
-  if (!session) {
-    return res.status(401).json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Invalid or expired session'
-    });
-  }
-
   try {
     // Delete player's saved config
     const result = db.prepare(`
       DELETE FROM scene_configs
       WHERE player_id = ? AND config_name = ?
-    `).run(session.player_id, config_name);
+    `).run(req.playerId, config_name);
 
-    console.log(`[SCENE] Reset config '${config_name}' for ${session.handle}`);
+    console.log(`[SCENE] Reset config '${config_name}' for ${req.playerHandle}`);
 
     res.json({
       success: true,
@@ -234,23 +178,12 @@ router.get('/scene/default', (req, res) => {
 
 /**
  * POST /api/scene/save-default
- * Save as master default (admin only - requires admin_key)
- * Body: { admin_key, config }
+ * Save as master default (admin only)
+ * Body: { config }
  */
-router.post('/scene/save-default', (req, res) => {
+router.post('/scene/save-default', requireAuth, requireRole('admin'), (req, res) => {
   const db = req.db;
-  const { admin_key, config } = req.body;
-
-  // Simple admin key check - in production, use proper authentication
-  const expectedKey = process.env.ADMIN_KEY || 'hackterm-admin-2024';
-
-  if (admin_key !== expectedKey) {
-    return res.status(403).json({
-      success: false,
-      error: 'FORBIDDEN',
-      message: 'Invalid admin key'
-    });
-  }
+  const { config } = req.body;
 
   if (!config || typeof config !== 'object') {
     return res.status(400).json({
@@ -261,17 +194,9 @@ router.post('/scene/save-default', (req, res) => {
   }
 
   try {
-    const configJson = JSON.stringify(config);
-
-    db.prepare(`
-      INSERT INTO scene_configs (player_id, config_name, config_data, updated_at)
-      VALUES (NULL, 'master', ?, datetime('now'))
-      ON CONFLICT(player_id, config_name) DO UPDATE SET
-        config_data = excluded.config_data,
-        updated_at = datetime('now')
-    `).run(configJson);
+    saveMasterConfig(db, req.playerId, config, req.ip);
 
-    console.log('[SCENE] Master default config updated by admin');
+    console.log(`[SCENE] Master default config updated by ${req.playerHandle}`);
 
     res.json({
       success: true,
@@ -288,28 +213,18 @@ router.post('/scene/save-default', (req, res) => {
 });
 
 /**
- * GET /api/scene/list/:token
+ * GET /api/scene/list
  * List all saved scene configurations for a player
  */
-router.get('/scene/list/:token', (req, res) => {
+router.get('/scene/list', requireAuth, (req, res) => {
   const db = req.db;
-  const token = req.params.token;
-
-  const session = validateToken(db, token);
-  if (!session) {
-    return res.status(401).json({
-      success: false,
-      error: 'UNAUTHORIZED',
-      message: 'Invalid or expired session'
-    });
-  }
 
   try {
     const configs = db.prepare(`
       SELECT config_name, updated_at FROM scene_configs
       WHERE player_id = ?
       ORDER BY updated_at DESC
-    `).all(session.player_id);
+    `).all(req.playerId);
 
     res.json({
       success: true,
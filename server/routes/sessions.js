@@ -0,0 +1,168 @@
+/**
+ * Session Management Routes
+ * Lets a player see every device logged in to their account and revoke them
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const {
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeToken
+} = require('../utils/sessions');
+const { logSecurityEvent } = require('../utils/security_log');
+const { disconnectSessions } = require('../websocket');
+
+/**
+ * GET /api/sessions
+ * List all active sessions (devices) for the player
+ */
+router.get('/sessions', requireAuth, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessions: listSessions(req.db, req.playerId, req.sessionToken)
+    });
+  } catch (error) {
+    console.error('[SESSIONS] List error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LIST_FAILED',
+      message: 'Failed to list sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Revoke a single session by ID
+ */
+router.delete('/sessions/:id', requireAuth, (req, res) => {
+  const sessionId = parseInt(req.params.id);
+
+  if (isNaN(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SESSION',
+      message: 'Session ID must be a number'
+    });
+  }
+
+  try {
+    const revoked = revokeSession(req.db, req.playerId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'SESSION_NOT_FOUND',
+        message: `Session not found: ${sessionId}`
+      });
+    }
+
+    disconnectSessions(req.playerId, [revoked], 'SESSION_REVOKED');
+    logSecurityEvent(req.db, req.playerId, 'SESSION_REVOKED', { req, details: { session_id: sessionId } });
+
+    console.log(`[SESSIONS] ${req.playerHandle}: revoked session ${sessionId}`);
+
+    res.json({
+      success: true,
+      session_id: sessionId,
+      current: revoked === req.sessionToken
+    });
+  } catch (error) {
+    console.error('[SESSIONS] Revoke error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'REVOKE_FAILED',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/revoke-others
+ * Revoke every session except the current one
+ */
+router.post('/sessions/revoke-others', requireAuth, (req, res) => {
+  try {
+    const revoked = revokeOtherSessions(req.db, req.playerId, req.sessionToken);
+    disconnectSessions(req.playerId, revoked, 'SESSION_REVOKED');
+    logSecurityEvent(req.db, req.playerId, 'OTHER_SESSIONS_REVOKED', { req, details: { revoked: revoked.length } });
+
+    console.log(`[SESSIONS] ${req.playerHandle}: revoked ${revoked.length} other sessions`);
+
+    res.json({
+      success: true,
+      revoked: revoked.length
+    });
+  } catch (error) {
+    console.error('[SESSIONS] Revoke others error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'REVOKE_FAILED',
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/rotate
+ * Issue a new token for this session; the old token expires after a short grace window
+ */
+router.post('/sessions/rotate', requireAuth, (req, res) => {
+  try {
+    const rotated = rotateSession(req.db, req.sessionToken);
+
+    if (!rotated) {
+      return res.status(409).json({
+        success: false,
+        error: 'ALREADY_ROTATED',
+        message: 'Session token has already been rotated'
+      });
+    }
+
+    console.log(`[SESSIONS] ${req.playerHandle}: rotated session token`);
+
+    res.json({
+      success: true,
+      session_token: rotated.token,
+      expires_at: rotated.expires_at,
+      previous_expires_at: rotated.previous_expires_at
+    });
+  } catch (error) {
+    console.error('[SESSIONS] Rotate error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'ROTATE_FAILED',
+      message: 'Failed to rotate session token'
+    });
+  }
+});
+
+/**
+ * POST /api/logout
+ * Log out the current session
+ */
+router.post('/logout', requireAuth, (req, res) => {
+  try {
+    revokeToken(req.db, req.sessionToken);
+    disconnectSessions(req.playerId, [req.sessionToken], 'LOGGED_OUT');
+    logSecurityEvent(req.db, req.playerId, 'LOGGED_OUT', { req });
+
+    console.log(`[SESSIONS] ${req.playerHandle}: logged out`);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[SESSIONS] Logout error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'LOGOUT_FAILED',
+      message: 'Logout failed'
+    });
+  }
+});
+
+module.exports = router;
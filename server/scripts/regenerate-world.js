@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Start a new world season
+ * Generates a new phone world from a fresh seed: every NPC system, BBS,
+ * fax and voice line moves. Player numbers are not touched, and a running
+ * server picks the new season up on its next lookup.
+ *
+ * Usage: node scripts/regenerate-world.js [--seed <seed>] [--note <text>]
+ * Uses DB_PATH like the server does.
+ */
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const { initDatabase } = require('../db/init');
+const { getCurrentSeason, regenerateWorld } = require('../utils/world_directory');
+const { logAdminAction } = require('../utils/admin_audit');
+
+const args = process.argv.slice(2);
+const options = {};
+
+for (let i = 0; i < args.length; i += 2) {
+  const [flag, value] = [args[i], args[i + 1]];
+  if ((flag !== '--seed' && flag !== '--note') || !value) {
+    console.error('Usage: node scripts/regenerate-world.js [--seed <seed>] [--note <text>]');
+    process.exit(1);
+  }
+  options[flag.slice(2)] = value;
+}
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'db', 'hackterm.db');
+const db = new Database(dbPath);
+initDatabase(db);
+
+const previous = getCurrentSeason(db);
+
+const season = db.transaction(() => {
+  const created = regenerateWorld(db, options);
+  logAdminAction(db, null, 'WORLD_REGENERATED', {
+    details: { from: previous.season, to: created.season, note: created.note, via: 'cli' }
+  });
+  return created;
+})();
+
+console.log(`World season ${previous.season} -> ${season.season}${season.note ? ` (${season.note})` : ''}`);
+db.close();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Set a player's role from the command line
+ * Bootstraps the first admin (or recovers from losing every admin).
+ *
+ * Usage: node scripts/set-role.js <handle> <player|moderator|admin>
+ * Uses DB_PATH like the server does.
+ */
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const { initDatabase } = require('../db/init');
+const { ROLES, setPlayerRole } = require('../utils/roles');
+const { logAdminAction } = require('../utils/admin_audit');
+
+const [handleArg, role] = process.argv.slice(2);
+
+if (!handleArg || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/set-role.js <handle> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'db', 'hackterm.db');
+const db = new Database(dbPath);
+initDatabase(db);
+
+const handle = handleArg.toUpperCase();
+const player = db.prepare('SELECT id, role FROM players WHERE handle = ?').get(handle);
+
+if (!player) {
+  console.error(`Handle not found: ${handle}`);
+  db.close();
+  process.exit(1);
+}
+
+db.transaction(() => {
+  setPlayerRole(db, player.id, role);
+  logAdminAction(db, null, 'ROLE_CHANGED', {
+    targetPlayerId: player.id,
+    details: { handle, from: player.role, to: role, via: 'cli' }
+  });
+})();
+
+console.log(`${handle}: ${player.role} -> ${role}`);
+db.close();
@@ -0,0 +1,165 @@
+/**
+ * Account archive validation and import (POST /api/account/import)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createPlayer } = require('./helpers');
+const { validateArchive, ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('../utils/account_archive');
+
+let api;
+
+beforeEach(async () => {
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+function archiveWith(entries = {}) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    files: [{ path: 'a.txt', file_type: 'file', content: 'current' }],
+    file_versions: [],
+    scene_configs: [],
+    ...entries
+  };
+}
+
+function importArchive(player, archive) {
+  return api.request('POST', '/account/import', { token: player.token, body: { mode: 'replace', archive } });
+}
+
+test('an exported archive validates', async () => {
+  const player = createPlayer(api.db, { email: 'export@example.com', verified: true });
+  await api.request('POST', '/files', { token: player.token, body: { path: 'a.txt', file_type: 'file', content: 'one' } });
+  await api.request('POST', '/files', { token: player.token, body: { path: 'a.txt', file_type: 'file', content: 'two' } });
+
+  const exported = await api.request('GET', '/account/export', { token: player.token });
+  assert.equal(exported.status, 200);
+  assert.deepEqual(validateArchive(exported.body), []);
+});
+
+test('malformed version entries are listed', () => {
+  const errors = validateArchive(archiveWith({
+    file_versions: [
+      { path: 'a.txt', version_number: 1, file_type: 'file', content: { not: 'text' } },
+      { path: 'a.txt', version_number: 2, content: 'x' },
+      { path: 'a.txt', version_number: 3, file_type: 'file', created_at: 12 },
+      { path: 'a.txt', version_number: 3, file_type: 'file' },
+      { path: 'a.txt', version_number: 0, file_type: 'file' }
+    ]
+  }));
+
+  assert.deepEqual(errors, [
+    'file_versions[0]: content must be a string',
+    'file_versions[1]: file_type is required',
+    'file_versions[2]: created_at must be a string',
+    'file_versions[3]: duplicate version 3 of a.txt',
+    'file_versions[4]: version_number must be a positive integer'
+  ]);
+});
+
+test('malformed file metadata is listed', () => {
+  const errors = validateArchive(archiveWith({
+    files: [
+      { path: 'a.txt', file_type: 'file', metadata: 'flat' },
+      { path: 'b.txt', file_type: 'file', program: 7 }
+    ]
+  }));
+
+  assert.deepEqual(errors, [
+    'files[0]: metadata must be an object',
+    'files[1]: program must be a string'
+  ]);
+});
+
+test('a bad version entry is a 400, not a failed import', async () => {
+  const player = createPlayer(api.db, { email: 'bad@example.com', verified: true });
+
+  const response = await importArchive(player, archiveWith({
+    file_versions: [{ path: 'a.txt', version_number: 1, file_type: 'file', content: ['x'] }]
+  }));
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'INVALID_ARCHIVE');
+});
+
+test('imported history is trimmed to the newest versions', async () => {
+  const player = createPlayer(api.db, { email: 'history@example.com', verified: true });
+  const file_versions = [];
+  for (let i = 1; i <= 8; i++) {
+    file_versions.push({
+      path: 'a.txt',
+      version_number: i,
+      file_type: 'file',
+      content: `v${i}`,
+      created_at: `2026-01-0${i} 00:00:00`
+    });
+  }
+
+  const response = await importArchive(player, archiveWith({ file_versions }));
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.report.file_versions, { imported: 5, skipped: 3 });
+
+  const stored = api.db.prepare(`
+    SELECT version_number, content FROM file_versions WHERE player_id = ? ORDER BY version_number
+  `).all(player.id);
+  assert.deepEqual(stored, [
+    { version_number: 1, content: 'v4' },
+    { version_number: 2, content: 'v5' },
+    { version_number: 3, content: 'v6' },
+    { version_number: 4, content: 'v7' },
+    { version_number: 5, content: 'v8' }
+  ]);
+});
+
+test('the BBS profile travels with the archive', async () => {
+  const source = createPlayer(api.db, { email: 'from@example.com', verified: true });
+  const edited = await api.request('PUT', '/account/profile', {
+    token: source.token,
+    body: { bio: 'Phreaking since 83', signature: '\x1b[32mGREEN', location: 'Portland', privacy: { location: 'private' } }
+  });
+  assert.equal(edited.status, 200);
+
+  const exported = await api.request('GET', '/account/export', { token: source.token });
+  assert.equal(exported.body.player_profile.signature, '\x1b[32mGREEN\x1b[0m');
+
+  const target = createPlayer(api.db, { email: 'to@example.com', verified: true });
+  const imported = await importArchive(target, exported.body);
+  assert.equal(imported.status, 200);
+
+  const profile = await api.request('GET', '/account/profile', { token: target.token });
+  assert.equal(profile.body.profile.bio, 'Phreaking since 83');
+  assert.equal(profile.body.profile.signature, '\x1b[32mGREEN\x1b[0m');
+  assert.equal(profile.body.profile.location, 'Portland');
+  assert.equal(profile.body.profile.privacy.location, 'private');
+});
+
+test('an archived profile goes through the profile checks', () => {
+  const errors = validateArchive(archiveWith({
+    player_profile: { bio: 'clear\x1b[2Jscreen', signature: 'x'.repeat(2000) }
+  }));
+
+  assert.deepEqual(errors, [
+    'player_profile: bio contains control characters',
+    'player_profile: signature must be at most 1024 characters'
+  ]);
+});
+
+test('merging keeps the profile fields already set', async () => {
+  const player = createPlayer(api.db, { email: 'merge@example.com', verified: true });
+  await api.request('PUT', '/account/profile', { token: player.token, body: { bio: 'mine' } });
+
+  const response = await api.request('POST', '/account/import', {
+    token: player.token,
+    body: { mode: 'merge', archive: archiveWith({ player_profile: { bio: 'theirs', location: 'Nowhere' } }) }
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.report.player_profile, { updated: 1, unchanged: 0, conflicts: 1 });
+
+  const profile = await api.request('GET', '/account/profile', { token: player.token });
+  assert.equal(profile.body.profile.bio, 'mine');
+  assert.equal(profile.body.profile.location, 'Nowhere');
+});
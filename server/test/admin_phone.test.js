@@ -0,0 +1,65 @@
+/**
+ * Admin phone reassignment (PUT /api/admin/players/:handle/phone)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createPlayer } = require('./helpers');
+const { setPlayerRole } = require('../utils/roles');
+const { findForward } = require('../utils/phone_numbers');
+
+let api;
+let admin;
+let player;
+
+beforeEach(async () => {
+  api = await startTestServer();
+  admin = createPlayer(api.db, { email: 'admin@example.com', verified: true });
+  setPlayerRole(api.db, admin.id, 'admin');
+  player = createPlayer(api.db, { email: 'player@example.com', verified: true });
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+function freeNumber() {
+  return api.db.prepare(`
+    SELECT number FROM phone_pool WHERE allocated = 0 AND quarantined_until IS NULL ORDER BY number LIMIT 1
+  `).get().number;
+}
+
+function reassign(body) {
+  return api.request('PUT', `/admin/players/${player.handle}/phone`, { token: admin.token, body });
+}
+
+test('a reassignment is recorded like a change the player made', async () => {
+  const before = api.db.prepare('SELECT phone_number FROM players WHERE id = ?').get(player.id).phone_number;
+  const number = freeNumber();
+
+  // Accepted in any punctuation, like everywhere else a number is typed
+  const response = await reassign({ phone_number: number.replace('-', '') });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.phone_number, number);
+
+  const phone = await api.request('GET', '/account/phone', { token: player.token });
+  assert.equal(phone.body.phone_number, number);
+  assert.deepEqual(phone.body.history.map(h => [h.old_number, h.new_number]), [[before, number]]);
+  assert.ok(phone.body.next_change_at);
+  assert.equal(findForward(api.db, before).player_id, player.id);
+});
+
+test('admins are not held to the cooldown', async () => {
+  assert.equal((await reassign({})).status, 200);
+  assert.equal((await reassign({})).status, 200);
+});
+
+test('a malformed or taken number is refused', async () => {
+  const bad = await reassign({ phone_number: '555-12' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, 'INVALID_NUMBER');
+
+  const taken = await reassign({ phone_number: api.db.prepare('SELECT phone_number FROM players WHERE id = ?').get(admin.id).phone_number });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error, 'NUMBER_UNAVAILABLE');
+});
@@ -0,0 +1,32 @@
+/**
+ * Deprecated token-in-path URLs (stripLegacyToken)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { stripLegacyToken } = require('../utils/auth');
+
+const TOKEN = 'ab'.repeat(32);
+
+function strip(url, headers = {}) {
+  const req = { url, headers };
+  stripLegacyToken(req, null, () => {});
+  return { url: req.url, legacyToken: req.legacyToken || null };
+}
+
+test('the token is taken out of the legacy routes', () => {
+  assert.deepEqual(strip(`/filesystem/${TOKEN}`), { url: '/filesystem', legacyToken: TOKEN });
+  assert.deepEqual(strip(`/files/${TOKEN}/C:/NOTES.TXT`), { url: '/files/C:/NOTES.TXT', legacyToken: TOKEN });
+  assert.deepEqual(strip(`/scene/load/${TOKEN}?config_name=x`), { url: '/scene/load?config_name=x', legacyToken: TOKEN });
+});
+
+test('a 64-hex name is left alone when a header carries the token', () => {
+  assert.equal(strip(`/files/${TOKEN}`, { authorization: 'Bearer x' }).url, `/files/${TOKEN}`);
+  assert.equal(strip(`/scene/load/${TOKEN}`, { 'x-session-token': 'x' }).url, `/scene/load/${TOKEN}`);
+});
+
+test('other routes and deeper segments are never rewritten', () => {
+  assert.deepEqual(strip(`/player/${TOKEN}`), { url: `/player/${TOKEN}`, legacyToken: null });
+  assert.deepEqual(strip(`/files/C:/${TOKEN}`), { url: `/files/C:/${TOKEN}`, legacyToken: null });
+});
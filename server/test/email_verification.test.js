@@ -0,0 +1,113 @@
+/**
+ * Email verification: the link mailed at registration (read from the local
+ * outbox), resend throttling and the removal of accounts never verified
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, readOutbox } = require('./helpers');
+const {
+  isResendThrottled,
+  expireUnverifiedAccounts,
+  VERIFY_TTL_HOURS
+} = require('../utils/email_verification');
+
+let api;
+
+beforeEach(async () => {
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+/**
+ * Register a player and wait for the verification email
+ * @returns {Promise<object>} Registration response body
+ */
+async function register(handle, email) {
+  const response = await api.request('POST', '/register', { body: { handle, email } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.email_verified, false);
+  await new Promise(resolve => setImmediate(resolve));
+  return response.body;
+}
+
+/**
+ * Token from the newest verification link mailed to an address
+ */
+function verificationToken(email) {
+  const mail = readOutbox().filter(message => message.to === email).pop();
+  return /\/api\/verify-email\?token=([0-9a-f]+)/.exec(mail.text)[1];
+}
+
+async function verificationState(player) {
+  const response = await api.request('GET', '/account/verify-email', { token: player.session_token });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+test('the emailed link verifies the account', async () => {
+  const player = await register('LINKUSER', 'link@example.com');
+  const token = verificationToken('link@example.com');
+
+  const response = await api.request('GET', `/verify-email?token=${token}`);
+  assert.equal(response.status, 200);
+  assert.match(response.body, /Email confirmed for LINKUSER/);
+  assert.equal((await verificationState(player)).email_verified, true);
+
+  // Links work once
+  const again = await api.request('POST', '/verify-email', { body: { token } });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.error, 'INVALID_TOKEN');
+});
+
+test('clients can submit the token themselves', async () => {
+  const player = await register('POSTUSER', 'post@example.com');
+
+  const response = await api.request('POST', '/verify-email', {
+    body: { token: verificationToken('post@example.com') }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.handle, 'POSTUSER');
+  assert.equal((await verificationState(player)).email_verified, true);
+});
+
+test('resending is throttled to three links an hour', async () => {
+  const player = await register('RESEND', 'resend@example.com');
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await api.request('POST', '/account/verify-email', { token: player.session_token });
+    statuses.push(response.status);
+  }
+
+  // The registration email counts as the first of the three
+  assert.deepEqual(statuses, [200, 200, 429]);
+  const { id } = api.db.prepare('SELECT id FROM players WHERE handle = ?').get('RESEND');
+  assert.equal(isResendThrottled(api.db, id), true);
+});
+
+test('an account never verified is deleted and its number is free at once', async () => {
+  const player = await register('EXPIRED', 'expired@example.com');
+  api.db.prepare('UPDATE players SET created_at = datetime(\'now\', ?) WHERE handle = ?')
+    .run(`-${VERIFY_TTL_HOURS + 1} hours`, 'EXPIRED');
+
+  const deleted = expireUnverifiedAccounts(api.db);
+  assert.deepEqual(deleted.map(account => account.handle), ['EXPIRED']);
+
+  assert.equal(api.db.prepare('SELECT id FROM players WHERE handle = ?').get('EXPIRED'), undefined);
+  const number = api.db.prepare('SELECT allocated, player_id, quarantined_until FROM phone_pool WHERE number = ?')
+    .get(player.phone_number);
+  assert.deepEqual(number, { allocated: 0, player_id: null, quarantined_until: null });
+});
+
+test('verified accounts are never expired', async () => {
+  await register('KEEPER', 'keeper@example.com');
+  await api.request('POST', '/verify-email', { body: { token: verificationToken('keeper@example.com') } });
+  api.db.prepare('UPDATE players SET created_at = datetime(\'now\', ?) WHERE handle = ?')
+    .run(`-${VERIFY_TTL_HOURS + 1} hours`, 'KEEPER');
+
+  assert.deepEqual(expireUnverifiedAccounts(api.db), []);
+});
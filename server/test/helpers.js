@@ -0,0 +1,134 @@
+/**
+ * Test Helpers
+ * An in-memory database and the API routers on a random port, plus helpers
+ * to create players without going through the rate-limited register route.
+ *
+ * Require this before any server module: it sets the environment the
+ * modules read when they load.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TOKEN_HASH_KEY = process.env.TOKEN_HASH_KEY || 'test-token-hash-key';
+process.env.EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR ||
+  fs.mkdtempSync(path.join(os.tmpdir(), 'hackterm-outbox-'));
+
+// The server logs every step; TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const express = require('express');
+const Database = require('better-sqlite3');
+const { initDatabase } = require('../db/init');
+const { initEmailTransporter } = require('../utils/email');
+const { createSession } = require('../utils/sessions');
+const { allocatePhoneNumber } = require('../utils/phone_pool');
+const { hashSecret } = require('../utils/secret_hash');
+const { generateUniqueRecoveryCode } = require('../utils/recovery_code');
+
+/**
+ * Create an initialized in-memory database
+ * @returns {Database}
+ */
+function createTestDb() {
+  const db = new Database(':memory:');
+  initDatabase(db);
+  return db;
+}
+
+/**
+ * Start the API on a random port
+ * @param {Database} [db] - Database to serve (a fresh one by default)
+ * @returns {Promise<object>} { db, request(method, path, options), close() }
+ */
+async function startTestServer(db = createTestDb()) {
+  initEmailTransporter();
+
+  const app = express();
+  app.use(express.json({ limit: '25mb' }));
+  app.use((req, res, next) => {
+    req.db = db;
+    next();
+  });
+  for (const name of ['players', 'filesystem', 'scene', 'sessions', 'account', 'admin', 'phone']) {
+    app.use('/api', require(`../routes/${name}`));
+  }
+  app.use((err, req, res, next) => {
+    res.status(500).json({ success: false, error: 'INTERNAL_ERROR', message: err.message });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below /api
+   * @param {object} [options] - { body, token }
+   * @returns {Promise<object>} { status, body } - body is parsed JSON, or text
+   *   for plain text answers (GET /verify-email)
+   */
+  async function request(method, url, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    const response = await fetch(base + url, {
+      method,
+      headers,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: json ? await response.json() : await response.text() };
+  }
+
+  return {
+    db,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Insert a player with a phone number and a session
+ * @param {Database} db - SQLite database instance
+ * @param {object} [account] - { handle, email, verified, guest, recoveryCode }
+ * @returns {object} { id, handle, token, recoveryCode }
+ */
+function createPlayer(db, account = {}) {
+  const handle = account.handle || `P${Math.random().toString(36).slice(2, 9).toUpperCase()}`;
+  const recoveryCode = account.recoveryCode || generateUniqueRecoveryCode(db);
+
+  const id = db.prepare(`
+    INSERT INTO players (handle, phone_number, recovery_code, email, email_verified_at, is_guest)
+    VALUES (?, '', ?, ?, CASE WHEN ? THEN datetime('now') END, ?)
+  `).run(handle, hashSecret(recoveryCode), account.email || null, account.verified ? 1 : 0,
+    account.guest ? 1 : 0).lastInsertRowid;
+
+  db.prepare('UPDATE players SET phone_number = ? WHERE id = ?').run(allocatePhoneNumber(db, id), id);
+
+  return { id, handle, token: createSession(db, id, null), recoveryCode };
+}
+
+/**
+ * Emails written to the outbox so far, oldest first
+ * @returns {Array<object>} { to, subject, text, html }
+ */
+function readOutbox() {
+  const dir = process.env.EMAIL_OUTBOX_DIR;
+  const order = file => file.split(/[-.]/).slice(0, 2).map(Number);
+  return fs.readdirSync(dir)
+    .sort((a, b) => order(a)[0] - order(b)[0] || order(a)[1] - order(b)[1])
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+module.exports = {
+  createTestDb,
+  startTestServer,
+  createPlayer,
+  readOutbox
+};
@@ -0,0 +1,76 @@
+/**
+ * Storage quotas of guests and unverified accounts on the file routes
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createPlayer } = require('./helpers');
+const { QUOTAS } = require('../utils/quotas');
+
+const KB = 1024;
+let api;
+
+beforeEach(async () => {
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+function writeFile(player, path, size) {
+  return api.request('POST', '/files', {
+    token: player.token,
+    body: { path, file_type: 'file', content: 'x'.repeat(size) }
+  });
+}
+
+function fileCount(player) {
+  return api.db.prepare('SELECT COUNT(*) as n FROM player_files WHERE player_id = ?').get(player.id).n;
+}
+
+test('a guest write past the byte limit is refused and rolled back', async () => {
+  const guest = createPlayer(api.db, { guest: true });
+
+  assert.equal((await writeFile(guest, 'a.txt', 100 * KB)).status, 200);
+
+  const over = await writeFile(guest, 'b.txt', 100 * KB);
+  assert.equal(over.status, 413);
+  assert.equal(over.body.error, 'QUOTA_EXCEEDED');
+  assert.equal(fileCount(guest), 1);
+});
+
+test('verified accounts have no limit', async () => {
+  const player = createPlayer(api.db, { email: 'big@example.com', verified: true });
+
+  assert.equal((await writeFile(player, 'a.txt', 200 * KB)).status, 200);
+  assert.equal((await writeFile(player, 'b.txt', 200 * KB)).status, 200);
+});
+
+test('batch writes count every file', async () => {
+  const player = createPlayer(api.db, { email: 'new@example.com' });
+  const operations = [];
+  for (let i = 0; i <= QUOTAS.unverified.max_files; i++) {
+    operations.push({ op: 'create', path: `f${i}.txt`, file_type: 'file', content: 'x' });
+  }
+
+  const response = await api.request('POST', '/batch', { token: player.token, body: { operations } });
+  assert.equal(response.status, 413);
+  assert.equal(fileCount(player), 0);
+});
+
+test('restoring a bigger version counts against the quota', async () => {
+  const guest = createPlayer(api.db, { guest: true });
+
+  assert.equal((await writeFile(guest, 'a.txt', 100 * KB)).status, 200);
+  assert.equal((await writeFile(guest, 'a.txt', 1)).status, 200);
+  assert.equal((await writeFile(guest, 'b.txt', 100 * KB)).status, 200);
+
+  const restore = await api.request('POST', '/versions/a.txt/restore/1', { token: guest.token });
+  assert.equal(restore.status, 413);
+  assert.equal(restore.body.error, 'QUOTA_EXCEEDED');
+
+  const current = api.db.prepare('SELECT file_size FROM player_files WHERE player_id = ? AND path = ?')
+    .get(guest.id, 'a.txt');
+  assert.equal(current.file_size, 1);
+});
@@ -0,0 +1,87 @@
+/**
+ * Recovery backoff: per-IP delays and lockout, and the global burst limit
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, startTestServer } = require('./helpers');
+const { checkRecoveryAllowed, recordRecoveryFailure, LOCKOUT_FAILURES, LOCKOUT_MINUTES } = require('../utils/recovery_guard');
+const { generateRecoveryCode } = require('../utils/recovery_code');
+
+let db;
+
+beforeEach(() => {
+  db = createTestDb();
+});
+
+function requestFrom(ip) {
+  return { ip, body: {}, get: () => 'node-test' };
+}
+
+function fail(ip, times = 1) {
+  for (let i = 0; i < times; i++) {
+    recordRecoveryFailure(db, requestFrom(ip), 'invalid_code');
+  }
+}
+
+/**
+ * Insert failures from many IPs directly (a distributed scan)
+ */
+function burst(count) {
+  const insert = db.prepare("INSERT INTO recovery_failures (ip, reason) VALUES (?, 'invalid_code')");
+  db.transaction(() => {
+    for (let i = 0; i < count; i++) insert.run(`10.0.${i >> 8}.${i & 255}`);
+  })();
+}
+
+test('the first failures are free', () => {
+  fail('192.0.2.1', 2);
+  assert.equal(checkRecoveryAllowed(db, '192.0.2.1'), null);
+});
+
+test('each failure past the free ones doubles the wait', () => {
+  fail('192.0.2.1', 3);
+  const first = checkRecoveryAllowed(db, '192.0.2.1').retry_after;
+
+  fail('192.0.2.1');
+  const second = checkRecoveryAllowed(db, '192.0.2.1').retry_after;
+
+  assert.ok(first > 0 && first <= 5);
+  assert.ok(second > 5 && second <= 10);
+});
+
+test('an IP is locked out after too many failures', () => {
+  fail('192.0.2.1', LOCKOUT_FAILURES);
+  const refused = checkRecoveryAllowed(db, '192.0.2.1');
+  assert.ok(refused.retry_after > (LOCKOUT_MINUTES - 1) * 60);
+});
+
+test('backoff is per IP', () => {
+  fail('192.0.2.1', LOCKOUT_FAILURES);
+  assert.equal(checkRecoveryAllowed(db, '192.0.2.2'), null);
+});
+
+test('a global burst pauses IPs that failed, not everyone', () => {
+  burst(300);
+  fail('192.0.2.1');
+
+  assert.ok(checkRecoveryAllowed(db, '192.0.2.1').retry_after > 0);
+  assert.equal(checkRecoveryAllowed(db, '192.0.2.2'), null);
+});
+
+test('the recover route answers 429 once backed off', async () => {
+  const api = await startTestServer(db);
+  // Well formed, but nobody's
+  const recovery_code = generateRecoveryCode();
+  try {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      const response = await api.request('POST', '/recover', { body: { recovery_code } });
+      statuses.push(response.status);
+      if (response.status === 429) assert.ok(response.body.retry_after > 0);
+    }
+    assert.deepEqual(statuses, [404, 404, 404, 429]);
+  } finally {
+    await api.close();
+  }
+});
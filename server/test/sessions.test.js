@@ -0,0 +1,47 @@
+/**
+ * Session management from a token rotated out but still in its grace window
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createPlayer } = require('./helpers');
+const { createSession } = require('../utils/sessions');
+
+let api;
+
+beforeEach(async () => {
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  await api.close();
+});
+
+async function rotate(token) {
+  const response = await api.request('POST', '/sessions/rotate', { token });
+  assert.equal(response.status, 200);
+  return response.body.session_token;
+}
+
+test('revoking other sessions with the old token keeps its successor', async () => {
+  const player = createPlayer(api.db, { email: 'rotate@example.com', verified: true });
+  const otherDevice = createSession(api.db, player.id, null);
+  const successor = await rotate(player.token);
+
+  // A request still in flight with the rotated-out token
+  const response = await api.request('POST', '/sessions/revoke-others', { token: player.token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.revoked, 1);
+
+  assert.equal((await api.request('GET', '/sessions', { token: successor })).status, 200);
+  assert.equal((await api.request('GET', '/sessions', { token: otherDevice })).status, 401);
+});
+
+test('the successor is listed as the current session', async () => {
+  const player = createPlayer(api.db, { email: 'list@example.com', verified: true });
+  createSession(api.db, player.id, null);
+  await rotate(player.token);
+
+  const response = await api.request('GET', '/sessions', { token: player.token });
+  assert.deepEqual(response.body.sessions.map(session => session.current).sort(), [false, true]);
+});
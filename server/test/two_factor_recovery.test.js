@@ -0,0 +1,156 @@
+/**
+ * Two-factor on the recovery paths: POST /api/recover and the email login
+ * (POST /api/recover/email + /api/recover/email/verify)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createPlayer, readOutbox } = require('./helpers');
+const totp = require('../utils/totp');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+let now = START;
+let api;
+
+beforeEach(async () => {
+  now = START;
+  totp.setClock(() => now);
+  api = await startTestServer();
+});
+
+afterEach(async () => {
+  totp.setClock(null);
+  await api.close();
+});
+
+/**
+ * Next 30 second step, so a fresh TOTP code is accepted
+ */
+function nextStep() {
+  now += totp.STEP_SECONDS * 1000;
+}
+
+/**
+ * Player with two-factor enabled
+ * @returns {Promise<object>} player plus { secret, backupCodes }
+ */
+async function enrolledPlayer(account = {}) {
+  const player = createPlayer(api.db, account);
+
+  const setup = await api.request('POST', '/account/2fa/setup', { token: player.token });
+  assert.equal(setup.status, 200);
+
+  const code = totp.generateCode(setup.body.secret, totp.currentStep());
+  const enabled = await api.request('POST', '/account/2fa/enable', { token: player.token, body: { code } });
+  assert.equal(enabled.status, 200);
+  nextStep();
+
+  return { ...player, secret: setup.body.secret, backupCodes: enabled.body.backup_codes };
+}
+
+/**
+ * Request an email login code and read it from the outbox
+ */
+async function emailLoginCode(email) {
+  const response = await api.request('POST', '/recover/email', { body: { email } });
+  assert.equal(response.status, 200);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const mail = readOutbox().filter(message => message.to === email).pop();
+  return /\b(\d{6})\b/.exec(mail.text)[1];
+}
+
+test('recovery code alone is refused once two-factor is on', async () => {
+  const player = await enrolledPlayer();
+
+  const response = await api.request('POST', '/recover', { body: { recovery_code: player.recoveryCode } });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.error, 'OTP_REQUIRED');
+});
+
+test('recovery code with a wrong TOTP code is refused', async () => {
+  const player = await enrolledPlayer();
+
+  const response = await api.request('POST', '/recover', {
+    body: { recovery_code: player.recoveryCode, otp: '000000' }
+  });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.error, 'INVALID_OTP');
+});
+
+test('recovery code with a current TOTP code works, and the code only works once', async () => {
+  const player = await enrolledPlayer();
+  const otp = totp.generateCode(player.secret, totp.currentStep());
+
+  const first = await api.request('POST', '/recover', { body: { recovery_code: player.recoveryCode, otp } });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.session_token);
+
+  const replay = await api.request('POST', '/recover', { body: { recovery_code: player.recoveryCode, otp } });
+  assert.equal(replay.status, 401);
+});
+
+test('a backup code stands in for the TOTP code once', async () => {
+  const player = await enrolledPlayer();
+  const [backup] = player.backupCodes;
+
+  const first = await api.request('POST', '/recover', { body: { recovery_code: player.recoveryCode, otp: backup } });
+  assert.equal(first.status, 200);
+
+  const again = await api.request('POST', '/recover', { body: { recovery_code: player.recoveryCode, otp: backup } });
+  assert.equal(again.status, 401);
+});
+
+test('email login needs the second factor too', async () => {
+  const email = 'otp@example.com';
+  const player = await enrolledPlayer({ email, verified: true });
+  const code = await emailLoginCode(email);
+
+  const missing = await api.request('POST', '/recover/email/verify', { body: { email, code } });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'OTP_REQUIRED');
+
+  // The email code survives the missing second factor
+  const otp = totp.generateCode(player.secret, totp.currentStep());
+  const ok = await api.request('POST', '/recover/email/verify', { body: { email, code, otp } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.handle, player.handle);
+});
+
+test('wrong second factors use up the email login code', async () => {
+  const email = 'guess@example.com';
+  const player = await enrolledPlayer({ email, verified: true });
+  const code = await emailLoginCode(email);
+
+  // Clear the per-IP failures between guesses, so only the code's own
+  // attempt limit is in play
+  api.db.prepare('DELETE FROM recovery_failures').run();
+  for (let i = 0; i < 5; i++) {
+    const wrong = await api.request('POST', '/recover/email/verify', {
+      body: { email, code, otp: '000000' }
+    });
+    assert.equal(wrong.status, 401);
+    api.db.prepare('DELETE FROM recovery_failures').run();
+  }
+
+  const otp = totp.generateCode(player.secret, totp.currentStep());
+  const late = await api.request('POST', '/recover/email/verify', { body: { email, code, otp } });
+  assert.equal(late.status, 401);
+  assert.equal(late.body.error, 'INVALID_CODE');
+});
+
+test('wrong second factors on the email login back off per IP', async () => {
+  const email = 'backoff@example.com';
+  await enrolledPlayer({ email, verified: true });
+  const code = await emailLoginCode(email);
+
+  const statuses = [];
+  for (let i = 0; i < 5; i++) {
+    const response = await api.request('POST', '/recover/email/verify', {
+      body: { email, code, otp: '000000' }
+    });
+    statuses.push(response.status);
+  }
+
+  assert.deepEqual(statuses, [401, 401, 401, 429, 429]);
+});
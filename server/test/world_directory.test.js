@@ -0,0 +1,69 @@
+/**
+ * World generation: a season's seed alone decides what answers every number
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { createTestDb } = require('./helpers');
+const { regenerateWorld, getExchangeDirectory, lookupWorldNumber } = require('../utils/world_directory');
+
+function worldWithSeed(seed) {
+  const db = createTestDb();
+  regenerateWorld(db, { seed, note: 'test' });
+  return db;
+}
+
+/**
+ * Generate an exchange in a fresh process (nothing cached, nothing shared)
+ */
+function directoryInChildProcess(seed, areaCode, exchange) {
+  const script = `
+    process.env.TOKEN_HASH_KEY = 'test';
+    console.log = () => {};
+    const Database = require('better-sqlite3');
+    const { initDatabase } = require('./db/init');
+    const { regenerateWorld, getExchangeDirectory } = require('./utils/world_directory');
+    const db = new Database(':memory:');
+    initDatabase(db);
+    regenerateWorld(db, { seed: ${JSON.stringify(seed)} });
+    process.stdout.write(JSON.stringify(getExchangeDirectory(db, '${areaCode}', '${exchange}')));
+  `;
+  return JSON.parse(execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') }));
+}
+
+test('an exchange has one entry per suffix, in order', () => {
+  const { entries } = getExchangeDirectory(worldWithSeed('layout'), '555', '01');
+
+  assert.equal(entries.length, 100);
+  entries.forEach((entry, suffix) => {
+    assert.equal(entry.suffix, suffix);
+    assert.equal(entry.number, `555-01${String(suffix).padStart(2, '0')}`);
+  });
+});
+
+test('the same seed generates the same world in another process', () => {
+  const here = getExchangeDirectory(worldWithSeed('same-seed'), '555', '42');
+  const there = directoryInChildProcess('same-seed', '555', '42');
+
+  assert.deepEqual({ ...there, season: here.season }, here);
+});
+
+test('a different seed generates a different world', () => {
+  const first = getExchangeDirectory(worldWithSeed('season-one'), '555', '42');
+  const second = getExchangeDirectory(worldWithSeed('season-two'), '555', '42');
+
+  assert.notDeepEqual(first.entries, second.entries);
+});
+
+test('a new season changes what answers a number', () => {
+  const db = worldWithSeed('before');
+  const numbers = Array.from({ length: 20 }, (_, i) => `555-03${String(i).padStart(2, '0')}`);
+  const before = numbers.map(number => lookupWorldNumber(db, number));
+
+  regenerateWorld(db, { seed: 'after' });
+  const after = numbers.map(number => lookupWorldNumber(db, number));
+
+  assert.notDeepEqual(after, before);
+});
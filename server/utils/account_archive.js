@@ -0,0 +1,428 @@
+/**
+ * Account Archives
+ * A single versioned JSON document holding everything a player owns:
+ * profile, files (with metadata and program), file version history,
+ * every named scene config and the BBS profile with its privacy settings.
+ * Used for backups and moving between servers.
+ */
+
+const crypto = require('crypto');
+const { enforceQuota } = require('./quotas');
+const { getProfile, validateProfileUpdate, updateProfile, PROFILE_FIELDS } = require('./profiles');
+
+const ARCHIVE_FORMAT = 'hackterm-account';
+const ARCHIVE_VERSION = 1;
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Versions kept per file (the rotation in routes/filesystem.js)
+const MAX_VERSIONS = 5;
+
+/**
+ * Compute SHA256 hash of content
+ */
+function computeHash(content) {
+  if (!content) return null;
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Parse a JSON column, tolerating bad data
+ */
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the archive for a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {object} Archive document
+ */
+function buildArchive(db, playerId) {
+  const profile = db.prepare(`
+    SELECT handle, phone_number, email, created_at FROM players WHERE id = ?
+  `).get(playerId);
+
+  const files = db.prepare(`
+    SELECT path, file_type, content, content_hash, file_size, program, metadata, created_at, updated_at
+    FROM player_files WHERE player_id = ?
+    ORDER BY path
+  `).all(playerId);
+
+  const versions = db.prepare(`
+    SELECT path, version_number, file_type, content, content_hash, file_size, created_at
+    FROM file_versions WHERE player_id = ?
+    ORDER BY path, version_number
+  `).all(playerId);
+
+  const sceneConfigs = db.prepare(`
+    SELECT config_name, config_data, created_at, updated_at
+    FROM scene_configs WHERE player_id = ?
+    ORDER BY config_name
+  `).all(playerId);
+
+  const bbsProfile = getProfile(db, playerId);
+  const playerProfile = { privacy: bbsProfile.privacy };
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    playerProfile[field] = bbsProfile[field];
+  }
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    profile,
+    player_profile: playerProfile,
+    files: files.map(f => ({
+      ...f,
+      metadata: parseJson(f.metadata)
+    })),
+    file_versions: versions,
+    scene_configs: sceneConfigs.map(c => ({
+      config_name: c.config_name,
+      config: parseJson(c.config_data),
+      created_at: c.created_at,
+      updated_at: c.updated_at
+    }))
+  };
+}
+
+/**
+ * Check the optional fields an entry shares with the database row
+ * (anything that would fail to bind or store is a validation error)
+ */
+function validateEntryFields(entry, label, errors) {
+  if (entry.content != null && typeof entry.content !== 'string') {
+    errors.push(`${label}: content must be a string`);
+  }
+  if (entry.created_at != null && typeof entry.created_at !== 'string') {
+    errors.push(`${label}: created_at must be a string`);
+  }
+}
+
+/**
+ * Check an archive's structure before importing it
+ * @param {object} archive - Parsed archive document
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+function validateArchive(archive) {
+  const errors = [];
+
+  if (!archive || typeof archive !== 'object') {
+    return ['Archive must be a JSON object'];
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    errors.push(`Unknown archive format: ${archive.format}`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    errors.push(`Unsupported archive version: ${archive.version}`);
+  }
+
+  for (const key of ['files', 'file_versions', 'scene_configs']) {
+    if (archive[key] !== undefined && !Array.isArray(archive[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const seenPaths = new Set();
+  (archive.files || []).forEach((file, i) => {
+    if (!file || typeof file.path !== 'string' || !file.path) {
+      errors.push(`files[${i}]: path is required`);
+      return;
+    }
+    if (typeof file.file_type !== 'string' || !file.file_type) {
+      errors.push(`files[${i}]: file_type is required`);
+    }
+    validateEntryFields(file, `files[${i}]`, errors);
+    if (file.program != null && typeof file.program !== 'string') {
+      errors.push(`files[${i}]: program must be a string`);
+    }
+    if (file.metadata != null && (typeof file.metadata !== 'object' || Array.isArray(file.metadata))) {
+      errors.push(`files[${i}]: metadata must be an object`);
+    }
+    if (seenPaths.has(file.path)) {
+      errors.push(`files[${i}]: duplicate path ${file.path}`);
+    }
+    seenPaths.add(file.path);
+  });
+
+  const seenVersions = new Set();
+  (archive.file_versions || []).forEach((version, i) => {
+    if (!version || typeof version.path !== 'string' || !version.path) {
+      errors.push(`file_versions[${i}]: path is required`);
+      return;
+    }
+    if (!Number.isInteger(version.version_number) || version.version_number < 1) {
+      errors.push(`file_versions[${i}]: version_number must be a positive integer`);
+    }
+    if (typeof version.file_type !== 'string' || !version.file_type) {
+      errors.push(`file_versions[${i}]: file_type is required`);
+    }
+    validateEntryFields(version, `file_versions[${i}]`, errors);
+
+    const key = `${version.path}\n${version.version_number}`;
+    if (seenVersions.has(key)) {
+      errors.push(`file_versions[${i}]: duplicate version ${version.version_number} of ${version.path}`);
+    }
+    seenVersions.add(key);
+  });
+
+  // Same rules as PUT /api/account/profile (control characters, SGR, lengths)
+  if (archive.player_profile != null) {
+    if (typeof archive.player_profile !== 'object' || Array.isArray(archive.player_profile)) {
+      errors.push('player_profile must be an object');
+    } else {
+      for (const error of validateProfileUpdate(archive.player_profile).errors) {
+        errors.push(`player_profile: ${error}`);
+      }
+    }
+  }
+
+  const seenNames = new Set();
+  (archive.scene_configs || []).forEach((config, i) => {
+    if (!config || typeof config.config_name !== 'string' || !config.config_name) {
+      errors.push(`scene_configs[${i}]: config_name is required`);
+      return;
+    }
+    if (!config.config || typeof config.config !== 'object') {
+      errors.push(`scene_configs[${i}]: config must be an object`);
+    }
+    if (seenNames.has(config.config_name)) {
+      errors.push(`scene_configs[${i}]: duplicate config_name ${config.config_name}`);
+    }
+    seenNames.add(config.config_name);
+  });
+
+  return errors;
+}
+
+/**
+ * Import the BBS profile: fields the account has no value for are set,
+ * different values are conflicts; privacy settings the player never
+ * set are taken from the archive (replace mode starts from no profile)
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} archived - Archive player_profile entry (already validated)
+ * @param {object} report - Import report, updated in place
+ */
+function importProfile(db, playerId, archived, report) {
+  const { fields, privacy } = validateProfileUpdate(archived);
+  const current = db.prepare('SELECT * FROM player_profiles WHERE player_id = ?').get(playerId) || {};
+
+  const changes = {};
+  for (const [field, { column }] of Object.entries(PROFILE_FIELDS)) {
+    const value = fields[column];
+    if (value == null) continue;
+
+    if (current[column] == null || current[column] === '') {
+      changes[column] = value;
+      report.player_profile.updated++;
+    } else if (current[column] === value) {
+      report.player_profile.unchanged++;
+    } else {
+      report.player_profile.conflicts++;
+      report.conflicts.push({ type: 'player_profile', field, reason: 'Different value on server' });
+    }
+  }
+
+  let stored = {};
+  try {
+    stored = current.privacy ? JSON.parse(current.privacy) : {};
+  } catch (e) {
+    stored = {};
+  }
+  const newPrivacy = {};
+  for (const [field, setting] of Object.entries(privacy || {})) {
+    if (stored[field] === undefined) newPrivacy[field] = setting;
+  }
+
+  if (Object.keys(changes).length > 0 || Object.keys(newPrivacy).length > 0) {
+    updateProfile(db, playerId, changes, Object.keys(newPrivacy).length > 0 ? newPrivacy : null);
+  }
+}
+
+/**
+ * Restore an archive into a player's account (one transaction)
+ *
+ * replace: the player's files, versions and scene configs are wiped first,
+ *          so the account ends up exactly like the archive.
+ * merge:   entries missing from the account are added; entries that exist
+ *          with different content are left alone and reported as conflicts.
+ *          Version history is only imported for files the archive created,
+ *          at most MAX_VERSIONS (the newest) per file.
+ *
+ * The profile (handle, phone number, email) is never imported; the BBS
+ * profile (player_profile) is, like any other entry.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} archive - Validated archive document
+ * @param {object} options
+ * @param {string} options.mode - 'merge' or 'replace'
+ * @param {string} [options.sessionToken] - Session hash to record as author
+ * @returns {object} Import report
+ * @throws {Error} With code 'QUOTA_EXCEEDED' if the result would not fit the player's quota
+ */
+function importArchive(db, playerId, archive, options) {
+  const { mode, sessionToken = null } = options;
+
+  const report = {
+    mode,
+    files: { created: 0, unchanged: 0, conflicts: 0 },
+    file_versions: { imported: 0, skipped: 0 },
+    scene_configs: { created: 0, unchanged: 0, conflicts: 0 },
+    player_profile: { updated: 0, unchanged: 0, conflicts: 0 },
+    conflicts: []
+  };
+
+  const insertFile = db.prepare(`
+    INSERT INTO player_files
+    (player_id, path, file_type, content, content_hash, file_size, program, metadata, updated_by_session, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), datetime('now'))
+  `);
+  const deleteVersions = db.prepare('DELETE FROM file_versions WHERE player_id = ? AND path = ?');
+  const insertVersion = db.prepare(`
+    INSERT INTO file_versions
+    (player_id, path, version_number, file_type, content, content_hash, file_size, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+  `);
+  const insertConfig = db.prepare(`
+    INSERT INTO scene_configs (player_id, config_name, config_data, created_at, updated_at)
+    VALUES (?, ?, ?, COALESCE(?, datetime('now')), datetime('now'))
+  `);
+
+  db.transaction(() => {
+    if (mode === 'replace') {
+      db.prepare('DELETE FROM player_files WHERE player_id = ?').run(playerId);
+      db.prepare('DELETE FROM file_versions WHERE player_id = ?').run(playerId);
+      db.prepare('DELETE FROM scene_configs WHERE player_id = ?').run(playerId);
+      db.prepare('DELETE FROM player_profiles WHERE player_id = ?').run(playerId);
+    }
+
+    const existingFiles = new Map(
+      db.prepare('SELECT path, file_type, content_hash FROM player_files WHERE player_id = ?')
+        .all(playerId)
+        .map(f => [f.path, f])
+    );
+    const createdPaths = new Set();
+
+    for (const file of archive.files || []) {
+      const content = file.content ?? null;
+      const contentHash = computeHash(content);
+      const existing = existingFiles.get(file.path);
+
+      if (existing) {
+        if (existing.content_hash === contentHash && existing.file_type === file.file_type) {
+          report.files.unchanged++;
+        } else {
+          report.files.conflicts++;
+          report.conflicts.push({ type: 'file', path: file.path, reason: 'Different content on server' });
+        }
+        continue;
+      }
+
+      insertFile.run(
+        playerId,
+        file.path,
+        file.file_type,
+        content,
+        contentHash,
+        content ? content.length : 0,
+        file.program || null,
+        file.metadata ? JSON.stringify(file.metadata) : null,
+        sessionToken,
+        file.created_at || null
+      );
+      // Drop stale history left behind by an earlier file at this path
+      deleteVersions.run(playerId, file.path);
+      createdPaths.add(file.path);
+      report.files.created++;
+    }
+
+    const versionsByPath = new Map();
+    for (const version of archive.file_versions || []) {
+      if (!createdPaths.has(version.path)) {
+        report.file_versions.skipped++;
+        continue;
+      }
+      if (!versionsByPath.has(version.path)) versionsByPath.set(version.path, []);
+      versionsByPath.get(version.path).push(version);
+    }
+
+    // Keep the newest MAX_VERSIONS per file, renumbered oldest first so the
+    // rotation on the next save overwrites the oldest one
+    for (const [path, versions] of versionsByPath) {
+      versions.sort((a, b) =>
+        (a.created_at || '').localeCompare(b.created_at || '') || a.version_number - b.version_number
+      );
+      const kept = versions.slice(-MAX_VERSIONS);
+      report.file_versions.skipped += versions.length - kept.length;
+
+      kept.forEach((version, i) => {
+        const content = version.content ?? null;
+        insertVersion.run(
+          playerId,
+          path,
+          i + 1,
+          version.file_type,
+          content,
+          computeHash(content),
+          content ? content.length : 0,
+          version.created_at || null
+        );
+        report.file_versions.imported++;
+      });
+    }
+
+    const existingConfigs = new Map(
+      db.prepare('SELECT config_name, config_data FROM scene_configs WHERE player_id = ?')
+        .all(playerId)
+        .map(c => [c.config_name, c.config_data])
+    );
+
+    for (const config of archive.scene_configs || []) {
+      const configJson = JSON.stringify(config.config);
+      const existing = existingConfigs.get(config.config_name);
+
+      if (existing !== undefined) {
+        if (existing === configJson) {
+          report.scene_configs.unchanged++;
+        } else {
+          report.scene_configs.conflicts++;
+          report.conflicts.push({
+            type: 'scene_config',
+            config_name: config.config_name,
+            reason: 'Different layout on server'
+          });
+        }
+        continue;
+      }
+
+      insertConfig.run(playerId, config.config_name, configJson, config.created_at || null);
+      report.scene_configs.created++;
+    }
+
+    if (archive.player_profile) {
+      importProfile(db, playerId, archive.player_profile, report);
+    }
+
+    enforceQuota(db, playerId);
+  })();
+
+  return report;
+}
+
+module.exports = {
+  buildArchive,
+  validateArchive,
+  importArchive,
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  IMPORT_MODES
+};
@@ -0,0 +1,114 @@
+/**
+ * Account Deletion
+ * Two-step deletion (request, then confirm with a short-lived token) used by
+ * both the player and admins. Deleting removes every row belonging to the
+ * player and returns their phone number to the pool via quarantine. The
+ * security event log is append-only and keeps its entries.
+ */
+
+const crypto = require('crypto');
+const { hashSecret } = require('./secret_hash');
+const { releasePhoneNumber } = require('./phone_pool');
+
+const CONFIRMATION_TTL_MINUTES = 10;
+
+/**
+ * Start a deletion: issue a confirmation token for the player's account
+ * Replaces any earlier pending request for the same player.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player to delete
+ * @param {number} requestedBy - Player ID of the requester (the player or an admin)
+ * @returns {string} Plaintext confirmation token
+ */
+function requestDeletion(db, playerId, requestedBy) {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM account_deletion_requests WHERE player_id = ?').run(playerId);
+    db.prepare(`
+      INSERT INTO account_deletion_requests (player_id, token_hash, requested_by, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(playerId, hashSecret(token), requestedBy, `+${CONFIRMATION_TTL_MINUTES} minutes`);
+  })();
+
+  return token;
+}
+
+/**
+ * Check a confirmation token
+ * The token only confirms a deletion requested by the same requester.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player to delete
+ * @param {number} requestedBy - Player ID of the requester
+ * @param {string} token - Plaintext confirmation token
+ * @returns {boolean}
+ */
+function isDeletionConfirmed(db, playerId, requestedBy, token) {
+  if (!token) return false;
+
+  const pending = db.prepare(`
+    SELECT id FROM account_deletion_requests
+    WHERE player_id = ? AND requested_by = ? AND token_hash = ?
+      AND expires_at > datetime('now')
+  `).get(playerId, requestedBy, hashSecret(String(token).trim()));
+
+  return !!pending;
+}
+
+/**
+ * Delete a player and everything they own, in one transaction
+ * Disconnecting live sockets is up to the caller (using the returned tokens).
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} [options]
+ * @param {number} [options.quarantineDays] - Override the phone number quarantine
+ * @returns {object|null} { handle, phone_number, tokens } or null if no such player
+ */
+function deleteAccount(db, playerId, options = {}) {
+  return db.transaction(() => {
+    const player = db.prepare('SELECT handle, phone_number FROM players WHERE id = ?').get(playerId);
+    if (!player) return null;
+
+    const tokens = db.prepare('SELECT token FROM sessions WHERE player_id = ?')
+      .all(playerId)
+      .map(row => row.token);
+
+    for (const table of [
+      'player_files',
+      'file_versions',
+      'active_sessions',
+      'sessions',
+      'scene_configs',
+      'email_login_codes',
+      'email_verifications',
+      'handle_history',
+      'phone_number_history',
+      'player_profiles',
+      'two_factor',
+      'two_factor_backup_codes',
+      'account_deletion_requests',
+      'scan_jobs'
+    ]) {
+      db.prepare(`DELETE FROM ${table} WHERE player_id = ?`).run(playerId);
+    }
+
+    if (player.phone_number) {
+      releasePhoneNumber(db, player.phone_number, options);
+    }
+
+    db.prepare('DELETE FROM players WHERE id = ?').run(playerId);
+
+    return {
+      handle: player.handle,
+      phone_number: player.phone_number,
+      tokens
+    };
+  })();
+}
+
+module.exports = {
+  requestDeletion,
+  isDeletionConfirmed,
+  deleteAccount,
+  CONFIRMATION_TTL_MINUTES
+};
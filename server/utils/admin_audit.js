@@ -0,0 +1,81 @@
+/**
+ * Admin Audit Log
+ * Append-only record of every action taken with admin or moderator powers
+ */
+
+/**
+ * Record an admin action
+ * @param {Database} db - SQLite database instance
+ * @param {number|null} actorId - Player who performed the action (null for the CLI / server)
+ * @param {string} action - Action code, e.g. 'SCENE_SAVE_DEFAULT'
+ * @param {object} [options]
+ * @param {number} [options.targetPlayerId] - Player the action was applied to
+ * @param {string} [options.ip] - Client IP address
+ * @param {object} [options.details] - Extra action data (stored as JSON)
+ */
+function logAdminAction(db, actorId, action, options = {}) {
+  const { targetPlayerId = null, ip = null, details = null } = options;
+
+  db.prepare(`
+    INSERT INTO admin_audit_log (actor_id, action, target_player_id, ip, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(actorId, action, targetPlayerId, ip, details ? JSON.stringify(details) : null);
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {object} [filters]
+ * @param {number} [filters.actorId] - Only actions by this player
+ * @param {number} [filters.targetPlayerId] - Only actions on this player
+ * @param {string} [filters.action] - Only this action code
+ * @param {number} [filters.limit=50] - Maximum number of entries
+ * @returns {Array<object>}
+ */
+function listAdminActions(db, filters = {}) {
+  const { actorId, targetPlayerId, action, limit = 50 } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    conditions.push('a.actor_id = ?');
+    params.push(actorId);
+  }
+  if (targetPlayerId) {
+    conditions.push('a.target_player_id = ?');
+    params.push(targetPlayerId);
+  }
+  if (action) {
+    conditions.push('a.action = ?');
+    params.push(action);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const entries = db.prepare(`
+    SELECT a.id, a.action, a.ip, a.details, a.created_at,
+           a.actor_id, actor.handle as actor_handle,
+           a.target_player_id, target.handle as target_handle
+    FROM admin_audit_log a
+    LEFT JOIN players actor ON a.actor_id = actor.id
+    LEFT JOIN players target ON a.target_player_id = target.id
+    ${where}
+    ORDER BY a.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+
+  return entries.map(e => ({
+    id: e.id,
+    action: e.action,
+    actor: e.actor_id ? { id: e.actor_id, handle: e.actor_handle } : null,
+    target: e.target_player_id ? { id: e.target_player_id, handle: e.target_handle } : null,
+    ip: e.ip,
+    details: e.details ? JSON.parse(e.details) : null,
+    created_at: e.created_at
+  }));
+}
+
+module.exports = {
+  logAdminAction,
+  listAdminActions
+};
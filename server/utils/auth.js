@@ -0,0 +1,155 @@
+/**
+ * Shared Authentication
+ * One place to read a session token from a request and validate it,
+ * used by every REST route and by the WebSocket auth handshake.
+ *
+ * Preferred:   Authorization: Bearer <token>   or   X-Session-Token: <token>
+ * Deprecated:  token in the URL path (/api/filesystem/:token), body or query
+ */
+
+const { findSession, touchSession } = require('./sessions');
+const { getRestriction, describeRestriction } = require('./moderation');
+
+const TOKEN_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+// Routes that took the token as the path segment right after them
+// (/filesystem/:token, /files/:token/*, /scene/load/:token, ...)
+const LEGACY_TOKEN_ROUTES = [
+  'filesystem', 'files', 'dirs', 'versions', 'batch', 'sync', 'scene/load', 'scene/list'
+];
+
+/**
+ * Express middleware: accept the deprecated token-in-path URLs
+ * Moves the token out of the path into req.legacyToken, so
+ * /filesystem/:token is routed exactly like /filesystem. Routes only ever
+ * declare the token-free path; the legacy form is an alias.
+ *
+ * Only the legacy routes are rewritten, and only when no header carries a
+ * token: a client sending its token in a header uses the new paths, where
+ * a 64-hex segment is a real file or config name.
+ */
+function stripLegacyToken(req, res, next) {
+  if (hasHeaderToken(req)) return next();
+
+  const queryStart = req.url.indexOf('?');
+  const pathname = queryStart === -1 ? req.url : req.url.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : req.url.slice(queryStart);
+
+  const route = LEGACY_TOKEN_ROUTES.find(prefix => pathname.startsWith(`/${prefix}/`));
+  const segments = pathname.split('/');
+  // Segment after the prefix ('' before the leading slash is segment 0)
+  const index = route ? route.split('/').length + 1 : -1;
+
+  if (route && TOKEN_PATTERN.test(segments[index] || '')) {
+    req.legacyToken = segments[index];
+    segments.splice(index, 1);
+    req.url = segments.join('/') + query;
+  }
+
+  next();
+}
+
+/**
+ * Whether a request carries a session token in a header
+ */
+function hasHeaderToken(req) {
+  const authHeader = req.headers.authorization;
+  return !!((authHeader && /^Bearer\s+/i.test(authHeader)) || req.headers['x-session-token']);
+}
+
+/**
+ * Extract the session token from a request
+ * @param {object} req - Express request
+ * @returns {{ token: string|null, legacy: boolean }} The token and whether it
+ *   came from a deprecated location (URL path, body or query string)
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && /^Bearer\s+/i.test(authHeader)) {
+    return { token: authHeader.replace(/^Bearer\s+/i, '').trim(), legacy: false };
+  }
+
+  if (req.headers['x-session-token']) {
+    return { token: req.headers['x-session-token'], legacy: false };
+  }
+
+  const legacyToken = req.legacyToken || req.body?.token || req.query?.token;
+  return { token: legacyToken || null, legacy: !!legacyToken };
+}
+
+/**
+ * Validate a plaintext session token and record the activity
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Plaintext session token
+ * @returns {object|null} Session ({ id, player_id, token, browser_id, handle }) or null
+ */
+function authenticateToken(db, token) {
+  const session = findSession(db, token);
+  if (!session) return null;
+
+  touchSession(db, session.token);
+  return session;
+}
+
+/**
+ * Express middleware: require a valid session on an unrestricted account
+ * Sets req.playerId, req.playerHandle, req.sessionId, req.browserId and
+ * req.sessionToken (the stored token hash, used to tag changes made by this session).
+ */
+function requireAuth(req, res, next) {
+  const { token, legacy } = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'MISSING_TOKEN',
+      message: 'Session token required'
+    });
+  }
+
+  const session = authenticateToken(req.db, token);
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'INVALID_TOKEN',
+      message: 'Invalid or expired session token'
+    });
+  }
+
+  const restriction = getRestriction(req.db, session.player_id);
+  if (restriction) {
+    return res.status(403).json({
+      success: false,
+      ...describeRestriction(restriction)
+    });
+  }
+
+  if (legacy) {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Warning', '299 - "Pass the session token in the Authorization header"');
+  }
+
+  req.playerId = session.player_id;
+  req.playerHandle = session.handle;
+  req.sessionId = session.id;
+  req.sessionToken = session.token;
+  req.browserId = session.browser_id;
+  next();
+}
+
+/**
+ * Mask anything that looks like a session token (for logging)
+ * @param {string} text - Text that may contain tokens
+ * @returns {string}
+ */
+function redactTokens(text) {
+  return String(text).replace(/[0-9a-fA-F]{64}/g, '[REDACTED]');
+}
+
+module.exports = {
+  stripLegacyToken,
+  getRequestToken,
+  authenticateToken,
+  requireAuth,
+  redactTokens
+};
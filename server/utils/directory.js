@@ -0,0 +1,121 @@
+/**
+ * Player Directory
+ * The BBS-style user list: every player who hasn't opted out (privacy
+ * setting 'directory'), paginated, searchable by handle and sortable.
+ *
+ * Privacy settings from player_profiles apply as on public profiles. A
+ * player sorted by a field they keep private goes to the end of the list,
+ * ordered by handle only, so their place in it gives nothing away.
+ */
+
+// A socket counts as online if it answered a ping this recently
+// (the server pings every 30 seconds)
+const ONLINE_WINDOW_SECONDS = 90;
+
+const SORTS = {
+  handle: { column: 'p.handle', privacy: null, defaultOrder: 'asc' },
+  joined: { column: 'p.created_at', privacy: 'join_date', defaultOrder: 'desc' },
+  last_seen: { column: 'p.last_seen', privacy: 'last_seen', defaultOrder: 'desc' }
+};
+
+const MAX_PER_PAGE = 100;
+
+/**
+ * Read a privacy setting from the stored JSON (public unless set private)
+ */
+function isPrivate(privacy, field) {
+  return privacy[field] === 'private';
+}
+
+/**
+ * List players for the directory
+ * @param {Database} db - SQLite database instance
+ * @param {object} [options]
+ * @param {string} [options.search] - Only handles containing this text
+ * @param {string} [options.sort='handle'] - 'handle', 'joined' or 'last_seen'
+ * @param {string} [options.order] - 'asc' or 'desc' (default depends on sort)
+ * @param {number} [options.page=1] - Page number, from 1
+ * @param {number} [options.perPage=25] - Players per page (max 100)
+ * @returns {object} { players, page, per_page, total, pages, sort, order }
+ */
+function listDirectory(db, options = {}) {
+  const sortName = SORTS[options.sort] ? options.sort : 'handle';
+  const sort = SORTS[sortName];
+  const order = options.order === 'asc' || options.order === 'desc' ? options.order : sort.defaultOrder;
+  const perPage = Math.min(Math.max(parseInt(options.perPage) || 25, 1), MAX_PER_PAGE);
+  const page = Math.max(parseInt(options.page) || 1, 1);
+
+  const conditions = [
+    "p.status != 'banned'",
+    "COALESCE(json_extract(pr.privacy, '$.directory'), 'public') != 'private'"
+  ];
+  const params = [];
+
+  if (options.search) {
+    const escaped = String(options.search).toUpperCase().replace(/[\\%_]/g, '\\$&');
+    conditions.push("p.handle LIKE ? ESCAPE '\\'");
+    params.push(`%${escaped}%`);
+  }
+
+  const from = `
+    FROM players p
+    LEFT JOIN player_profiles pr ON pr.player_id = p.id
+    WHERE ${conditions.join(' AND ')}
+  `;
+
+  const total = db.prepare(`SELECT COUNT(*) as count ${from}`).get(...params).count;
+
+  // Hidden values sort last whatever the order, and only by handle among
+  // themselves (sorting them by the hidden value would leak it); handle
+  // breaks ties
+  const hidden = `COALESCE(json_extract(pr.privacy, '$.${sort.privacy}'), 'public') = 'private'`;
+  const orderBy = sort.privacy
+    ? `${hidden}, CASE WHEN ${hidden} THEN NULL ELSE ${sort.column} END ${order.toUpperCase()}, p.handle ASC`
+    : `${sort.column} ${order.toUpperCase()}`;
+
+  const rows = db.prepare(`
+    SELECT p.handle, p.created_at, p.last_seen,
+           pr.location, pr.group_name, pr.privacy,
+           EXISTS (
+             SELECT 1 FROM active_sessions a
+             WHERE a.player_id = p.id AND a.last_ping > datetime('now', ?)
+           ) as online
+    ${from}
+    ORDER BY ${orderBy}
+    LIMIT ? OFFSET ?
+  `).all(`-${ONLINE_WINDOW_SECONDS} seconds`, ...params, perPage, (page - 1) * perPage);
+
+  const players = rows.map(row => {
+    let privacy = {};
+    try {
+      privacy = row.privacy ? JSON.parse(row.privacy) : {};
+    } catch (e) {
+      privacy = {};
+    }
+
+    const entry = { handle: row.handle };
+    if (!isPrivate(privacy, 'last_seen')) {
+      entry.online = !!row.online;
+      entry.last_seen = row.last_seen;
+    }
+    if (!isPrivate(privacy, 'join_date')) entry.join_date = row.created_at;
+    if (!isPrivate(privacy, 'location')) entry.location = row.location || null;
+    if (!isPrivate(privacy, 'group')) entry.group = row.group_name || null;
+    return entry;
+  });
+
+  return {
+    players,
+    page,
+    per_page: perPage,
+    total,
+    pages: Math.ceil(total / perPage),
+    sort: sortName,
+    order
+  };
+}
+
+module.exports = {
+  listDirectory,
+  SORTS: Object.keys(SORTS)
+};
@@ -1,16 +1,28 @@
 /**
- * Email Utility for sending recovery codes
+ * Email Utility for sending recovery and login codes
  *
  * TODO: Configure actual email provider (Mailgun, SendGrid, SMTP, etc.)
  * For now, logs emails to console for development.
+ * Set EMAIL_OUTBOX_DIR to write every email to a JSON file instead (tests).
  */
 
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
 
 // Configure transporter based on environment
 let transporter = null;
+let outboxDir = null;
+let outboxCounter = 0;
 
 function initEmailTransporter() {
+  if (process.env.EMAIL_OUTBOX_DIR) {
+    outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR);
+    fs.mkdirSync(outboxDir, { recursive: true });
+    console.log('[EMAIL] Writing emails to local outbox:', outboxDir);
+    return;
+  }
+
   const smtpHost = process.env.SMTP_HOST;
   const smtpPort = process.env.SMTP_PORT || 587;
   const smtpUser = process.env.SMTP_USER;
@@ -38,14 +50,22 @@ function initEmailTransporter() {
  * @param {string} handle - Player's handle
  * @param {string} recoveryCode - The recovery code
  * @param {string} phoneNumber - Assigned phone number
+ * @param {object} [options]
+ * @param {boolean} [options.rotated] - Code replaces an older one (not a new account)
  * @returns {Promise<boolean>} - Success status
  */
-async function sendRecoveryCodeEmail(email, handle, recoveryCode, phoneNumber) {
-  const subject = 'HackTerm80s - Your Recovery Code';
+async function sendRecoveryCodeEmail(email, handle, recoveryCode, phoneNumber, options = {}) {
+  const subject = options.rotated
+    ? 'HackTerm80s - Your New Recovery Code'
+    : 'HackTerm80s - Your Recovery Code';
+  const intro = options.rotated
+    ? `Your recovery code has been changed, ${handle}.\n\nYour old code no longer works.`
+    : `Welcome to HackTerm80s, ${handle}!\n\nYour account has been created successfully.`;
+  const htmlIntro = options.rotated
+    ? `Your recovery code has been changed, <strong>${handle}</strong>. Your old code no longer works.`
+    : `Welcome to the Shadow Network, <strong>${handle}</strong>!`;
   const text = `
-Welcome to HackTerm80s, ${handle}!
-
-Your account has been created successfully.
+${intro}
 
 ========================================
 SAVE THIS RECOVERY CODE
@@ -68,7 +88,7 @@ Keep this code secret - anyone with it can access your account.
   const html = `
 <div style="font-family: 'Courier New', monospace; background: #0a0a0a; color: #00ff00; padding: 20px; max-width: 600px;">
   <h1 style="color: #00ff00; border-bottom: 2px solid #00ff00;">HackTerm80s</h1>
-  <p>Welcome to the Shadow Network, <strong>${handle}</strong>!</p>
+  <p>${htmlIntro}</p>
 
   <div style="background: #1a1a1a; border: 1px solid #00ff00; padding: 20px; margin: 20px 0;">
     <h2 style="color: #ffff00; margin-top: 0;">*** SAVE THIS RECOVERY CODE ***</h2>
@@ -85,7 +105,136 @@ Keep this code secret - anyone with it can access your account.
 </div>
 `;
 
-  if (transporter) {
+  return deliverEmail(email, subject, text, html, `Recovery Code: ${recoveryCode}`);
+}
+
+/**
+ * Send the email verification link for a new (or changed) address
+ * @param {string} email - Address being verified
+ * @param {string} handle - Player's handle
+ * @param {string} link - Verification URL
+ * @param {number} ttlHours - Hours until the link and the unverified account expire
+ * @returns {Promise<boolean>} - Success status
+ */
+async function sendVerificationEmail(email, handle, link, ttlHours) {
+  const subject = 'HackTerm80s - Confirm Your Email';
+  const text = `
+Someone (hopefully you) registered the handle ${handle} on HackTerm80s
+with this email address.
+
+Confirm it by opening this link:
+
+  ${link}
+
+Until you do, the account runs in limited mode. Unconfirmed accounts are
+deleted after ${ttlHours} hours and their phone numbers are reassigned.
+
+If this wasn't you, ignore this email - nothing more will be sent.
+
+- The Shadow Network
+`;
+
+  const html = `
+<div style="font-family: 'Courier New', monospace; background: #0a0a0a; color: #00ff00; padding: 20px; max-width: 600px;">
+  <h1 style="color: #00ff00; border-bottom: 2px solid #00ff00;">HackTerm80s</h1>
+  <p>Someone (hopefully you) registered the handle <strong>${handle}</strong> with this email address.</p>
+
+  <div style="background: #1a1a1a; border: 1px solid #00ff00; padding: 20px; margin: 20px 0;">
+    <h2 style="color: #ffff00; margin-top: 0;">CONFIRM YOUR EMAIL</h2>
+    <p><a href="${link}" style="color: #00ffff;">${link}</a></p>
+  </div>
+
+  <p>Until you do, the account runs in limited mode. Unconfirmed accounts are deleted after ${ttlHours} hours and their phone numbers are reassigned.</p>
+
+  <p style="color: #ff6600;">If this wasn't you, ignore this email - nothing more will be sent.</p>
+
+  <p style="color: #666; margin-top: 30px;">- The Shadow Network</p>
+</div>
+`;
+
+  return deliverEmail(email, subject, text, html, `Verify: ${link}`);
+}
+
+/**
+ * Send a one-time login code for email-based account recovery
+ * @param {string} email - Player's registered email address
+ * @param {string} handle - Player's handle
+ * @param {string} code - One-time login code
+ * @param {number} ttlMinutes - Minutes until the code expires
+ * @returns {Promise<boolean>} - Success status
+ */
+async function sendLoginCodeEmail(email, handle, code, ttlMinutes) {
+  const subject = 'HackTerm80s - Your Login Code';
+  const text = `
+Someone (hopefully you) asked to log in to HackTerm80s as ${handle}.
+
+========================================
+LOGIN CODE: ${code}
+========================================
+
+Enter it in the terminal within ${ttlMinutes} minutes.
+
+The code works once. If you didn't ask for it, you can ignore this email.
+
+- The Shadow Network
+`;
+
+  const html = `
+<div style="font-family: 'Courier New', monospace; background: #0a0a0a; color: #00ff00; padding: 20px; max-width: 600px;">
+  <h1 style="color: #00ff00; border-bottom: 2px solid #00ff00;">HackTerm80s</h1>
+  <p>Someone (hopefully you) asked to log in as <strong>${handle}</strong>.</p>
+
+  <div style="background: #1a1a1a; border: 1px solid #00ff00; padding: 20px; margin: 20px 0;">
+    <h2 style="color: #ffff00; margin-top: 0;">LOGIN CODE</h2>
+    <p style="font-size: 24px; color: #00ffff; letter-spacing: 4px;"><strong>${code}</strong></p>
+  </div>
+
+  <p>Enter it in the terminal within ${ttlMinutes} minutes.</p>
+
+  <p style="color: #ff6600;">The code works once. If you didn't ask for it, you can ignore this email.</p>
+
+  <p style="color: #666; margin-top: 30px;">- The Shadow Network</p>
+</div>
+`;
+
+  return deliverEmail(email, subject, text, html, `Login Code: ${code}`);
+}
+
+/**
+ * Write an email to the local outbox as <timestamp>-<n>.json
+ * @returns {boolean} - Success status
+ */
+function writeToOutbox(email, subject, text, html) {
+  const file = path.join(outboxDir, `${Date.now()}-${++outboxCounter}.json`);
+  try {
+    fs.writeFileSync(file, JSON.stringify({
+      to: email,
+      subject,
+      text,
+      html,
+      sent_at: new Date().toISOString()
+    }, null, 2));
+    console.log(`[EMAIL] "${subject}" written to outbox for ${email}`);
+    return true;
+  } catch (error) {
+    console.error(`[EMAIL] Failed to write outbox file for ${email}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Send an email through SMTP, or log it to the console in development
+ * @param {string} email - Recipient
+ * @param {string} subject - Subject line
+ * @param {string} text - Plain text body
+ * @param {string} html - HTML body
+ * @param {string} summary - One-line summary logged in development mode
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deliverEmail(email, subject, text, html, summary) {
+  if (outboxDir) {
+    return writeToOutbox(email, subject, text, html);
+  } else if (transporter) {
     try {
       await transporter.sendMail({
         from: process.env.SMTP_FROM || '"HackTerm80s" <noreply@hackterm80s.com>',
@@ -94,7 +243,7 @@ Keep this code secret - anyone with it can access your account.
         text,
         html
       });
-      console.log(`[EMAIL] Recovery code sent to ${email}`);
+      console.log(`[EMAIL] "${subject}" sent to ${email}`);
       return true;
     } catch (error) {
       console.error(`[EMAIL] Failed to send to ${email}:`, error.message);
@@ -105,7 +254,7 @@ Keep this code secret - anyone with it can access your account.
     console.log('========================================');
     console.log('[EMAIL] Would send to:', email);
     console.log('[EMAIL] Subject:', subject);
-    console.log('[EMAIL] Recovery Code:', recoveryCode);
+    console.log(`[EMAIL] ${summary}`);
     console.log('========================================');
     return true;
   }
@@ -126,5 +275,7 @@ function isValidEmail(email) {
 module.exports = {
   initEmailTransporter,
   sendRecoveryCodeEmail,
+  sendLoginCodeEmail,
+  sendVerificationEmail,
   isValidEmail
 };
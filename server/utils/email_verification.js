@@ -0,0 +1,173 @@
+/**
+ * Email Verification
+ * New accounts start unverified (players.email_verified_at NULL) and run in
+ * limited mode until the player follows the link mailed at registration.
+ * Accounts still unverified after VERIFY_TTL_HOURS are deleted and their
+ * phone numbers go straight back to the pool.
+ */
+
+const crypto = require('crypto');
+const { hashSecret } = require('./secret_hash');
+const { deleteAccount } = require('./account_deletion');
+const { sendVerificationEmail } = require('./email');
+
+const VERIFY_TTL_HOURS = parseInt(process.env.EMAIL_VERIFY_HOURS, 10) || 48;
+
+// Resend throttling (per rolling hour)
+const MAX_SENDS_PER_HOUR = 3;
+
+/**
+ * Check whether a player's email is verified
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {boolean}
+ */
+function isEmailVerified(db, playerId) {
+  const player = db.prepare('SELECT email_verified_at FROM players WHERE id = ?').get(playerId);
+  return !!(player && player.email_verified_at);
+}
+
+/**
+ * When an unverified account will be removed
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {string|null} SQLite datetime, or null if verified / guest / unknown
+ */
+function getVerificationDeadline(db, playerId) {
+  const row = db.prepare(`
+    SELECT datetime(created_at, ?) as deadline FROM players
+    WHERE id = ? AND email_verified_at IS NULL AND is_guest = 0
+  `).get(`+${VERIFY_TTL_HOURS} hours`, playerId);
+
+  return row ? row.deadline : null;
+}
+
+/**
+ * Check whether another verification email may be sent to a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {boolean} True if over the limit
+ */
+function isResendThrottled(db, playerId) {
+  const count = db.prepare(`
+    SELECT COUNT(*) as count FROM email_verifications
+    WHERE player_id = ? AND created_at > datetime('now', '-1 hour')
+  `).get(playerId);
+
+  return count.count >= MAX_SENDS_PER_HOUR;
+}
+
+/**
+ * Issue a verification token for an email address
+ * Earlier unused tokens for the player stop working. The link is valid
+ * until the account itself would expire.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} email - Normalized email address being verified
+ * @returns {string} Plaintext token (goes in the emailed link)
+ */
+function createVerification(db, playerId, email) {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE email_verifications SET used_at = datetime('now')
+      WHERE player_id = ? AND used_at IS NULL
+    `).run(playerId);
+
+    db.prepare(`
+      INSERT INTO email_verifications (player_id, email, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(playerId, email, hashSecret(token), `+${VERIFY_TTL_HOURS} hours`);
+  })();
+
+  return token;
+}
+
+/**
+ * Issue a token and mail the verification link
+ * PUBLIC_URL is the address players reach the API on (defaults to localhost).
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} handle - Player's handle
+ * @param {string} email - Normalized email address being verified
+ */
+function sendVerification(db, playerId, handle, email) {
+  const token = createVerification(db, playerId, email);
+  const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  const link = `${baseUrl}/api/verify-email?token=${token}`;
+
+  sendVerificationEmail(email, handle, link, VERIFY_TTL_HOURS)
+    .catch(err => console.error('[VERIFY] Email send error:', err.message));
+}
+
+/**
+ * Redeem a verification token
+ * Marks the player verified and makes the verified address their email;
+ * a guest becomes a full account.
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Plaintext token from the link
+ * @returns {object|null} { player_id, handle, email } on success, null otherwise
+ */
+function consumeVerification(db, token) {
+  if (!token || typeof token !== 'string') return null;
+
+  return db.transaction(() => {
+    const pending = db.prepare(`
+      SELECT v.id, v.player_id, v.email, p.handle FROM email_verifications v
+      JOIN players p ON p.id = v.player_id
+      WHERE v.token_hash = ? AND v.used_at IS NULL AND v.expires_at > datetime('now')
+    `).get(hashSecret(token.trim().toLowerCase()));
+
+    if (!pending) return null;
+
+    // Someone else may have verified this address since the link was sent
+    const taken = db.prepare(`
+      SELECT id FROM players WHERE email = ? AND id != ? AND email_verified_at IS NOT NULL
+    `).get(pending.email, pending.player_id);
+    if (taken) return null;
+
+    db.prepare("UPDATE email_verifications SET used_at = datetime('now') WHERE id = ?").run(pending.id);
+    db.prepare(`
+      UPDATE players SET email = ?, email_verified_at = datetime('now'), is_guest = 0 WHERE id = ?
+    `).run(pending.email, pending.player_id);
+
+    return {
+      player_id: pending.player_id,
+      handle: pending.handle,
+      email: pending.email
+    };
+  })();
+}
+
+/**
+ * Delete accounts that were never verified
+ * Numbers skip quarantine: nobody has had time to learn them.
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<object>} Deleted accounts ({ player_id, handle, phone_number, tokens })
+ */
+function expireUnverifiedAccounts(db) {
+  const expired = db.prepare(`
+    SELECT id FROM players
+    WHERE email_verified_at IS NULL AND is_guest = 0 AND created_at < datetime('now', ?)
+  `).all(`-${VERIFY_TTL_HOURS} hours`);
+
+  const deleted = [];
+  for (const { id } of expired) {
+    const result = deleteAccount(db, id, { quarantineDays: 0 });
+    if (result) deleted.push({ player_id: id, ...result });
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  isEmailVerified,
+  getVerificationDeadline,
+  isResendThrottled,
+  createVerification,
+  sendVerification,
+  consumeVerification,
+  expireUnverifiedAccounts,
+  VERIFY_TTL_HOURS
+};
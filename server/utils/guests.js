@@ -0,0 +1,73 @@
+/**
+ * Guest Accounts
+ * Players can try multiplayer without an email. Guests get a generated
+ * handle, limited storage (see quotas.js) and are deleted once idle for
+ * GUEST_TTL_DAYS. Verifying an email (POST /api/account/upgrade) turns a
+ * guest into a normal account, files and scenes included.
+ */
+
+const crypto = require('crypto');
+const { deleteAccount } = require('./account_deletion');
+const { checkHandleAvailable } = require('./handles');
+
+const GUEST_TTL_DAYS = parseInt(process.env.GUEST_TTL_DAYS, 10) || 7;
+
+const GUEST_HANDLE_PREFIX = 'GUEST-';
+const HANDLE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Pick an unused guest handle (GUEST-XXXX)
+ * @param {Database} db - SQLite database instance
+ * @returns {string|null} Handle, or null if no free one was found
+ */
+function generateGuestHandle(db) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    let suffix = '';
+    for (let i = 0; i < 4; i++) {
+      suffix += HANDLE_CHARS[crypto.randomInt(HANDLE_CHARS.length)];
+    }
+
+    const handle = GUEST_HANDLE_PREFIX + suffix;
+    if (!checkHandleAvailable(db, handle)) return handle;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a player is a guest
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {boolean}
+ */
+function isGuest(db, playerId) {
+  const player = db.prepare('SELECT is_guest FROM players WHERE id = ?').get(playerId);
+  return !!(player && player.is_guest);
+}
+
+/**
+ * Delete guests that have not been seen for GUEST_TTL_DAYS
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<object>} Deleted accounts ({ player_id, handle, phone_number, tokens })
+ */
+function expireGuestAccounts(db) {
+  const abandoned = db.prepare(`
+    SELECT id FROM players
+    WHERE is_guest = 1 AND last_seen < datetime('now', ?)
+  `).all(`-${GUEST_TTL_DAYS} days`);
+
+  const deleted = [];
+  for (const { id } of abandoned) {
+    const result = deleteAccount(db, id);
+    if (result) deleted.push({ player_id: id, ...result });
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  generateGuestHandle,
+  isGuest,
+  expireGuestAccounts,
+  GUEST_TTL_DAYS
+};
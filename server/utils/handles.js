@@ -0,0 +1,265 @@
+/**
+ * Handle Rules
+ * Format checks, the admin-managed reserved handle list, and handle changes.
+ *
+ * Every change is recorded in handle_history. The old handle keeps pointing
+ * at the player (and can't be taken by anyone else) for HANDLE_HOLD_DAYS,
+ * and a player can change handle once per HANDLE_CHANGE_COOLDOWN_DAYS.
+ */
+
+const HANDLE_CHANGE_COOLDOWN_DAYS = parseInt(process.env.HANDLE_CHANGE_COOLDOWN_DAYS, 10) || 30;
+const HANDLE_HOLD_DAYS = parseInt(process.env.HANDLE_HOLD_DAYS, 10) || 90;
+
+// 'exact' blocks the handle itself; 'contains' blocks any handle containing
+// the word once '_' and '-' are removed (so F_O_O is caught too); 'word'
+// blocks the word standing on its own - between non-letters (FOO_1, X-FOO)
+// or as the whole handle once '_' and '-' are removed - but not inside
+// another word, so a short word doesn't catch innocent handles (GRAPE, SCUNTHORPE)
+const MATCH_TYPES = ['exact', 'contains', 'word'];
+
+// Seeded into reserved_handles on first start; admins edit the table from there
+const OFFENSIVE_WORDS = ['FUCK', 'SHIT', 'CUNT', 'BITCH', 'NAZI', 'WHORE', 'RAPE'];
+const DEFAULT_RESERVED = [
+  ...['SYSOP', 'ADMIN', 'ADMINISTRATOR', 'ROOT', 'SYSTEM', 'SERVER', 'MODERATOR', 'MOD',
+    'STAFF', 'SUPPORT', 'OPERATOR', 'GUEST', 'NOBODY', 'ANONYMOUS', 'HACKTERM']
+    .map(pattern => ({ pattern, match: 'exact', reason: 'System name' })),
+  ...OFFENSIVE_WORDS.map(pattern => ({ pattern, match: 'word', reason: 'Offensive' }))
+];
+
+/**
+ * Normalize and validate a requested handle's format
+ * @param {*} handle - Handle from the request body
+ * @returns {object} { handle } if valid, otherwise { message }
+ */
+function checkHandle(handle) {
+  if (!handle || typeof handle !== 'string') {
+    return { message: 'Handle is required' };
+  }
+
+  const cleanHandle = handle.toUpperCase().trim();
+
+  if (cleanHandle.length < 3 || cleanHandle.length > 12) {
+    return { message: 'Handle must be 3-12 characters' };
+  }
+
+  // Check for valid characters (alphanumeric, underscore, hyphen)
+  if (!/^[A-Z0-9_-]+$/.test(cleanHandle)) {
+    return { message: 'Handle can only contain letters, numbers, underscore, and hyphen' };
+  }
+
+  return { handle: cleanHandle };
+}
+
+/**
+ * Insert the default reserved handles (skips ones already present)
+ * @param {Database} db - SQLite database instance
+ */
+function seedReservedHandles(db) {
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO reserved_handles (pattern, match_type, reason)
+    VALUES (?, ?, ?)
+  `);
+  for (const entry of DEFAULT_RESERVED) {
+    insert.run(entry.pattern, entry.match, entry.reason);
+  }
+}
+
+/**
+ * Switch the seeded offensive words from 'contains' (as first seeded) to 'word'
+ * Entries an admin added or changed are left alone.
+ * @param {Database} db - SQLite database instance
+ * @returns {number} Entries changed
+ */
+function useWordMatchForSeededWords(db) {
+  return db.prepare(`
+    UPDATE reserved_handles SET match_type = 'word'
+    WHERE match_type = 'contains' AND created_by IS NULL
+      AND pattern IN (${OFFENSIVE_WORDS.map(() => '?').join(', ')})
+  `).run(...OFFENSIVE_WORDS).changes;
+}
+
+/**
+ * Find the reserved-list entry blocking a handle
+ * @param {Database} db - SQLite database instance
+ * @param {string} handle - Normalized handle
+ * @returns {object|null} Matching entry, or null if the handle is allowed
+ */
+function findReservation(db, handle) {
+  const squashed = handle.replace(/[_-]/g, '');
+  // Runs of letters, space separated and padded: ' FOO BAR '
+  const words = ` ${handle.replace(/[^A-Z]+/g, ' ').trim()} `;
+
+  return db.prepare(`
+    SELECT id, pattern, match_type, reason FROM reserved_handles
+    WHERE (match_type = 'exact' AND (pattern = ? OR pattern = ?))
+       OR (match_type = 'contains' AND instr(?, pattern) > 0)
+       OR (match_type = 'word' AND (pattern = ? OR instr(?, ' ' || pattern || ' ') > 0))
+    LIMIT 1
+  `).get(handle, squashed, squashed, squashed, words) || null;
+}
+
+/**
+ * List the reserved handle entries
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<object>}
+ */
+function listReservedHandles(db) {
+  return db.prepare(`
+    SELECT id, pattern, match_type, reason, created_by, created_at
+    FROM reserved_handles ORDER BY match_type, pattern
+  `).all();
+}
+
+/**
+ * Add a reserved handle entry
+ * @param {Database} db - SQLite database instance
+ * @param {string} pattern - Handle or word (normalized to upper case)
+ * @param {string} matchType - 'exact', 'contains' or 'word'
+ * @param {string|null} reason - Why it is reserved
+ * @param {number|null} createdBy - Admin player ID
+ * @returns {object|null} The new entry, or null if the pattern already exists
+ */
+function addReservedHandle(db, pattern, matchType, reason, createdBy) {
+  if (!MATCH_TYPES.includes(matchType)) {
+    throw new Error(`Unknown match type: ${matchType}`);
+  }
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO reserved_handles (pattern, match_type, reason, created_by)
+    VALUES (?, ?, ?, ?)
+  `).run(pattern.toUpperCase().trim(), matchType, reason || null, createdBy);
+
+  if (result.changes === 0) return null;
+  return db.prepare('SELECT * FROM reserved_handles WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Remove a reserved handle entry
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Entry ID
+ * @returns {object|null} The removed entry, or null if not found
+ */
+function removeReservedHandle(db, id) {
+  const entry = db.prepare('SELECT * FROM reserved_handles WHERE id = ?').get(id);
+  if (!entry) return null;
+
+  db.prepare('DELETE FROM reserved_handles WHERE id = ?').run(id);
+  return entry;
+}
+
+/**
+ * Find the player an old handle still points at (within the hold period)
+ * @param {Database} db - SQLite database instance
+ * @param {string} handle - Normalized handle
+ * @returns {object|null} { player_id, handle } (current handle), or null
+ */
+function findHeldHandle(db, handle) {
+  return db.prepare(`
+    SELECT h.player_id, p.handle FROM handle_history h
+    JOIN players p ON p.id = h.player_id
+    WHERE h.old_handle = ? AND h.held_until > datetime('now')
+    ORDER BY h.changed_at DESC LIMIT 1
+  `).get(handle) || null;
+}
+
+/**
+ * Check whether a handle may be taken (format aside)
+ * @param {Database} db - SQLite database instance
+ * @param {string} handle - Normalized handle
+ * @param {number|null} [playerId] - Player asking (their own old handles are allowed)
+ * @returns {object|null} { error, message } describing the problem, or null if free
+ */
+function checkHandleAvailable(db, handle, playerId = null) {
+  if (findReservation(db, handle)) {
+    return { error: 'HANDLE_RESERVED', message: 'Handle is reserved' };
+  }
+
+  const existing = db.prepare('SELECT id FROM players WHERE handle = ?').get(handle);
+  if (existing) {
+    return { error: 'HANDLE_TAKEN', message: 'Handle already registered' };
+  }
+
+  const held = findHeldHandle(db, handle);
+  if (held && held.player_id !== playerId) {
+    return { error: 'HANDLE_TAKEN', message: 'Handle was recently used by another player' };
+  }
+
+  return null;
+}
+
+/**
+ * When a player may next change their handle
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {string|null} SQLite datetime, or null if a change is allowed now
+ */
+function getNextHandleChange(db, playerId) {
+  const row = db.prepare(`
+    SELECT next_change_at FROM (
+      SELECT datetime(MAX(changed_at), ?) as next_change_at FROM handle_history
+      WHERE player_id = ?
+    ) WHERE next_change_at > datetime('now')
+  `).get(`+${HANDLE_CHANGE_COOLDOWN_DAYS} days`, playerId);
+
+  return row ? row.next_change_at : null;
+}
+
+/**
+ * Rename a player and hold the old handle (one transaction)
+ * Availability and cooldown are the caller's job.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} newHandle - Normalized, available handle
+ * @returns {string} The previous handle
+ */
+function changeHandle(db, playerId, newHandle) {
+  return db.transaction(() => {
+    const player = db.prepare('SELECT handle FROM players WHERE id = ?').get(playerId);
+
+    // Taking back an old handle ends its hold
+    db.prepare(`
+      UPDATE handle_history SET held_until = datetime('now')
+      WHERE player_id = ? AND old_handle = ? AND held_until > datetime('now')
+    `).run(playerId, newHandle);
+
+    db.prepare(`
+      INSERT INTO handle_history (player_id, old_handle, new_handle, held_until)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(playerId, player.handle, newHandle, `+${HANDLE_HOLD_DAYS} days`);
+
+    db.prepare('UPDATE players SET handle = ? WHERE id = ?').run(newHandle, playerId);
+
+    return player.handle;
+  })();
+}
+
+/**
+ * A player's handle changes, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {Array<object>}
+ */
+function listHandleHistory(db, playerId) {
+  return db.prepare(`
+    SELECT old_handle, new_handle, changed_at, held_until FROM handle_history
+    WHERE player_id = ? ORDER BY changed_at DESC, id DESC
+  `).all(playerId);
+}
+
+module.exports = {
+  checkHandle,
+  seedReservedHandles,
+  useWordMatchForSeededWords,
+  findReservation,
+  listReservedHandles,
+  addReservedHandle,
+  removeReservedHandle,
+  findHeldHandle,
+  checkHandleAvailable,
+  getNextHandleChange,
+  changeHandle,
+  listHandleHistory,
+  MATCH_TYPES,
+  HANDLE_CHANGE_COOLDOWN_DAYS,
+  HANDLE_HOLD_DAYS
+};
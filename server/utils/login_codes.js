@@ -0,0 +1,145 @@
+/**
+ * One-Time Email Login Codes
+ * Short-lived, single-use codes for players who lost their recovery code
+ */
+
+const crypto = require('crypto');
+const { hashSecret } = require('./secret_hash');
+
+const CODE_TTL_MINUTES = 15;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+// Request throttling (per rolling hour)
+const MAX_REQUESTS_PER_EMAIL = 3;
+const MAX_REQUESTS_PER_IP = 10;
+
+/**
+ * Check whether a new code request should be refused
+ * Counts every request, including those for unknown emails, so throttling
+ * behaves the same whether or not the email is registered.
+ * @param {Database} db - SQLite database instance
+ * @param {string} email - Normalized email address
+ * @param {string} ip - Client IP address
+ * @returns {boolean} True if the request is over the limit
+ */
+function isThrottled(db, email, ip) {
+  const counts = db.prepare(`
+    SELECT
+      SUM(CASE WHEN email = ? THEN 1 ELSE 0 END) as by_email,
+      SUM(CASE WHEN ip = ? THEN 1 ELSE 0 END) as by_ip
+    FROM email_login_codes
+    WHERE created_at > datetime('now', '-1 hour')
+  `).get(email, ip);
+
+  return (counts.by_email || 0) >= MAX_REQUESTS_PER_EMAIL ||
+         (counts.by_ip || 0) >= MAX_REQUESTS_PER_IP;
+}
+
+/**
+ * Record a code request and, if the email belongs to a player, issue a code
+ * Any earlier unused codes for the player are invalidated.
+ * @param {Database} db - SQLite database instance
+ * @param {string} email - Normalized email address
+ * @param {string} ip - Client IP address
+ * @param {number|null} playerId - Player owning the email, or null if unknown
+ * @returns {string|null} The plaintext code, or null if no player
+ */
+function createLoginCode(db, email, ip, playerId) {
+  const code = playerId ? crypto.randomInt(0, 1000000).toString().padStart(6, '0') : null;
+
+  db.transaction(() => {
+    if (playerId) {
+      db.prepare(`
+        UPDATE email_login_codes SET used_at = datetime('now')
+        WHERE player_id = ? AND used_at IS NULL
+      `).run(playerId);
+    }
+
+    db.prepare(`
+      INSERT INTO email_login_codes (player_id, email, code_hash, ip, expires_at)
+      VALUES (?, ?, ?, ?, datetime('now', ?))
+    `).run(playerId, email, code ? hashSecret(code) : null, ip, `+${CODE_TTL_MINUTES} minutes`);
+  })();
+
+  return code;
+}
+
+/**
+ * The newest unused, unexpired code for an email
+ * @param {Database} db - SQLite database instance
+ * @param {string} email - Normalized email address
+ * @returns {object|undefined} { id, player_id, code_hash, attempts }
+ */
+function findPendingCode(db, email) {
+  return db.prepare(`
+    SELECT id, player_id, code_hash, attempts FROM email_login_codes
+    WHERE email = ? AND player_id IS NOT NULL AND used_at IS NULL
+      AND expires_at > datetime('now')
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(email);
+}
+
+/**
+ * Count a failed attempt against a code, burning it at MAX_VERIFY_ATTEMPTS
+ * @param {Database} db - SQLite database instance
+ * @param {number} codeId - email_login_codes row
+ */
+function countFailedAttempt(db, codeId) {
+  db.prepare(`
+    UPDATE email_login_codes SET
+      attempts = attempts + 1,
+      used_at = CASE WHEN attempts + 1 >= ? THEN datetime('now') ELSE NULL END
+    WHERE id = ?
+  `).run(MAX_VERIFY_ATTEMPTS, codeId);
+}
+
+/**
+ * Redeem a login code
+ * The code is burned on success; too many wrong guesses burn it as well.
+ * @param {Database} db - SQLite database instance
+ * @param {string} email - Normalized email address
+ * @param {string} code - Code entered by the player
+ * @returns {number|null} Player ID on success, null otherwise
+ */
+function consumeLoginCode(db, email, code) {
+  return db.transaction(() => {
+    const pending = findPendingCode(db, email);
+    if (!pending) return null;
+
+    const candidate = Buffer.from(hashSecret(String(code).trim()));
+    const expected = Buffer.from(pending.code_hash);
+
+    if (!crypto.timingSafeEqual(candidate, expected)) {
+      countFailedAttempt(db, pending.id);
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE email_login_codes SET used_at = datetime('now') WHERE id = ?
+    `).run(pending.id);
+
+    return pending.player_id;
+  })();
+}
+
+/**
+ * Count a failed second factor against the email's pending code
+ * Call it outside the transaction that consumed the code (that one rolls
+ * back on a failed second factor), so OTP guesses use up the same
+ * MAX_VERIFY_ATTEMPTS as wrong email codes.
+ * @param {Database} db - SQLite database instance
+ * @param {string} email - Normalized email address
+ */
+function recordLoginCodeFailure(db, email) {
+  const pending = findPendingCode(db, email);
+  if (pending) countFailedAttempt(db, pending.id);
+}
+
+module.exports = {
+  isThrottled,
+  createLoginCode,
+  consumeLoginCode,
+  recordLoginCodeFailure,
+  CODE_TTL_MINUTES
+};
@@ -0,0 +1,88 @@
+/**
+ * Account Moderation
+ * Suspensions (optionally timed) and bans. Restricted players keep their
+ * data but can't authenticate over REST or WebSocket until reinstated.
+ */
+
+/**
+ * Get the active restriction on a player's account
+ * Timed suspensions that have run out are lifted here.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {object|null} { status, until, reason } or null if the account is active
+ */
+function getRestriction(db, playerId) {
+  const player = db.prepare(`
+    SELECT status, suspended_until, status_reason,
+           (suspended_until IS NOT NULL AND suspended_until <= datetime('now')) as expired
+    FROM players WHERE id = ?
+  `).get(playerId);
+
+  if (!player || player.status === 'active') return null;
+
+  if (player.status === 'suspended' && player.expired) {
+    setAccountStatus(db, playerId, 'active');
+    return null;
+  }
+
+  return {
+    status: player.status,
+    until: player.suspended_until,
+    reason: player.status_reason
+  };
+}
+
+/**
+ * Change a player's account status
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} status - 'active', 'suspended' or 'banned'
+ * @param {object} [options]
+ * @param {string} [options.reason] - Reason shown to the player
+ * @param {number} [options.hours] - Suspension length (omit for indefinite)
+ */
+function setAccountStatus(db, playerId, status, options = {}) {
+  const { reason = null, hours = null } = options;
+
+  db.prepare(`
+    UPDATE players SET
+      status = ?,
+      status_reason = ?,
+      suspended_until = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END
+    WHERE id = ?
+  `).run(
+    status,
+    status === 'active' ? null : reason,
+    status === 'suspended' ? hours : null,
+    `+${hours} hours`,
+    playerId
+  );
+}
+
+/**
+ * Build the error payload for a restricted account
+ * @param {object} restriction - Result of getRestriction()
+ * @returns {{ error: string, message: string, until: string|null }}
+ */
+function describeRestriction(restriction) {
+  if (restriction.status === 'banned') {
+    return {
+      error: 'ACCOUNT_BANNED',
+      message: restriction.reason ? `Account banned: ${restriction.reason}` : 'Account banned',
+      until: null
+    };
+  }
+
+  const until = restriction.until ? ` until ${restriction.until} UTC` : '';
+  return {
+    error: 'ACCOUNT_SUSPENDED',
+    message: `Account suspended${until}` + (restriction.reason ? `: ${restriction.reason}` : ''),
+    until: restriction.until
+  };
+}
+
+module.exports = {
+  getRestriction,
+  setAccountStatus,
+  describeRestriction
+};
@@ -0,0 +1,79 @@
+/**
+ * Phone Network
+ * Resolves a dialed number to whatever answers it. The server decides, so
+ * every player dialing the same number gets the same answer:
+ *
+ * - Numbers in phone_pool belong to players: an allocated one rings that
+ *   player's line, a recently changed one is forwarded to the player's new
+ *   number, and any other free or quarantined one rings out.
+ * - Service exchanges of the numbering plan ring out until a service is
+ *   put on them.
+ * - Every other number is answered by the seeded world directory (NPC
+ *   systems and BBSes answer with their name and system template).
+ */
+
+const { lookupWorldNumber, KIND_RESULTS } = require('./world_directory');
+const { getExchangePurpose } = require('./phone_pool');
+const { findForward } = require('./phone_numbers');
+
+// Results that come with a carrier (something to connect to)
+const CARRIER_RESULTS = ['PLAYER', 'HOST', 'BBS'];
+
+/**
+ * Normalize a dialed number to the pool format (555-1234)
+ * Accepts any punctuation: 5551234, 555-12-34 (war dialer), (555) 1234...
+ * @param {string} input - Number as dialed
+ * @returns {string|null} Normalized number, or null if it isn't seven digits
+ */
+function normalizePhoneNumber(input) {
+  const digits = String(input ?? '').replace(/[\s().-]/g, '');
+  if (!/^\d{7}$/.test(digits)) return null;
+  return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+}
+
+/**
+ * Dial a number
+ * @param {Database} db - SQLite database instance
+ * @param {string} number - Normalized phone number
+ * @returns {object} { number, result, carrier, handle?, forwarded_to?, name?, category?, system_id? }
+ */
+function dialNumber(db, number) {
+  const line = db.prepare(`
+    SELECT pp.allocated, p.handle
+    FROM phone_pool pp
+    LEFT JOIN players p ON p.id = pp.player_id
+    WHERE pp.number = ?
+  `).get(number);
+
+  let answer;
+  if (line && line.allocated && line.handle) {
+    answer = { result: 'PLAYER', handle: line.handle };
+  } else if (line) {
+    const forward = findForward(db, number);
+    answer = forward
+      ? { result: 'PLAYER', handle: forward.handle, forwarded_to: forward.phone_number }
+      : { result: 'NO_ANSWER' };
+  } else if (getExchangePurpose(db, number) === 'service') {
+    answer = { result: 'NO_ANSWER' };
+  } else {
+    const entry = lookupWorldNumber(db, number);
+    answer = { result: KIND_RESULTS[entry.kind] };
+    if (entry.system_id) {
+      answer.name = entry.name;
+      answer.category = entry.category;
+      answer.system_id = entry.system_id;
+    }
+  }
+
+  return {
+    number,
+    ...answer,
+    carrier: CARRIER_RESULTS.includes(answer.result)
+  };
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  dialNumber,
+  CARRIER_RESULTS
+};
@@ -0,0 +1,170 @@
+/**
+ * Phone Number Changes
+ * Searching the pool for vanity numbers, and changing a player's number.
+ *
+ * Every change is recorded in phone_number_history. The old number goes
+ * back to the pool through quarantine, and calls to it are forwarded to
+ * the player for PHONE_FORWARD_DAYS. A player can change number once per
+ * PHONE_CHANGE_COOLDOWN_DAYS.
+ */
+
+const { allocatePhoneNumber, allocateSpecificNumber, releasePhoneNumber, availableSql } = require('./phone_pool');
+
+const PHONE_CHANGE_COOLDOWN_DAYS = parseInt(process.env.PHONE_CHANGE_COOLDOWN_DAYS, 10) || 30;
+const PHONE_FORWARD_DAYS = parseInt(process.env.PHONE_FORWARD_DAYS, 10) || 14;
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+
+/**
+ * Turn search input into LIKE patterns over the seven digits of a number
+ * pattern: a whole number, '?' or 'x' for any digit (555-13??, 555-x337)
+ * contains: digits anywhere in the number (2600)
+ * @param {object} query
+ * @param {string} [query.pattern]
+ * @param {string} [query.contains]
+ * @returns {object} { like: [LIKE patterns] } if valid, otherwise { message }
+ */
+function buildNumberPattern(query) {
+  const pattern = query.pattern ? String(query.pattern).replace(/[\s().-]/g, '').toLowerCase() : '';
+  const contains = query.contains ? String(query.contains).replace(/[\s().-]/g, '') : '';
+
+  if (!pattern && !contains) {
+    return { message: 'Give a pattern (e.g. 555-13??) or digits the number contains' };
+  }
+  if (pattern && !/^[\dx?]{7}$/.test(pattern)) {
+    return { message: 'Pattern must be seven digits, with ? or x for any digit' };
+  }
+  if (contains && !/^\d{1,7}$/.test(contains)) {
+    return { message: 'contains must be 1 to 7 digits' };
+  }
+
+  // With both, a number has to match both
+  return {
+    like: [
+      pattern ? pattern.replace(/[x?]/g, '_') : null,
+      contains ? `%${contains}%` : null
+    ].filter(Boolean)
+  };
+}
+
+/**
+ * Search the pool for numbers a player could take right now
+ * @param {Database} db - SQLite database instance
+ * @param {Array<string>} like - LIKE patterns from buildNumberPattern (all must match)
+ * @param {object} [options]
+ * @param {string} [options.areaCode] - Only this area code
+ * @param {number} [options.limit] - Max results (default 20, max 100)
+ * @returns {Array<string>} Numbers, in order
+ */
+function searchAvailableNumbers(db, like, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+  const conditions = like.map(() => "replace(number, '-', '') LIKE ?");
+  const params = [...like];
+
+  if (options.areaCode) {
+    conditions.push('area_code = ?');
+    params.push(options.areaCode);
+  }
+
+  return db.prepare(`
+    SELECT number FROM phone_pool
+    WHERE ${availableSql()} AND ${conditions.join(' AND ')}
+    ORDER BY number
+    LIMIT ?
+  `).all(...params, limit).map(row => row.number);
+}
+
+/**
+ * When a player may next change their phone number
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {string|null} SQLite datetime, or null if a change is allowed now
+ */
+function getNextNumberChange(db, playerId) {
+  const row = db.prepare(`
+    SELECT next_change_at FROM (
+      SELECT datetime(MAX(changed_at), ?) as next_change_at FROM phone_number_history
+      WHERE player_id = ?
+    ) WHERE next_change_at > datetime('now')
+  `).get(`+${PHONE_CHANGE_COOLDOWN_DAYS} days`, playerId);
+
+  return row ? row.next_change_at : null;
+}
+
+/**
+ * Give a player a new number, release the old one and forward it (one transaction)
+ * The cooldown is the caller's job.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} request
+ * @param {string} [request.number] - A specific normalized number
+ * @param {string} [request.areaCode] - Area code for a random number
+ * @returns {object} { from, to }
+ * @throws {Error} code NUMBER_UNAVAILABLE if the number (or any number) is not free
+ */
+function changePhoneNumber(db, playerId, request) {
+  return db.transaction(() => {
+    const player = db.prepare('SELECT phone_number FROM players WHERE id = ?').get(playerId);
+
+    const newNumber = request.number
+      ? (allocateSpecificNumber(db, playerId, request.number) ? request.number : null)
+      : allocatePhoneNumber(db, playerId, { areaCode: request.areaCode });
+
+    if (!newNumber) {
+      const error = new Error(request.number ? `Phone number not available: ${request.number}` : 'No phone numbers available');
+      error.code = 'NUMBER_UNAVAILABLE';
+      throw error;
+    }
+
+    db.prepare('UPDATE players SET phone_number = ? WHERE id = ?').run(newNumber, playerId);
+    releasePhoneNumber(db, player.phone_number);
+
+    db.prepare(`
+      INSERT INTO phone_number_history (player_id, old_number, new_number, forward_until)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(playerId, player.phone_number, newNumber, `+${PHONE_FORWARD_DAYS} days`);
+
+    return { from: player.phone_number, to: newNumber };
+  })();
+}
+
+/**
+ * The player a released number still forwards to
+ * @param {Database} db - SQLite database instance
+ * @param {string} number - Normalized phone number
+ * @returns {object|null} { player_id, handle, phone_number } or null
+ */
+function findForward(db, number) {
+  return db.prepare(`
+    SELECT h.player_id, p.handle, p.phone_number FROM phone_number_history h
+    JOIN players p ON p.id = h.player_id
+    WHERE h.old_number = ? AND h.forward_until > datetime('now')
+    ORDER BY h.changed_at DESC, h.id DESC
+    LIMIT 1
+  `).get(number) || null;
+}
+
+/**
+ * A player's number changes, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {Array<object>}
+ */
+function listNumberHistory(db, playerId) {
+  return db.prepare(`
+    SELECT old_number, new_number, changed_at, forward_until FROM phone_number_history
+    WHERE player_id = ? ORDER BY changed_at DESC, id DESC
+  `).all(playerId);
+}
+
+module.exports = {
+  buildNumberPattern,
+  searchAvailableNumbers,
+  getNextNumberChange,
+  changePhoneNumber,
+  findForward,
+  listNumberHistory,
+  PHONE_CHANGE_COOLDOWN_DAYS,
+  PHONE_FORWARD_DAYS
+};
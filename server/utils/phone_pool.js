@@ -1,99 +1,277 @@
 /**
  * Phone Number Pool Management
- * Allocates numbers from 555-1000 to 555-9999
+ * Numbers come from a numbering plan: area codes split into exchanges of
+ * 100 numbers (the war dialer's prefix - exchange 555-01 is 555-0100 to
+ * 555-0199). Each exchange in the plan has a purpose:
+ *
+ * - players: its numbers go into phone_pool and are handed out to players
+ * - npc:     reserved for the world directory's systems
+ * - service: reserved for game services
+ *
+ * The plan only ever grows: exchanges are added (PHONE_PLAN on startup, or
+ * the admin API), never moved or removed, so nobody is renumbered.
+ * Exchanges outside the plan are the world directory's too.
  */
 
-const PHONE_MIN = 1000;
-const PHONE_MAX = 9999;
+const crypto = require('crypto');
+
+const PURPOSES = ['players', 'npc', 'service'];
+
+// <area code>:<purpose>:<exchange>[-<exchange>], comma separated
+const DEFAULT_PLAN = '555:service:00,555:npc:01-09,555:players:10-99';
+const PHONE_PLAN = process.env.PHONE_PLAN || DEFAULT_PLAN;
+
+// Days a released number stays out of circulation, so callers of the old
+// owner don't reach a stranger straight away
+const QUARANTINE_DAYS = parseInt(process.env.PHONE_QUARANTINE_DAYS ?? '30', 10);
+
+/**
+ * SQL condition for numbers that can be handed out right now
+ * @param {string} [alias] - Table alias of phone_pool
+ * @returns {string}
+ */
+function availableSql(alias = '') {
+  const p = alias ? `${alias}.` : '';
+  return `${p}allocated = 0 AND (${p}quarantined_until IS NULL OR ${p}quarantined_until <= datetime('now'))`;
+}
+
+const AVAILABLE = availableSql();
 
 /**
- * Initialize the phone pool table with available numbers
+ * Parse a numbering plan spec
+ * @param {string} spec - e.g. '555:players:10-99,212:npc:00-19'
+ * @returns {Array<object>} [{ areaCode, purpose, from, to }]
+ * @throws {Error} If the spec is malformed
+ */
+function parsePlan(spec) {
+  return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = /^(\d{3}):([a-z]+):(\d{2})(?:-(\d{2}))?$/.exec(part);
+    if (!match || !PURPOSES.includes(match[2])) {
+      throw new Error(`Invalid numbering plan entry: ${part}`);
+    }
+
+    const from = parseInt(match[3], 10);
+    const to = match[4] !== undefined ? parseInt(match[4], 10) : from;
+    if (from > to) {
+      throw new Error(`Invalid numbering plan entry: ${part}`);
+    }
+
+    return { areaCode: match[1], purpose: match[2], from, to };
+  });
+}
+
+/**
+ * Add exchanges to the numbering plan
+ * Exchanges already in the plan are left exactly as they are.
  * @param {Database} db - SQLite database instance
+ * @param {object} range
+ * @param {string} range.areaCode - Three digits
+ * @param {string} range.purpose - 'players', 'npc' or 'service'
+ * @param {number} range.from - First exchange (0-99)
+ * @param {number} range.to - Last exchange (from-99)
+ * @returns {object} { added, skipped } - exchange lists; skipped ones were already planned
  */
-function initPhonePool(db) {
-  const count = db.prepare('SELECT COUNT(*) as c FROM phone_pool').get();
-
-  if (count.c === 0) {
-    console.log('Initializing phone pool (555-1000 to 555-9999)...');
-    const stmt = db.prepare('INSERT INTO phone_pool (number) VALUES (?)');
-    const insertMany = db.transaction((numbers) => {
-      for (const num of numbers) {
-        stmt.run(num);
+function addExchanges(db, range) {
+  const { areaCode, purpose, from, to } = range;
+  const added = [];
+  const skipped = [];
+
+  const existing = db.prepare('SELECT purpose FROM phone_exchanges WHERE area_code = ? AND exchange = ?');
+  const insertExchange = db.prepare(`
+    INSERT INTO phone_exchanges (area_code, exchange, purpose) VALUES (?, ?, ?)
+  `);
+  const insertNumber = db.prepare(`
+    INSERT OR IGNORE INTO phone_pool (number, area_code, exchange) VALUES (?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    for (let i = from; i <= to; i++) {
+      const exchange = String(i).padStart(2, '0');
+      const planned = existing.get(areaCode, exchange);
+      if (planned) {
+        skipped.push({ exchange, purpose: planned.purpose });
+        continue;
       }
-    });
 
-    const numbers = [];
-    for (let i = PHONE_MIN; i <= PHONE_MAX; i++) {
-      numbers.push(`555-${i}`);
+      insertExchange.run(areaCode, exchange, purpose);
+      if (purpose === 'players') {
+        for (let line = 0; line < 100; line++) {
+          insertNumber.run(`${areaCode}-${exchange}${String(line).padStart(2, '0')}`, areaCode, exchange);
+        }
+      }
+      added.push(exchange);
+    }
+  })();
+
+  return { added, skipped };
+}
+
+/**
+ * Bring the numbering plan up to PHONE_PLAN (adds missing exchanges)
+ * @param {Database} db - SQLite database instance
+ */
+function initPhonePool(db) {
+  for (const range of parsePlan(PHONE_PLAN)) {
+    const { added, skipped } = addExchanges(db, range);
+
+    if (added.length > 0) {
+      console.log(`  Numbering plan: ${added.length} ${range.purpose} exchange(s) added in ${range.areaCode} (${added[0]}-${added[added.length - 1]})`);
+    }
+    for (const { exchange, purpose } of skipped) {
+      if (purpose !== range.purpose) {
+        console.warn(`  Numbering plan: ${range.areaCode}-${exchange} is already planned for ${purpose}, not ${range.purpose}`);
+      }
     }
-    insertMany(numbers);
-    console.log(`Phone pool initialized with ${numbers.length} numbers`);
   }
 }
 
 /**
- * Allocate a random available phone number to a player
+ * Purpose of the exchange a number belongs to
+ * @param {Database} db - SQLite database instance
+ * @param {string} number - Normalized phone number
+ * @returns {string|null} 'players', 'npc', 'service', or null if not planned
+ */
+function getExchangePurpose(db, number) {
+  const row = db.prepare(`
+    SELECT purpose FROM phone_exchanges WHERE area_code = ? AND exchange = ?
+  `).get(number.slice(0, 3), number.slice(4, 6));
+  return row ? row.purpose : null;
+}
+
+/**
+ * Area codes players can get numbers in
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<object>} [{ area_code, exchanges, available }]
+ */
+function listAreaCodes(db) {
+  return db.prepare(`
+    SELECT e.area_code, COUNT(DISTINCT e.exchange) as exchanges,
+           COALESCE(SUM(CASE WHEN ${availableSql('pp')} THEN 1 ELSE 0 END), 0) as available
+    FROM phone_exchanges e
+    LEFT JOIN phone_pool pp ON pp.area_code = e.area_code AND pp.exchange = e.exchange
+    WHERE e.purpose = 'players'
+    GROUP BY e.area_code
+    ORDER BY e.area_code
+  `).all();
+}
+
+/**
+ * Allocate an available phone number to a player
+ * Takes the fullest-free exchange (so exchanges fill evenly) and a random
+ * number in it.
  * @param {Database} db - SQLite database instance
  * @param {number} playerId - Player ID to assign the number to
+ * @param {object} [options]
+ * @param {string} [options.areaCode] - Preferred area code (any other if it is full)
  * @returns {string|null} The allocated phone number, or null if none available
  */
-function allocatePhoneNumber(db, playerId) {
-  // Get a random unallocated number
-  const number = db.prepare(`
-    SELECT number FROM phone_pool
-    WHERE allocated = 0
-    ORDER BY RANDOM()
+function allocatePhoneNumber(db, playerId, options = {}) {
+  const pickExchange = (areaCode) => db.prepare(`
+    SELECT area_code, exchange, COUNT(*) as available FROM phone_pool
+    WHERE ${AVAILABLE}
+      AND (area_code, exchange) IN (
+        SELECT area_code, exchange FROM phone_exchanges
+        WHERE purpose = 'players' AND (? IS NULL OR area_code = ?)
+      )
+    GROUP BY area_code, exchange
+    ORDER BY available DESC
     LIMIT 1
-  `).get();
+  `).get(areaCode, areaCode);
 
-  if (!number) {
+  const exchange = (options.areaCode && pickExchange(options.areaCode)) || pickExchange(null);
+  if (!exchange) {
     return null; // No numbers available
   }
 
+  const number = db.prepare(`
+    SELECT number FROM phone_pool
+    WHERE area_code = ? AND exchange = ? AND ${AVAILABLE}
+    LIMIT 1 OFFSET ?
+  `).get(exchange.area_code, exchange.exchange, crypto.randomInt(exchange.available));
+
   // Mark as allocated
   db.prepare(`
     UPDATE phone_pool
-    SET allocated = 1, player_id = ?
+    SET allocated = 1, player_id = ?, quarantined_until = NULL
     WHERE number = ?
   `).run(playerId, number.number);
 
   return number.number;
 }
 
+/**
+ * Allocate a specific phone number to a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID to assign the number to
+ * @param {string} phoneNumber - The requested phone number
+ * @returns {boolean} True if the number was available and is now allocated
+ */
+function allocateSpecificNumber(db, playerId, phoneNumber) {
+  const result = db.prepare(`
+    UPDATE phone_pool
+    SET allocated = 1, player_id = ?, quarantined_until = NULL
+    WHERE number = ? AND ${AVAILABLE}
+  `).run(playerId, phoneNumber);
+
+  return result.changes > 0;
+}
+
 /**
  * Release a phone number back to the pool
+ * The number is quarantined first and only becomes allocatable afterwards.
  * @param {Database} db - SQLite database instance
  * @param {string} phoneNumber - The phone number to release
+ * @param {object} [options]
+ * @param {number} [options.quarantineDays] - Override PHONE_QUARANTINE_DAYS (0 = reuse immediately)
  */
-function releasePhoneNumber(db, phoneNumber) {
+function releasePhoneNumber(db, phoneNumber, options = {}) {
+  const { quarantineDays = QUARANTINE_DAYS } = options;
+
   db.prepare(`
     UPDATE phone_pool
-    SET allocated = 0, player_id = NULL
+    SET allocated = 0, player_id = NULL,
+        quarantined_until = CASE WHEN ? > 0 THEN datetime('now', ?) ELSE NULL END
     WHERE number = ?
-  `).run(phoneNumber);
+  `).run(quarantineDays, `+${quarantineDays} days`, phoneNumber);
 }
 
 /**
  * Get statistics about the phone pool
  * @param {Database} db - SQLite database instance
- * @returns {object} Pool statistics
+ * @returns {object} Pool totals, plus per-exchange counts in `exchanges`
  */
 function getPoolStats(db) {
-  const stats = db.prepare(`
-    SELECT
-      COUNT(*) as total,
-      SUM(CASE WHEN allocated = 1 THEN 1 ELSE 0 END) as allocated,
-      SUM(CASE WHEN allocated = 0 THEN 1 ELSE 0 END) as available
-    FROM phone_pool
-  `).get();
+  const counts = (alias) => `
+      COUNT(${alias}.number) as total,
+      COALESCE(SUM(CASE WHEN ${alias}.allocated = 1 THEN 1 ELSE 0 END), 0) as allocated,
+      COALESCE(SUM(CASE WHEN ${availableSql(alias)} THEN 1 ELSE 0 END), 0) as available,
+      COALESCE(SUM(CASE WHEN ${alias}.allocated = 0 AND NOT (${availableSql(alias)}) THEN 1 ELSE 0 END), 0) as quarantined
+  `;
+
+  const stats = db.prepare(`SELECT ${counts('pp')} FROM phone_pool pp`).get();
+
+  stats.exchanges = db.prepare(`
+    SELECT e.area_code, e.exchange, e.purpose, ${counts('pp')}
+    FROM phone_exchanges e
+    LEFT JOIN phone_pool pp ON pp.area_code = e.area_code AND pp.exchange = e.exchange
+    GROUP BY e.area_code, e.exchange
+    ORDER BY e.area_code, e.exchange
+  `).all();
+
   return stats;
 }
 
 module.exports = {
   initPhonePool,
+  parsePlan,
+  addExchanges,
+  getExchangePurpose,
+  listAreaCodes,
   allocatePhoneNumber,
+  allocateSpecificNumber,
   releasePhoneNumber,
   getPoolStats,
-  PHONE_MIN,
-  PHONE_MAX
+  availableSql,
+  PURPOSES,
+  QUARANTINE_DAYS
 };
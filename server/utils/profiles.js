@@ -0,0 +1,245 @@
+/**
+ * Player Profiles
+ * BBS-style user info: location, group affiliation, bio, an ANSI/ASCII
+ * signature and favourite system, plus per-field privacy flags.
+ *
+ * Everything stored here ends up printed in other players' terminals, so
+ * text is validated on the way in: no control characters except newlines,
+ * and ESC only as part of a colour (SGR) sequence in the signature. A
+ * signature that leaves colours on gets a reset appended.
+ */
+
+// Editable fields: column, max characters, max lines (1 = single line), ANSI allowed
+const PROFILE_FIELDS = {
+  location: { column: 'location', maxLength: 40, maxLines: 1, ansi: false },
+  group: { column: 'group_name', maxLength: 40, maxLines: 1, ansi: false },
+  favorite_system: { column: 'favorite_system', maxLength: 40, maxLines: 1, ansi: false },
+  bio: { column: 'bio', maxLength: 500, maxLines: 10, ansi: false },
+  signature: { column: 'signature', maxLength: 1024, maxLines: 8, ansi: true }
+};
+
+// Visible width limit for each signature line (ANSI codes don't count)
+const SIGNATURE_MAX_COLUMNS = 80;
+
+// Fields that can be hidden from the public profile (all shown by default);
+// a private last_seen also hides whether the player is online
+const PRIVACY_FIELDS = [...Object.keys(PROFILE_FIELDS), 'join_date', 'last_seen'];
+
+// Every privacy setting: the fields above plus 'directory' (private = left
+// out of the user list, see directory.js)
+const PRIVACY_OPTIONS = [...PRIVACY_FIELDS, 'directory'];
+
+// ESC [ params m - colours and text attributes only
+const SGR_SEQUENCE = /\x1b\[[0-9;]{0,32}m/g;
+
+// Appended to a signature that leaves colours on, so they don't bleed into
+// whatever the viewer's terminal prints next
+const SGR_RESET = '\x1b[0m';
+
+/**
+ * Whether text ends with its colours and attributes reset
+ * (the last SGR sequence ends in a 0 or empty parameter)
+ */
+function endsReset(text) {
+  const sequences = text.match(SGR_SEQUENCE);
+  if (!sequences) return true;
+
+  const last = sequences[sequences.length - 1].slice(2, -1).split(';').pop();
+  return /^0*$/.test(last);
+}
+
+/**
+ * Check one profile field
+ * @param {string} field - Key of PROFILE_FIELDS
+ * @param {*} value - Submitted value (null or '' clears the field)
+ * @returns {object} { value } normalized text, or { error }
+ */
+function validateField(field, value) {
+  const rules = PROFILE_FIELDS[field];
+
+  if (value === null || value === '') return { value: null };
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+
+  let text = value.replace(/\r\n?/g, '\n');
+  if (rules.maxLines === 1) {
+    text = text.trim();
+  } else {
+    text = text.replace(/\s+$/, '');
+  }
+  if (rules.ansi && !endsReset(text)) {
+    text += SGR_RESET;
+  }
+
+  if (text.length > rules.maxLength) {
+    return { error: `${field} must be at most ${rules.maxLength} characters` };
+  }
+
+  const lines = text.split('\n');
+  if (lines.length > rules.maxLines) {
+    return {
+      error: rules.maxLines === 1
+        ? `${field} must be a single line`
+        : `${field} must be at most ${rules.maxLines} lines`
+    };
+  }
+
+  const withoutAnsi = rules.ansi ? text.replace(SGR_SEQUENCE, '') : text;
+  // C0 controls except newline, DEL, C1 controls and bidi overrides
+  if (/[\x00-\x09\x0b-\x1f\x7f-\x9f\u202a-\u202e\u2066-\u2069]/.test(withoutAnsi)) {
+    return {
+      error: rules.ansi
+        ? `${field} contains control characters (only ANSI colour codes are allowed)`
+        : `${field} contains control characters`
+    };
+  }
+
+  if (rules.ansi && withoutAnsi.split('\n').some(line => line.length > SIGNATURE_MAX_COLUMNS)) {
+    return { error: `${field} lines must be at most ${SIGNATURE_MAX_COLUMNS} columns wide` };
+  }
+
+  return { value: text || null };
+}
+
+/**
+ * Validate a profile update
+ * @param {object} update - Request body: any PROFILE_FIELDS plus privacy
+ * @returns {object} { fields, privacy, errors } - fields maps column -> value
+ */
+function validateProfileUpdate(update) {
+  const errors = [];
+  const fields = {};
+  let privacy = null;
+
+  if (!update || typeof update !== 'object') {
+    return { fields, privacy, errors: ['Profile must be a JSON object'] };
+  }
+
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    if (update[field] === undefined) continue;
+
+    const result = validateField(field, update[field]);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      fields[PROFILE_FIELDS[field].column] = result.value;
+    }
+  }
+
+  if (update.privacy !== undefined) {
+    if (!update.privacy || typeof update.privacy !== 'object' || Array.isArray(update.privacy)) {
+      errors.push('privacy must be an object of field: "public" | "private"');
+    } else {
+      privacy = {};
+      for (const [field, setting] of Object.entries(update.privacy)) {
+        if (!PRIVACY_OPTIONS.includes(field)) {
+          errors.push(`privacy: unknown field ${field}`);
+        } else if (setting !== 'public' && setting !== 'private') {
+          errors.push(`privacy.${field} must be "public" or "private"`);
+        } else {
+          privacy[field] = setting;
+        }
+      }
+    }
+  }
+
+  return { fields, privacy, errors };
+}
+
+/**
+ * Load a player's profile (all fields, with privacy settings)
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {object|null} Profile, or null if no such player
+ */
+function getProfile(db, playerId) {
+  const row = db.prepare(`
+    SELECT p.handle, p.created_at, p.last_seen,
+           pr.location, pr.group_name, pr.favorite_system, pr.bio, pr.signature,
+           pr.privacy, pr.updated_at
+    FROM players p
+    LEFT JOIN player_profiles pr ON pr.player_id = p.id
+    WHERE p.id = ?
+  `).get(playerId);
+
+  if (!row) return null;
+
+  let stored = {};
+  try {
+    stored = row.privacy ? JSON.parse(row.privacy) : {};
+  } catch (e) {
+    stored = {};
+  }
+
+  const privacy = {};
+  for (const field of PRIVACY_OPTIONS) {
+    privacy[field] = stored[field] === 'private' ? 'private' : 'public';
+  }
+
+  return {
+    handle: row.handle,
+    location: row.location || null,
+    group: row.group_name || null,
+    favorite_system: row.favorite_system || null,
+    bio: row.bio || null,
+    signature: row.signature || null,
+    join_date: row.created_at,
+    last_seen: row.last_seen,
+    updated_at: row.updated_at || null,
+    privacy
+  };
+}
+
+/**
+ * The profile as other players see it: private fields left out
+ * @param {object} profile - Result of getProfile()
+ * @returns {object}
+ */
+function toPublicProfile(profile) {
+  const visible = { handle: profile.handle };
+  for (const field of PRIVACY_FIELDS) {
+    if (profile.privacy[field] === 'public') {
+      visible[field] = profile[field];
+    }
+  }
+  return visible;
+}
+
+/**
+ * Save a validated profile update (only the given fields change)
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} fields - Column -> value, from validateProfileUpdate()
+ * @param {object|null} privacy - Privacy changes, from validateProfileUpdate()
+ */
+function updateProfile(db, playerId, fields, privacy) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT OR IGNORE INTO player_profiles (player_id) VALUES (?)
+    `).run(playerId);
+
+    for (const [column, value] of Object.entries(fields)) {
+      // column comes from PROFILE_FIELDS, never from the request
+      db.prepare(`UPDATE player_profiles SET ${column} = ? WHERE player_id = ?`).run(value, playerId);
+    }
+
+    if (privacy) {
+      const current = getProfile(db, playerId).privacy;
+      db.prepare('UPDATE player_profiles SET privacy = ? WHERE player_id = ?')
+        .run(JSON.stringify({ ...current, ...privacy }), playerId);
+    }
+
+    db.prepare(`
+      UPDATE player_profiles SET updated_at = datetime('now') WHERE player_id = ?
+    `).run(playerId);
+  })();
+}
+
+module.exports = {
+  validateProfileUpdate,
+  getProfile,
+  toPublicProfile,
+  updateProfile,
+  PROFILE_FIELDS,
+  PRIVACY_FIELDS,
+  PRIVACY_OPTIONS
+};
@@ -0,0 +1,102 @@
+/**
+ * Storage Quotas
+ * Limited accounts (guests, unverified email) get a small filesystem. Writers call
+ * enforceQuota() inside their transaction after writing, so a write that
+ * would go over the limit is rolled back as a whole.
+ */
+
+// null = unlimited
+const QUOTAS = {
+  standard: null,
+  unverified: { max_files: 100, max_bytes: 256 * 1024, hint: 'verify your email to lift it' },
+  guest: { max_files: 50, max_bytes: 128 * 1024, hint: 'upgrade to a full account to lift it' }
+};
+
+/**
+ * Work out which quota tier applies to a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {string} Key into QUOTAS
+ */
+function getQuotaTier(db, playerId) {
+  const player = db.prepare('SELECT is_guest, email_verified_at FROM players WHERE id = ?').get(playerId);
+  if (player && player.is_guest) return 'guest';
+  if (player && !player.email_verified_at) return 'unverified';
+  return 'standard';
+}
+
+/**
+ * Current storage use of a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {{ files: number, bytes: number }}
+ */
+function getUsage(db, playerId) {
+  const usage = db.prepare(`
+    SELECT COUNT(*) as files, COALESCE(SUM(file_size), 0) as bytes
+    FROM player_files WHERE player_id = ?
+  `).get(playerId);
+
+  return { files: usage.files, bytes: usage.bytes };
+}
+
+/**
+ * Quota and usage summary for a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {object} { tier, limits, usage }
+ */
+function getQuotaStatus(db, playerId) {
+  const tier = getQuotaTier(db, playerId);
+  return {
+    tier,
+    limits: QUOTAS[tier],
+    usage: getUsage(db, playerId)
+  };
+}
+
+/**
+ * Throw if a player is over their quota
+ * Call inside the write transaction so the write rolls back.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @throws {Error} With code 'QUOTA_EXCEEDED'
+ */
+function enforceQuota(db, playerId) {
+  const limits = QUOTAS[getQuotaTier(db, playerId)];
+  if (!limits) return;
+
+  const usage = getUsage(db, playerId);
+  if (usage.files > limits.max_files || usage.bytes > limits.max_bytes) {
+    const error = new Error(
+      `Storage limit reached (${limits.max_files} files / ${Math.round(limits.max_bytes / 1024)} KB) - ${limits.hint}`
+    );
+    error.code = 'QUOTA_EXCEEDED';
+    throw error;
+  }
+}
+
+/**
+ * Answer 413 if an error came from enforceQuota
+ * @param {object} res - Express response
+ * @param {Error} error - Error caught around the write
+ * @returns {boolean} True if the response was sent
+ */
+function sendQuotaExceeded(res, error) {
+  if (error.code !== 'QUOTA_EXCEEDED') return false;
+
+  res.status(413).json({
+    success: false,
+    error: 'QUOTA_EXCEEDED',
+    message: error.message
+  });
+  return true;
+}
+
+module.exports = {
+  QUOTAS,
+  getQuotaTier,
+  getQuotaStatus,
+  enforceQuota,
+  sendQuotaExceeded
+};
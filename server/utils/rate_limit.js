@@ -0,0 +1,170 @@
+/**
+ * Rate Limiting
+ * Token buckets for REST routes and WebSocket messages. Every policy lives
+ * in RATE_LIMITS below: a bucket holds up to `capacity` tokens, refills at
+ * `perMinute` tokens a minute, and each request or message takes one.
+ *
+ * Buckets are keyed by player when the caller is authenticated (so one
+ * player can't dodge a limit by opening more sockets) and by IP otherwise.
+ * They are kept in memory; full buckets carry no state and are swept.
+ */
+
+// by: 'ip' always keys by address, 'player' keys by player (IP if anonymous)
+const RATE_LIMITS = {
+  // REST
+  register: { capacity: 5, perMinute: 5 / 60, by: 'ip' },
+  email_lookup: { capacity: 10, perMinute: 2, by: 'ip' },
+  directory: { capacity: 30, perMinute: 30, by: 'ip' },
+  number_search: { capacity: 30, perMinute: 30, by: 'ip' },
+  file_write: { capacity: 120, perMinute: 120, by: 'player' },
+  ai_generate: { capacity: 5, perMinute: 5, by: 'ip' },
+  dial: { capacity: 30, perMinute: 30, by: 'player' },
+  scan: { capacity: 10, perMinute: 10, by: 'player' },
+
+  // WebSocket messages (file writes, dials and scans share the REST buckets)
+  ws_auth: { capacity: 10, perMinute: 5, by: 'ip' },
+  ws_ping: { capacity: 10, perMinute: 10, by: 'player' },
+  ws_sync: { capacity: 10, perMinute: 6, by: 'player' },
+  ws_scene_update: { capacity: 60, perMinute: 120, by: 'player' },
+  ws_scene: { capacity: 10, perMinute: 10, by: 'player' },
+  ws_session: { capacity: 20, perMinute: 10, by: 'player' },
+  ws_other: { capacity: 20, perMinute: 20, by: 'player' }
+};
+
+// WebSocket message type -> policy (anything unlisted uses ws_other)
+const WS_MESSAGE_LIMITS = {
+  auth: 'ws_auth',
+  ping: 'ws_ping',
+  file_change: 'file_write',
+  file_delete: 'file_write',
+  mkdir: 'file_write',
+  rmdir: 'file_write',
+  request_sync: 'ws_sync',
+  scene_update: 'ws_scene_update',
+  scene_save_default: 'ws_scene',
+  scene_load: 'ws_scene',
+  session_list: 'ws_session',
+  session_revoke: 'ws_session',
+  session_revoke_others: 'ws_session',
+  session_rotate: 'ws_session',
+  logout: 'ws_session',
+  dial: 'dial',
+  start_scan: 'scan',
+  pause_scan: 'scan',
+  resume_scan: 'scan',
+  cancel_scan: 'scan',
+  scan_list: 'scan'
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const buckets = new Map(); // 'policy|key' -> { tokens, updatedAt }
+
+/**
+ * Bucket key for a caller
+ * @param {object} policy - Entry of RATE_LIMITS
+ * @param {string} ip - Client IP address
+ * @param {number|null} playerId - Authenticated player, if any
+ * @returns {string}
+ */
+function callerKey(policy, ip, playerId) {
+  return policy.by === 'player' && playerId ? `player:${playerId}` : `ip:${ip}`;
+}
+
+/**
+ * Take a token from a bucket
+ * @param {string} policyName - Key of RATE_LIMITS
+ * @param {string} key - Caller key (see callerKey)
+ * @returns {object} { allowed, retry_after } - retry_after in seconds when refused
+ */
+function consume(policyName, key) {
+  const policy = RATE_LIMITS[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  const now = Date.now();
+  const perMs = policy.perMinute / 60000;
+  const id = `${policyName}|${key}`;
+
+  let bucket = buckets.get(id);
+  if (!bucket) {
+    bucket = { tokens: policy.capacity, updatedAt: now };
+    buckets.set(id, bucket);
+  } else {
+    bucket.tokens = Math.min(policy.capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+  }
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { allowed: true, retry_after: 0 };
+  }
+
+  return { allowed: false, retry_after: Math.ceil((1 - bucket.tokens) / perMs / 1000) };
+}
+
+/**
+ * Express middleware enforcing a policy
+ * Put it after requireAuth for per-player policies.
+ * @param {string} policyName - Key of RATE_LIMITS
+ * @returns {Function} Express middleware
+ */
+function rateLimit(policyName) {
+  const policy = RATE_LIMITS[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  return (req, res, next) => {
+    const result = consume(policyName, callerKey(policy, req.ip, req.playerId));
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(result.retry_after));
+    res.status(429).json({
+      success: false,
+      error: 'RATE_LIMITED',
+      message: 'Too many requests. Slow down.',
+      retry_after: result.retry_after
+    });
+  };
+}
+
+/**
+ * Check a WebSocket message against its type's policy
+ * @param {string} type - Message type
+ * @param {string} ip - Client IP address
+ * @param {number|null} playerId - Authenticated player, if any
+ * @returns {object} { allowed, retry_after }
+ */
+function consumeWsMessage(type, ip, playerId) {
+  const policyName = WS_MESSAGE_LIMITS[type] || 'ws_other';
+  return consume(policyName, callerKey(RATE_LIMITS[policyName], ip, playerId));
+}
+
+/**
+ * Forget buckets that have refilled completely
+ * @returns {number} Buckets removed
+ */
+function sweepBuckets() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [id, bucket] of buckets) {
+    const policy = RATE_LIMITS[id.slice(0, id.indexOf('|'))];
+    const tokens = bucket.tokens + (now - bucket.updatedAt) * policy.perMinute / 60000;
+    if (tokens >= policy.capacity) {
+      buckets.delete(id);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+setInterval(sweepBuckets, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  rateLimit,
+  consume,
+  consumeWsMessage,
+  sweepBuckets,
+  RATE_LIMITS,
+  WS_MESSAGE_LIMITS
+};
@@ -1,15 +1,23 @@
 /**
  * Recovery Code Generator
- * Format: WORD-XXXX-XXXX
- * Example: PHANTOM-7X9K-M2P1
+ * Format: WORD-XXXX-XXXXC, where C is a check character over the rest
+ * Example: PHANTOM-U9PX-ZG3DG
+ *
+ * The check character catches any single wrong character and any swap of
+ * two neighbouring characters in the random part. Codes issued before it
+ * existed (WORD-XXXX-XXXX) keep working; they just get no typo detection.
+ * A misspelt word is matched to the closest entry in WORDS.
  */
 
+const crypto = require('crypto');
+const { hashSecret } = require('./secret_hash');
+
 // Hacker-themed word pool (100 words)
 const WORDS = [
   'SHADOW', 'PHANTOM', 'CIPHER', 'GHOST', 'COBRA', 'VIPER', 'BLADE', 'STORM',
   'FROST', 'RAVEN', 'SPECTER', 'MATRIX', 'NEURAL', 'NEON', 'CHROME', 'RAZOR',
   'BYTE', 'PIXEL', 'VECTOR', 'BINARY', 'DAEMON', 'KERNEL', 'SOCKET', 'PACKET',
-  'CIPHER', 'CRYPTO', 'HACKER', 'PHREAKER', 'CRACKER', 'WAREZ', 'ELITE', 'ZERO',
+  'MODEM', 'CRYPTO', 'HACKER', 'PHREAKER', 'CRACKER', 'WAREZ', 'ELITE', 'ZERO',
   'VOID', 'NULL', 'STACK', 'HEAP', 'BUFFER', 'EXPLOIT', 'PAYLOAD', 'SHELL',
   'ROOT', 'ADMIN', 'SYSOP', 'BACKDOOR', 'TROJAN', 'WORM', 'VIRUS', 'LOGIC',
   'GATE', 'FLUX', 'PULSE', 'SURGE', 'SPARK', 'BOLT', 'THUNDER', 'LIGHTNING',
@@ -24,38 +32,180 @@ const WORDS = [
 // Character set (excludes confusing chars: 0/O, 1/I/L)
 const CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
 
+// Furthest a typed word may be from a WORDS entry and still be corrected
+const MAX_WORD_DISTANCE = 2;
+
+/**
+ * Pick random characters from CHARS (the code is a bearer secret: CSPRNG)
+ * @param {number} count
+ * @returns {string}
+ */
+function randomChars(count) {
+  return Array(count).fill().map(() =>
+    CHARS[crypto.randomInt(CHARS.length)]
+  ).join('');
+}
+
+/**
+ * Check character for a code: weighted sum of the random characters
+ * (weights 1..8) plus the word's position, modulo CHARS.length (prime)
+ * @param {string} word - Entry of WORDS
+ * @param {string} random - The eight random characters
+ * @returns {string} Single character from CHARS
+ */
+function checkCharacter(word, random) {
+  let sum = WORDS.indexOf(word) + 1;
+  for (let i = 0; i < random.length; i++) {
+    sum += (i + 1) * CHARS.indexOf(random[i]);
+  }
+  return CHARS[sum % CHARS.length];
+}
+
 /**
  * Generate a random recovery code
- * @returns {string} Recovery code in format WORD-XXXX-XXXX
+ * @returns {string} Recovery code in format WORD-XXXX-XXXXC
  */
 function generateRecoveryCode() {
-  const word = WORDS[Math.floor(Math.random() * WORDS.length)];
-  const part1 = Array(4).fill().map(() =>
-    CHARS[Math.floor(Math.random() * CHARS.length)]
-  ).join('');
-  const part2 = Array(4).fill().map(() =>
-    CHARS[Math.floor(Math.random() * CHARS.length)]
-  ).join('');
-  return `${word}-${part1}-${part2}`;
+  const word = WORDS[crypto.randomInt(WORDS.length)];
+  const part1 = randomChars(4);
+  const part2 = randomChars(4);
+  return `${word}-${part1}-${part2}${checkCharacter(word, part1 + part2)}`;
+}
+
+/**
+ * Normalize a code as typed: upper case, spaces / underscores / dots as dashes
+ * @param {string} code - Code from the player
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .trim()
+    .replace(/[\s_.]+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+/**
+ * Edit distance between two words (adjacent swaps count as one edit)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
 }
 
 /**
- * Validate recovery code format
+ * WORDS entries closest to a typed word
+ * @param {string} word - Typed word (upper case)
+ * @returns {Array<string>} Nearest entries within MAX_WORD_DISTANCE (empty if none)
+ */
+function closestWords(word) {
+  if (WORDS.includes(word)) return [word];
+
+  let best = MAX_WORD_DISTANCE + 1;
+  let matches = [];
+  for (const candidate of WORDS) {
+    const distance = editDistance(word, candidate);
+    if (distance < best) {
+      best = distance;
+      matches = [candidate];
+    } else if (distance === best && !matches.includes(candidate)) {
+      matches.push(candidate);
+    }
+  }
+
+  return best <= MAX_WORD_DISTANCE ? matches : [];
+}
+
+/**
+ * Work out which code a player meant
+ * @param {string} input - Code as typed
+ * @returns {object} { status, code } - status is 'ok' (code carries a valid
+ *   check character, word corrected if needed), 'legacy' (old format, no
+ *   check character), 'mistyped' (shaped like a code but the word or check
+ *   character is wrong) or 'invalid'; code is the corrected code when known
+ */
+function resolveRecoveryCode(input) {
+  const parts = normalizeRecoveryCode(input).split('-');
+  if (parts.length !== 3) return { status: 'invalid', code: null };
+
+  const [typedWord, part1, part2] = parts;
+  const validChars = new RegExp(`^[${CHARS}]+$`);
+  if (part1.length !== 4 || (part2.length !== 4 && part2.length !== 5) ||
+      !validChars.test(part1 + part2) || !/^[A-Z]+$/.test(typedWord)) {
+    // Letters outside CHARS (O, I, L) or a wrong group length: a typo if
+    // the overall shape is right, otherwise not a code at all
+    return /^[A-Z0-9]{4}$/.test(part1) && /^[A-Z0-9]{4,5}$/.test(part2)
+      ? { status: 'mistyped', code: null }
+      : { status: 'invalid', code: null };
+  }
+
+  const words = closestWords(typedWord);
+
+  if (part2.length === 4) {
+    return words.length === 1
+      ? { status: 'legacy', code: `${words[0]}-${part1}-${part2}` }
+      : { status: 'mistyped', code: null };
+  }
+
+  // The check character also covers the word, so it settles ties
+  const random = part1 + part2.slice(0, 4);
+  const check = part2[4];
+  const word = words.find(candidate => checkCharacter(candidate, random) === check);
+
+  return word
+    ? { status: 'ok', code: `${word}-${part1}-${part2}` }
+    : { status: 'mistyped', code: null };
+}
+
+/**
+ * Validate recovery code format (check character included, for new codes)
  * @param {string} code - The code to validate
  * @returns {boolean} True if valid format
  */
 function isValidRecoveryCode(code) {
   if (!code || typeof code !== 'string') return false;
-  const parts = code.toUpperCase().split('-');
-  if (parts.length !== 3) return false;
-  if (!WORDS.includes(parts[0])) return false;
-  if (parts[1].length !== 4 || parts[2].length !== 4) return false;
-  const validChars = new RegExp(`^[${CHARS}]+$`);
-  return validChars.test(parts[1]) && validChars.test(parts[2]);
+  const normalized = normalizeRecoveryCode(code);
+  const resolved = resolveRecoveryCode(normalized);
+  return (resolved.status === 'ok' || resolved.status === 'legacy') && resolved.code === normalized;
+}
+
+/**
+ * Generate a recovery code not already used by any player
+ * @param {Database} db - SQLite database instance
+ * @param {number} [maxAttempts=10] - Attempts before giving up
+ * @returns {string|null} Unique recovery code, or null if none could be found
+ */
+function generateUniqueRecoveryCode(db, maxAttempts = 10) {
+  const lookup = db.prepare('SELECT id FROM players WHERE recovery_code = ?');
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const code = generateRecoveryCode();
+    if (!lookup.get(hashSecret(code))) return code;
+  }
+
+  return null;
 }
 
 module.exports = {
   generateRecoveryCode,
+  generateUniqueRecoveryCode,
   isValidRecoveryCode,
+  normalizeRecoveryCode,
+  resolveRecoveryCode,
   WORDS
 };
@@ -0,0 +1,141 @@
+/**
+ * Recovery Brute-Force Protection
+ * Failed POST /api/recover and /api/recover/email/verify attempts are stored
+ * in recovery_failures (so the limits survive restarts) and slow down
+ * whoever keeps guessing:
+ *
+ * - Per IP: the first few failures are free, then each one doubles the wait
+ *   before the next attempt, and past LOCKOUT_FAILURES the IP is locked out
+ *   for LOCKOUT_MINUTES after every further failure.
+ * - Globally: during a burst of failures from many IPs (a distributed scan)
+ *   every IP that failed within the global window is paused until the burst
+ *   ages out. IPs with no recent failures are exempt, so the burst cannot
+ *   lock legitimate players out; each scanning IP gets one guess per burst.
+ *
+ * While an attempt is refused the code is not even looked up, so a locked
+ * out client learns nothing about whether it guessed right.
+ */
+
+const { logSecurityEvent } = require('./security_log');
+
+// Failures count against an IP for this long
+const FAILURE_WINDOW_HOURS = 24;
+
+// Per-IP backoff: free failures, then BASE_DELAY * 2^(n - FREE_FAILURES)
+const FREE_FAILURES = 3;
+const BASE_DELAY_SECONDS = 5;
+const LOCKOUT_FAILURES = 10;
+const LOCKOUT_MINUTES = 60;
+
+// Global limit across all IPs
+const GLOBAL_WINDOW_MINUTES = 15;
+const GLOBAL_MAX_FAILURES = parseInt(process.env.RECOVERY_GLOBAL_MAX_FAILURES, 10) || 300;
+
+/**
+ * Seconds an IP must wait after its n-th failure
+ * @param {number} failures - Failures within the window
+ * @returns {number}
+ */
+function backoffSeconds(failures) {
+  if (failures < FREE_FAILURES) return 0;
+  if (failures >= LOCKOUT_FAILURES) return LOCKOUT_MINUTES * 60;
+  return BASE_DELAY_SECONDS * 2 ** (failures - FREE_FAILURES);
+}
+
+/**
+ * Check whether a recovery attempt may go ahead
+ * @param {Database} db - SQLite database instance
+ * @param {string} ip - Client IP address
+ * @returns {object|null} { retry_after } in seconds if refused, null if allowed
+ */
+function checkRecoveryAllowed(db, ip) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const byIp = db.prepare(`
+    SELECT COUNT(*) as failures,
+           COALESCE(SUM(created_at > datetime('now', ?)), 0) as recent_failures,
+           CAST(strftime('%s', MAX(created_at)) AS INTEGER) as last_failure
+    FROM recovery_failures
+    WHERE ip = ? AND created_at > datetime('now', ?)
+  `).get(`-${GLOBAL_WINDOW_MINUTES} minutes`, ip, `-${FAILURE_WINDOW_HOURS} hours`);
+
+  let retryAt = 0;
+  if (byIp.failures > 0) {
+    retryAt = byIp.last_failure + backoffSeconds(byIp.failures);
+  }
+
+  // The global limit only holds back IPs that failed recently themselves.
+  // Oldest of the last GLOBAL_MAX_FAILURES failures: once it leaves the
+  // window the global count is back under the limit
+  if (byIp.recent_failures > 0) {
+    const burst = db.prepare(`
+      SELECT CAST(strftime('%s', created_at) AS INTEGER) as at FROM recovery_failures
+      WHERE created_at > datetime('now', ?)
+      ORDER BY id DESC LIMIT 1 OFFSET ?
+    `).get(`-${GLOBAL_WINDOW_MINUTES} minutes`, GLOBAL_MAX_FAILURES - 1);
+
+    if (burst) {
+      retryAt = Math.max(retryAt, burst.at + GLOBAL_WINDOW_MINUTES * 60);
+    }
+  }
+
+  return retryAt > now ? { retry_after: retryAt - now } : null;
+}
+
+/**
+ * Record a failed recovery attempt
+ * @param {Database} db - SQLite database instance
+ * @param {Request} req - Express request (client IP, browser, user agent)
+ * @param {string} reason - 'invalid_code', 'invalid_login_code' or 'invalid_otp'
+ * @param {number|null} [playerId] - Player the code belonged to, if it was valid
+ */
+function recordRecoveryFailure(db, req, reason, playerId = null) {
+  const ip = req.ip;
+
+  db.transaction(() => {
+    db.prepare('INSERT INTO recovery_failures (ip, reason) VALUES (?, ?)').run(ip, reason);
+
+    const { failures } = db.prepare(`
+      SELECT COUNT(*) as failures FROM recovery_failures
+      WHERE ip = ? AND created_at > datetime('now', ?)
+    `).get(ip, `-${FAILURE_WINDOW_HOURS} hours`);
+
+    logSecurityEvent(db, playerId, 'RECOVERY_FAILED', {
+      req,
+      details: { reason, failures, retry_after: backoffSeconds(failures) }
+    });
+
+    if (failures === LOCKOUT_FAILURES) {
+      logSecurityEvent(db, null, 'RECOVERY_LOCKOUT', { req, details: { failures } });
+      console.warn(`[RECOVER] Locking out ${ip} after ${failures} failed attempts`);
+    }
+
+    const { recent } = db.prepare(`
+      SELECT COUNT(*) as recent FROM recovery_failures WHERE created_at > datetime('now', ?)
+    `).get(`-${GLOBAL_WINDOW_MINUTES} minutes`);
+
+    if (recent === GLOBAL_MAX_FAILURES) {
+      logSecurityEvent(db, null, 'RECOVERY_GLOBAL_LOCKOUT', { req, details: { failures: recent } });
+      console.warn(`[RECOVER] ${recent} failed attempts in ${GLOBAL_WINDOW_MINUTES} minutes, recovery paused for failing IPs`);
+    }
+  })();
+}
+
+/**
+ * Drop failures older than the window
+ * @param {Database} db - SQLite database instance
+ * @returns {number} Rows removed
+ */
+function pruneRecoveryFailures(db) {
+  return db.prepare(`
+    DELETE FROM recovery_failures WHERE created_at <= datetime('now', ?)
+  `).run(`-${FAILURE_WINDOW_HOURS} hours`).changes;
+}
+
+module.exports = {
+  checkRecoveryAllowed,
+  recordRecoveryFailure,
+  pruneRecoveryFailures,
+  LOCKOUT_FAILURES,
+  LOCKOUT_MINUTES
+};
@@ -0,0 +1,126 @@
+/**
+ * Player Roles
+ * Every account is a 'player'; moderators and admins get extra powers.
+ * Roles are checked against the database on every request, so a demotion
+ * takes effect immediately without logging anyone out.
+ */
+
+const { logAdminAction } = require('./admin_audit');
+
+// Ordered from least to most privileged
+const ROLES = ['player', 'moderator', 'admin'];
+
+/**
+ * Check whether a role grants at least the required level
+ * @param {string} role - Role held by the player
+ * @param {string} required - Minimum role needed
+ * @returns {boolean}
+ */
+function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Look up a player's current role
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {string} Role name ('player' if the player doesn't exist)
+ */
+function getPlayerRole(db, playerId) {
+  const player = db.prepare('SELECT role FROM players WHERE id = ?').get(playerId);
+  return player?.role || 'player';
+}
+
+/**
+ * Change a player's role
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} role - New role
+ * @returns {boolean} True if the player exists
+ */
+function setPlayerRole(db, playerId, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const result = db.prepare('UPDATE players SET role = ? WHERE id = ?').run(role, playerId);
+  return result.changes > 0;
+}
+
+/**
+ * Express middleware factory: require at least the given role
+ * Must run after requireAuth. Sets req.playerRole.
+ * @param {string} required - Minimum role needed
+ * @returns {Function} Express middleware
+ */
+function requireRole(required) {
+  return (req, res, next) => {
+    const role = getPlayerRole(req.db, req.playerId);
+
+    if (!roleAtLeast(role, required)) {
+      return res.status(403).json({
+        success: false,
+        error: 'FORBIDDEN',
+        message: `Requires ${required} role`
+      });
+    }
+
+    req.playerRole = role;
+    next();
+  };
+}
+
+/**
+ * Promote the players listed in ADMIN_HANDLES (comma separated) to admin
+ * Only bootstraps the first admin: once any admin exists the list is
+ * ignored, so registering (or renaming into) a listed handle later, or a
+ * deliberate demotion, can't be turned into admin rights by a restart.
+ * Further admins are made with scripts/set-role.js or the admin API.
+ * @param {Database} db - SQLite database instance
+ * @returns {Array<string>} Handles that were promoted
+ */
+function bootstrapAdmins(db) {
+  const handles = (process.env.ADMIN_HANDLES || '')
+    .split(',')
+    .map(h => h.trim().toUpperCase())
+    .filter(Boolean);
+
+  const promoted = [];
+  if (handles.length === 0) return promoted;
+
+  const admin = db.prepare("SELECT handle FROM players WHERE role = 'admin' LIMIT 1").get();
+  if (admin) {
+    console.log(`[ROLES] ADMIN_HANDLES ignored: an admin already exists (${admin.handle})`);
+    return promoted;
+  }
+
+  for (const handle of handles) {
+    const player = db.prepare('SELECT id, role FROM players WHERE handle = ?').get(handle);
+
+    if (!player) {
+      console.log(`[ROLES] ADMIN_HANDLES: ${handle} is not registered`);
+      continue;
+    }
+
+    if (player.role !== 'admin') {
+      setPlayerRole(db, player.id, 'admin');
+      logAdminAction(db, null, 'ROLE_CHANGED', {
+        targetPlayerId: player.id,
+        details: { handle, from: player.role, to: 'admin', via: 'ADMIN_HANDLES' }
+      });
+      promoted.push(handle);
+      console.log(`[ROLES] ${handle} promoted to admin (ADMIN_HANDLES)`);
+    }
+  }
+
+  return promoted;
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  getPlayerRole,
+  setPlayerRole,
+  requireRole,
+  bootstrapAdmins
+};
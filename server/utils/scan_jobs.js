@@ -0,0 +1,503 @@
+/**
+ * War Dial Scan Jobs
+ * Scans run on the server, so they keep going while the player is offline
+ * and pick up where they left off after a restart: every job's position and
+ * next dial time live in scan_jobs, and a scheduler tick dials whatever is
+ * due through the phone network.
+ *
+ * A job covers one war dialer range (area code, two-digit prefix, suffixes
+ * 00-99) and dials one number every SCAN_SECONDS_PER_NUMBER, the pace of
+ * the client's war dialer. Results stream to the player's sockets and
+ * modems go into a scan log in player_files, in the format of
+ * GameState.create_scan_log. The log is C:\SCAN_<area><prefix>.LOG, or the
+ * next free C:\WD000001.LOG-style name if a file that isn't a scan log has
+ * that name; a scan log is never written over another file.
+ *
+ * A job that fails for a reason the player can fix (out of space, log name
+ * taken) is paused with the error; any other error fails it for good.
+ */
+
+const crypto = require('crypto');
+const { enforceQuota } = require('./quotas');
+const { normalizePhoneNumber, dialNumber } = require('./phone_network');
+
+// Dial tones + ring wait + pause between calls in war_dialer.gd
+const SECONDS_PER_NUMBER = parseFloat(process.env.SCAN_SECONDS_PER_NUMBER) || 6;
+
+const TICK_MS = 1000;
+// Jobs dialed per tick at most (the rest wait for the next tick)
+const TICK_BATCH = 100;
+
+// Running or paused jobs a player may have at once
+const MAX_ACTIVE_JOBS = 1;
+
+// Phone network result -> war dialer result (scan_results keys)
+const SCAN_RESULTS = {
+  PLAYER: 'MODEM',
+  HOST: 'MODEM',
+  BBS: 'MODEM',
+  FAX: 'FAX',
+  VOICE: 'VOICE',
+  BUSY: 'BUSY',
+  NO_ANSWER: 'NO_ANSWER'
+};
+const RESULT_KEYS = {
+  MODEM: 'modems',
+  VOICE: 'voice',
+  FAX: 'fax',
+  BUSY: 'busy',
+  NO_ANSWER: 'no_answer'
+};
+
+// Errors that pause a job until the player sorts them out
+const PAUSE_ERRORS = ['QUOTA_EXCEEDED', 'LOG_PATH_TAKEN'];
+
+// Allowed status changes: action -> [from statuses, to status]
+const TRANSITIONS = {
+  pause: [['running'], 'paused'],
+  resume: [['paused'], 'running'],
+  cancel: [['running', 'paused'], 'cancelled']
+};
+
+// Delivers events to a player's sockets (set by startScanScheduler)
+let notify = () => {};
+
+/**
+ * Error with a code for the routes to map (like enforceQuota's)
+ */
+function scanError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Format a number the way war_dialer.gd does (555-01-23)
+ */
+function formatScanNumber(areaCode, prefix, suffix) {
+  return `${areaCode}-${prefix}-${String(suffix).padStart(2, '0')}`;
+}
+
+/**
+ * Date and time for log entries (GameState's MM/DD/YYYY and HH:MM)
+ */
+function logDate(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+}
+
+function logTime(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+/**
+ * Parse a file's metadata column, tolerating bad data
+ */
+function parseMetadata(file) {
+  try {
+    return file && file.metadata ? JSON.parse(file.metadata) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Pick the scan log path for a new job
+ * The range's usual name unless a file that isn't a scan log has it, then
+ * the first free WD%06d.LOG (GameState.get_next_log_filename's names).
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} areaCode - Three digits
+ * @param {string} prefix - Two digits
+ * @returns {string}
+ */
+function chooseLogPath(db, playerId, areaCode, prefix) {
+  const findFile = db.prepare('SELECT metadata FROM player_files WHERE player_id = ? AND path = ?');
+
+  const preferred = `C:\\SCAN_${areaCode}${prefix}.LOG`;
+  const file = findFile.get(playerId, preferred);
+  if (!file || parseMetadata(file)?.type === 'scan_log') return preferred;
+
+  for (let counter = 1; ; counter++) {
+    const path = `C:\\WD${String(counter).padStart(6, '0')}.LOG`;
+    if (!findFile.get(playerId, path)) return path;
+  }
+}
+
+/**
+ * Empty result lists, as war_dialer.gd's scan_results
+ */
+function emptyResults() {
+  return { modems: [], voice: [], fax: [], busy: [], no_answer: [], total_scanned: 0 };
+}
+
+/**
+ * Public shape of a scan job row
+ */
+function toScanJob(row) {
+  const total = row.end_num - row.start_num + 1;
+  return {
+    id: row.id,
+    area_code: row.area_code,
+    prefix: row.prefix,
+    start: row.start_num,
+    end: row.end_num,
+    next: row.next_num,
+    status: row.status,
+    progress: (row.next_num - row.start_num) / total,
+    log_path: row.log_path,
+    results: JSON.parse(row.results),
+    error: row.error,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    finished_at: row.finished_at
+  };
+}
+
+/**
+ * Write a scan log file and tell the player's sockets about it
+ * Creates the log like GameState.create_scan_log if it doesn't exist yet
+ * (an existing log of the same range is added to, as on the client).
+ * @param {Database} db - SQLite database instance
+ * @param {object} job - Scan job row
+ * @param {object} [update]
+ * @param {object} [update.modem] - { phone, system_id } to append
+ * @param {number} [update.lastScanned] - Last suffix dialed
+ * @throws {Error} With code 'QUOTA_EXCEEDED', or 'LOG_PATH_TAKEN' if another
+ *   file has taken the log's path since the job started
+ */
+function writeScanLog(db, job, update = {}) {
+  const file = db.prepare(`
+    SELECT content, metadata FROM player_files WHERE player_id = ? AND path = ?
+  `).get(job.player_id, job.log_path);
+
+  let metadata = parseMetadata(file);
+
+  let content;
+  if (file && metadata && metadata.type === 'scan_log') {
+    content = file.content || '';
+  } else if (file) {
+    throw scanError('LOG_PATH_TAKEN', `${job.log_path} is not a scan log. Move it to resume the scan.`);
+  } else {
+    content = `; War Dialer Scan Log\n; Range: ${formatScanNumber(job.area_code, job.prefix, job.start_num)} to ${formatScanNumber(job.area_code, job.prefix, job.end_num)}\n`;
+    metadata = {
+      type: 'scan_log',
+      created: logDate(),
+      area_code: job.area_code,
+      prefix: job.prefix,
+      start: job.start_num,
+      end: job.end_num,
+      last_scanned: job.start_num,
+      modems: []
+    };
+  }
+
+  if (update.modem) {
+    metadata.modems.push({ ...update.modem, time: logTime() });
+    content += `${update.modem.phone} MODEM (${update.modem.system_id})\n`;
+  }
+  if (update.lastScanned !== undefined) {
+    metadata.last_scanned = update.lastScanned;
+  }
+
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+  db.prepare(`
+    INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, program, metadata, updated_at, updated_by_session)
+    VALUES (?, ?, 'file', ?, ?, ?, NULL, ?, datetime('now'), NULL)
+    ON CONFLICT(player_id, path) DO UPDATE SET
+      file_type = excluded.file_type,
+      content = excluded.content,
+      content_hash = excluded.content_hash,
+      file_size = excluded.file_size,
+      program = NULL,
+      metadata = excluded.metadata,
+      updated_at = datetime('now'),
+      updated_by_session = NULL
+  `).run(job.player_id, job.log_path, content, hash, content.length, JSON.stringify(metadata));
+
+  enforceQuota(db, job.player_id);
+
+  notify(job.player_id, {
+    type: 'file_changed',
+    path: job.log_path,
+    content,
+    file_type: 'file',
+    program: null,
+    metadata,
+    content_hash: hash,
+    by_session: null,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Start a scan job
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} range - As war_dialer.gd's start_scan
+ * @param {string} range.area_code - Three digits
+ * @param {string} range.prefix - Two digits
+ * @param {number} range.start - First suffix (0-99)
+ * @param {number} range.end - Last suffix (start-99)
+ * @returns {object} The new job
+ * @throws {Error} With code 'INVALID_RANGE', 'SCAN_IN_PROGRESS' or 'QUOTA_EXCEEDED'
+ */
+function createScanJob(db, playerId, range) {
+  const areaCode = String(range.area_code ?? '');
+  const prefix = String(range.prefix ?? '');
+  const start = Number(range.start);
+  const end = Number(range.end);
+
+  if (!/^\d{3}$/.test(areaCode) || !/^\d{2}$/.test(prefix)) {
+    throw scanError('INVALID_RANGE', 'Area code must be 3 digits and prefix 2 digits');
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 99 || start > end) {
+    throw scanError('INVALID_RANGE', 'Start and end must be 00-99, start <= end');
+  }
+
+  const job = db.transaction(() => {
+    const { active } = db.prepare(`
+      SELECT COUNT(*) as active FROM scan_jobs
+      WHERE player_id = ? AND status IN ('running', 'paused')
+    `).get(playerId);
+
+    if (active >= MAX_ACTIVE_JOBS) {
+      throw scanError('SCAN_IN_PROGRESS', 'A scan is already running. Cancel it first.');
+    }
+
+    const result = db.prepare(`
+      INSERT INTO scan_jobs (player_id, area_code, prefix, start_num, end_num, next_num, log_path, results, next_dial_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      playerId, areaCode, prefix, start, end, start,
+      chooseLogPath(db, playerId, areaCode, prefix),
+      JSON.stringify(emptyResults()),
+      Date.now()
+    );
+
+    const row = db.prepare('SELECT * FROM scan_jobs WHERE id = ?').get(result.lastInsertRowid);
+    writeScanLog(db, row);
+    return row;
+  })();
+
+  notify(playerId, { type: 'scan_started', job: toScanJob(job), timestamp: Date.now() });
+  return toScanJob(job);
+}
+
+/**
+ * Get one of a player's scan jobs
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {number} jobId - Job ID
+ * @returns {object|null}
+ */
+function getScanJob(db, playerId, jobId) {
+  const row = db.prepare('SELECT * FROM scan_jobs WHERE id = ? AND player_id = ?').get(jobId, playerId);
+  return row ? toScanJob(row) : null;
+}
+
+/**
+ * List a player's scan jobs, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {number} [limit=20]
+ * @returns {Array<object>}
+ */
+function listScanJobs(db, playerId, limit = 20) {
+  return db.prepare(`
+    SELECT * FROM scan_jobs WHERE player_id = ? ORDER BY id DESC LIMIT ?
+  `).all(playerId, Math.min(Math.max(parseInt(limit) || 20, 1), 100)).map(toScanJob);
+}
+
+/**
+ * Pause, resume or cancel a scan job
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {number} jobId - Job ID
+ * @param {string} action - 'pause', 'resume' or 'cancel'
+ * @returns {object|null} The updated job, null if not found
+ * @throws {Error} With code 'INVALID_STATE' if the job can't take the action
+ */
+function updateScanJob(db, playerId, jobId, action) {
+  const [from, to] = TRANSITIONS[action];
+
+  const job = db.transaction(() => {
+    const row = db.prepare('SELECT * FROM scan_jobs WHERE id = ? AND player_id = ?').get(jobId, playerId);
+    if (!row) return null;
+
+    if (!from.includes(row.status)) {
+      throw scanError('INVALID_STATE', `Cannot ${action} a ${row.status} scan`);
+    }
+
+    if (action === 'resume') {
+      const { active } = db.prepare(`
+        SELECT COUNT(*) as active FROM scan_jobs
+        WHERE player_id = ? AND status IN ('running', 'paused') AND id != ?
+      `).get(playerId, jobId);
+      if (active >= MAX_ACTIVE_JOBS) {
+        throw scanError('SCAN_IN_PROGRESS', 'Another scan is already running');
+      }
+    }
+
+    db.prepare(`
+      UPDATE scan_jobs
+      SET status = ?, error = NULL, next_dial_at = ?, updated_at = datetime('now'),
+          finished_at = CASE WHEN ? = 'cancelled' THEN datetime('now') ELSE NULL END
+      WHERE id = ?
+    `).run(to, Date.now(), to, jobId);
+
+    return db.prepare('SELECT * FROM scan_jobs WHERE id = ?').get(jobId);
+  })();
+
+  if (job) {
+    notify(playerId, { type: 'scan_status', job: toScanJob(job), timestamp: Date.now() });
+  }
+  return job ? toScanJob(job) : null;
+}
+
+/**
+ * Dial the next number of a running job
+ * @param {Database} db - SQLite database instance
+ * @param {object} job - Scan job row
+ */
+function dialNextNumber(db, job) {
+  const suffix = job.next_num;
+  const phone = formatScanNumber(job.area_code, job.prefix, suffix);
+  const answer = dialNumber(db, normalizePhoneNumber(phone));
+  const result = SCAN_RESULTS[answer.result] || 'NO_ANSWER';
+
+  const results = JSON.parse(job.results);
+  results[RESULT_KEYS[result]].push(phone);
+  results.total_scanned += 1;
+
+  const done = suffix >= job.end_num;
+
+  let systemId = null;
+  if (result === 'MODEM') {
+    systemId = answer.result === 'PLAYER' ? `player:${answer.handle}` : answer.system_id;
+  }
+
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE scan_jobs
+        SET next_num = ?, results = ?, next_dial_at = ?, updated_at = datetime('now'),
+            status = ?, finished_at = CASE WHEN ? THEN datetime('now') ELSE NULL END
+        WHERE id = ?
+      `).run(
+        suffix + 1,
+        JSON.stringify(results),
+        Date.now() + SECONDS_PER_NUMBER * 1000,
+        done ? 'complete' : 'running',
+        done ? 1 : 0,
+        job.id
+      );
+
+      if (result === 'MODEM' || done) {
+        writeScanLog(db, job, {
+          modem: systemId ? { phone, system_id: systemId } : undefined,
+          lastScanned: suffix
+        });
+      }
+    })();
+  } catch (error) {
+    if (!PAUSE_ERRORS.includes(error.code)) throw error;
+
+    // Out of disk space or log moved aside: hold the job until the player sorts it out
+    setJobStatus(db, job, 'paused', error.code);
+    return;
+  }
+
+  const event = { type: 'number_result', job_id: job.id, number: phone, result, timestamp: Date.now() };
+  if (systemId) event.system_id = systemId;
+  if (answer.result === 'PLAYER') event.handle = answer.handle;
+  notify(job.player_id, event);
+
+  if (done) {
+    notify(job.player_id, { type: 'scan_complete', job_id: job.id, results, timestamp: Date.now() });
+  }
+}
+
+/**
+ * Stop a job (paused or failed) with an error and tell the player's sockets
+ * @param {Database} db - SQLite database instance
+ * @param {object} job - Scan job row
+ * @param {string} status - 'paused' or 'failed'
+ * @param {string} error - Error code
+ */
+function setJobStatus(db, job, status, error) {
+  db.prepare(`
+    UPDATE scan_jobs
+    SET status = ?, error = ?, updated_at = datetime('now'),
+        finished_at = CASE WHEN ? = 'failed' THEN datetime('now') ELSE NULL END
+    WHERE id = ?
+  `).run(status, error, status, job.id);
+
+  notify(job.player_id, {
+    type: 'scan_status',
+    job: toScanJob(db.prepare('SELECT * FROM scan_jobs WHERE id = ?').get(job.id)),
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Dial every number that is due
+ * A job that throws is failed, so it isn't retried every tick.
+ * @param {Database} db - SQLite database instance
+ * @returns {number} Numbers dialed
+ */
+function runScanTick(db) {
+  const due = db.prepare(`
+    SELECT * FROM scan_jobs
+    WHERE status = 'running' AND next_dial_at <= ?
+    ORDER BY next_dial_at
+    LIMIT ?
+  `).all(Date.now(), TICK_BATCH);
+
+  for (const job of due) {
+    try {
+      dialNextNumber(db, job);
+    } catch (error) {
+      console.error(`[SCAN] Job ${job.id} failed:`, error.message);
+      try {
+        setJobStatus(db, job, 'failed', error.code || 'SCAN_FAILED');
+      } catch (statusError) {
+        // Keep dialing the other jobs
+        console.error(`[SCAN] Job ${job.id} status error:`, statusError.message);
+      }
+    }
+  }
+
+  return due.length;
+}
+
+/**
+ * Start dialing scan jobs (running jobs from before a restart carry on)
+ * @param {Database} db - SQLite database instance
+ * @param {Function} notifier - (playerId, message) sends an event to the player's sockets
+ */
+function startScanScheduler(db, notifier) {
+  notify = notifier;
+
+  const { running } = db.prepare(`
+    SELECT COUNT(*) as running FROM scan_jobs WHERE status = 'running'
+  `).get();
+  if (running > 0) {
+    console.log(`[SCAN] Resuming ${running} running scan job(s)`);
+  }
+
+  setInterval(() => runScanTick(db), TICK_MS).unref();
+}
+
+module.exports = {
+  createScanJob,
+  getScanJob,
+  listScanJobs,
+  updateScanJob,
+  runScanTick,
+  startScanScheduler,
+  SECONDS_PER_NUMBER,
+  MAX_ACTIVE_JOBS
+};
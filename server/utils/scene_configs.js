@@ -0,0 +1,43 @@
+/**
+ * Scene Configs
+ * The master default layout (player_id NULL, config_name 'master') that
+ * players without a saved scene fall back to.
+ */
+
+const { logAdminAction } = require('./admin_audit');
+
+/**
+ * Save the master default scene config and record it in the admin audit log
+ * @param {Database} db - SQLite database instance
+ * @param {number} actorId - Admin player ID
+ * @param {object} config - Scene config
+ * @param {string|null} ip - Client IP address, for the audit log
+ */
+function saveMasterConfig(db, actorId, config, ip) {
+  const configJson = JSON.stringify(config);
+
+  db.transaction(() => {
+    // UNIQUE(player_id, config_name) never matches a NULL player_id,
+    // so update the master row in place instead of relying on ON CONFLICT
+    const updated = db.prepare(`
+      UPDATE scene_configs SET config_data = ?, updated_at = datetime('now')
+      WHERE player_id IS NULL AND config_name = 'master'
+    `).run(configJson);
+
+    if (updated.changes === 0) {
+      db.prepare(`
+        INSERT INTO scene_configs (player_id, config_name, config_data, updated_at)
+        VALUES (NULL, 'master', ?, datetime('now'))
+      `).run(configJson);
+    }
+
+    logAdminAction(db, actorId, 'SCENE_SAVE_DEFAULT', {
+      ip,
+      details: { size: configJson.length }
+    });
+  })();
+}
+
+module.exports = {
+  saveMasterConfig
+};
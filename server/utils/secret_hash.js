@@ -0,0 +1,94 @@
+/**
+ * Keyed Hashing for Secrets at Rest
+ * Session tokens, recovery codes and login codes are stored only as
+ * HMAC-SHA256 digests, so a copy of the database alone can't be used to log in.
+ * Secrets the server must read back (TOTP seeds) are encrypted with a key
+ * derived from the same key instead.
+ *
+ * The key comes from TOKEN_HASH_KEY, or from a key file generated on first run
+ * (TOKEN_HASH_KEY_FILE, default db/token_hash.key). Keep the key out of backups
+ * of the database - and never change it, or every session and code stops working.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let hashKey = null;
+
+/**
+ * Load (or create) the hashing key
+ * @returns {Buffer}
+ */
+function getHashKey() {
+  if (hashKey) return hashKey;
+
+  if (process.env.TOKEN_HASH_KEY) {
+    hashKey = Buffer.from(process.env.TOKEN_HASH_KEY, 'utf8');
+    return hashKey;
+  }
+
+  const keyFile = process.env.TOKEN_HASH_KEY_FILE ||
+    path.join(__dirname, '..', 'db', 'token_hash.key');
+
+  if (fs.existsSync(keyFile)) {
+    hashKey = Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+  } else {
+    console.log(`[SECURITY] No TOKEN_HASH_KEY set - generating key file ${keyFile}`);
+    hashKey = crypto.randomBytes(32);
+    fs.writeFileSync(keyFile, hashKey.toString('hex') + '\n', { mode: 0o600 });
+  }
+
+  return hashKey;
+}
+
+/**
+ * Hash a secret for storage or lookup
+ * @param {string} value - Plaintext token or code
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+function hashSecret(value) {
+  return crypto.createHmac('sha256', getHashKey()).update(String(value)).digest('hex');
+}
+
+/**
+ * Derive the encryption key for sealSecret() / openSecret()
+ * @returns {Buffer} 32-byte AES key
+ */
+function getSealKey() {
+  return crypto.createHmac('sha256', getHashKey()).update('seal-secret-v1').digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} value - Plaintext secret
+ * @returns {string} iv:tag:ciphertext, hex encoded
+ */
+function sealSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSealKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a value produced by sealSecret()
+ * @param {string} sealed - Stored value
+ * @returns {string|null} Plaintext, or null if it can't be decrypted
+ */
+function openSecret(sealed) {
+  try {
+    const [iv, tag, encrypted] = String(sealed).split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getSealKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  hashSecret,
+  sealSecret,
+  openSecret
+};
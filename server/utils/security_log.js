@@ -0,0 +1,158 @@
+/**
+ * Account Security Event Log
+ * Append-only record of security-relevant account activity (registrations,
+ * recoveries and failed attempts, session revocations, admin actions, ...)
+ * with where it came from: IP, browser ID and user agent.
+ *
+ * Rows are never updated or deleted (triggers in db/init.js refuse it) and
+ * outlive the account they belong to.
+ */
+
+// Longest user agent kept per event
+const MAX_USER_AGENT_LENGTH = 256;
+
+/**
+ * Record a security event
+ * @param {Database} db - SQLite database instance
+ * @param {number|null} playerId - Player the event belongs to (null if unknown)
+ * @param {string} eventType - Event code, e.g. 'RECOVERY_CODE_ROTATED'
+ * @param {object} [options]
+ * @param {object} [options.req] - Express request (fills in ip, browser ID and user agent)
+ * @param {string} [options.ip] - Client IP address
+ * @param {string} [options.browserId] - Client browser ID
+ * @param {string} [options.userAgent] - Client user agent
+ * @param {object} [options.details] - Extra event data (stored as JSON)
+ */
+function logSecurityEvent(db, playerId, eventType, options = {}) {
+  const { req = null, details = null } = options;
+
+  const ip = options.ip || (req ? req.ip : null);
+  const browserId = options.browserId ||
+    (req ? req.browserId || (req.body && typeof req.body.browser_id === 'string' ? req.body.browser_id : null) : null);
+  const userAgent = options.userAgent || (req ? req.get('user-agent') : null);
+
+  db.prepare(`
+    INSERT INTO security_events (player_id, event_type, ip, browser_id, user_agent, details)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    playerId,
+    eventType,
+    ip || null,
+    browserId ? browserId.slice(0, 64) : null,
+    userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    details ? JSON.stringify(details) : null
+  );
+}
+
+/**
+ * Shape a security_events row for API responses
+ */
+function formatEvent(e) {
+  return {
+    id: e.id,
+    event: e.event_type,
+    ip: e.ip,
+    browser_id: e.browser_id,
+    user_agent: e.user_agent,
+    details: e.details ? JSON.parse(e.details) : null,
+    created_at: e.created_at
+  };
+}
+
+/**
+ * List a player's security events, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {object} [options]
+ * @param {string} [options.event] - Only this event code
+ * @param {number} [options.beforeId] - Only events older than this ID (paging)
+ * @param {number} [options.limit=50] - Maximum number of events
+ * @returns {Array<object>}
+ */
+function listSecurityEvents(db, playerId, options = {}) {
+  const { event = null, beforeId = null, limit = 50 } = options;
+
+  const events = db.prepare(`
+    SELECT id, event_type, ip, browser_id, user_agent, details, created_at
+    FROM security_events
+    WHERE player_id = ?
+      AND (? IS NULL OR event_type = ?)
+      AND (? IS NULL OR id < ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(playerId, event, event, beforeId, beforeId, limit);
+
+  return events.map(formatEvent);
+}
+
+/**
+ * Search security events across all players, newest first (admin)
+ * @param {Database} db - SQLite database instance
+ * @param {object} [filters]
+ * @param {number} [filters.playerId] - Only events of this player
+ * @param {string} [filters.event] - Only this event code
+ * @param {string} [filters.ip] - Only events from this IP
+ * @param {string} [filters.browserId] - Only events from this browser ID
+ * @param {string} [filters.since] - Only events at or after this SQLite datetime
+ * @param {string} [filters.until] - Only events before this SQLite datetime
+ * @param {number} [filters.beforeId] - Only events older than this ID (paging)
+ * @param {number} [filters.limit=50] - Maximum number of events
+ * @returns {Array<object>}
+ */
+function searchSecurityEvents(db, filters = {}) {
+  const { playerId, event, ip, browserId, since, until, beforeId, limit = 50 } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (playerId) {
+    conditions.push('e.player_id = ?');
+    params.push(playerId);
+  }
+  if (event) {
+    conditions.push('e.event_type = ?');
+    params.push(event);
+  }
+  if (ip) {
+    conditions.push('e.ip = ?');
+    params.push(ip);
+  }
+  if (browserId) {
+    conditions.push('e.browser_id = ?');
+    params.push(browserId);
+  }
+  if (since) {
+    conditions.push('e.created_at >= datetime(?)');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('e.created_at < datetime(?)');
+    params.push(until);
+  }
+  if (beforeId) {
+    conditions.push('e.id < ?');
+    params.push(beforeId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const events = db.prepare(`
+    SELECT e.id, e.event_type, e.ip, e.browser_id, e.user_agent, e.details, e.created_at,
+           e.player_id, p.handle
+    FROM security_events e
+    LEFT JOIN players p ON e.player_id = p.id
+    ${where}
+    ORDER BY e.id DESC
+    LIMIT ?
+  `).all(...params, limit);
+
+  return events.map(e => ({
+    ...formatEvent(e),
+    player: e.player_id ? { id: e.player_id, handle: e.handle } : null
+  }));
+}
+
+module.exports = {
+  logSecurityEvent,
+  listSecurityEvents,
+  searchSecurityEvents
+};
@@ -0,0 +1,293 @@
+/**
+ * Session Token Management
+ * Creates, looks up, lists and revokes player sessions (one per device)
+ *
+ * Only keyed hashes of tokens are stored. findSession() takes the plaintext
+ * token from the client; everything else works with the stored hash.
+ */
+
+const crypto = require('crypto');
+const { hashSecret } = require('./secret_hash');
+
+// Sliding expiry: every authenticated use pushes expiry out to SESSION_TTL_DAYS
+// from now, but never past SESSION_MAX_DAYS after the session was created.
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const SESSION_MAX_DAYS = parseInt(process.env.SESSION_MAX_DAYS) || 90;
+
+// Guests slide on a shorter window (a guest idle this long is deleted anyway)
+const GUEST_SESSION_TTL_DAYS = parseInt(process.env.GUEST_SESSION_TTL_DAYS) || 7;
+
+// Parameters bound to ttlModifier(): the guest and the standard window
+const TTL_PARAMS = [`+${GUEST_SESSION_TTL_DAYS} days`, `+${SESSION_TTL_DAYS} days`];
+
+/**
+ * SQL for the sliding window of a session's player (a datetime() modifier)
+ * @param {string} playerIdSql - SQL expression for the player ID
+ * @returns {string} Expression binding TTL_PARAMS
+ */
+function ttlModifier(playerIdSql) {
+  return `CASE WHEN (SELECT is_guest FROM players WHERE id = ${playerIdSql}) THEN ? ELSE ? END`;
+}
+
+// How long a rotated-out token keeps working, so in-flight requests don't fail
+const ROTATION_GRACE_SECONDS = parseInt(process.env.SESSION_ROTATION_GRACE_SECONDS) || 60;
+
+/**
+ * Generate a new random session token
+ * @returns {string} 64-character hex token
+ */
+function generateSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Create a session for a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string|null} browserId - Client browser identifier
+ * @returns {string} The new session token
+ */
+function createSession(db, playerId, browserId) {
+  const token = generateSessionToken();
+
+  insertSession(db, playerId, hashSecret(token), browserId);
+  return token;
+}
+
+/**
+ * Insert a session row with a fresh expiry
+ * @param {string|null} [createdAt] - Keep this creation time (rotation), so
+ *   SESSION_MAX_DAYS still counts from when the session was first created
+ * @returns {number} The new session ID
+ */
+function insertSession(db, playerId, tokenHash, browserId, createdAt = null) {
+  const result = db.prepare(`
+    INSERT INTO sessions (player_id, token, browser_id, created_at, expires_at, last_used_at)
+    VALUES (?, ?, ?, COALESCE(?, datetime('now')),
+            MIN(datetime('now', ${ttlModifier('?')}), datetime(COALESCE(?, 'now'), ?)), datetime('now'))
+  `).run(playerId, tokenHash, browserId || null, createdAt,
+    playerId, ...TTL_PARAMS, createdAt, `+${SESSION_MAX_DAYS} days`);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Look up a valid (unexpired) session by token
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Plaintext session token from the client
+ * @returns {object|null} { id, player_id, token, browser_id, handle } or null if invalid;
+ *   `token` is the stored hash, used to identify the session from here on
+ */
+function findSession(db, token) {
+  if (!token) return null;
+
+  const session = db.prepare(`
+    SELECT s.id, s.player_id, s.token, s.browser_id, p.handle
+    FROM sessions s
+    JOIN players p ON s.player_id = p.id
+    WHERE s.token = ? AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))
+  `).get(hashSecret(token));
+
+  return session || null;
+}
+
+/**
+ * Record activity on a session (and the player's last_seen) and slide its expiry forward
+ * Rotated-out sessions are not extended past their grace window.
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Stored session token hash
+ */
+function touchSession(db, token) {
+  db.prepare(`
+    UPDATE sessions SET
+      last_used_at = datetime('now'),
+      expires_at = CASE
+        WHEN replaced_by IS NOT NULL THEN expires_at
+        ELSE MIN(datetime('now', ${ttlModifier('sessions.player_id')}), datetime(created_at, ?))
+      END
+    WHERE token = ?
+  `).run(...TTL_PARAMS, `+${SESSION_MAX_DAYS} days`, token);
+
+  // Guest cleanup and the admin search go by last_seen
+  db.prepare(`
+    UPDATE players SET last_seen = datetime('now')
+    WHERE id = (SELECT player_id FROM sessions WHERE token = ?)
+  `).run(token);
+}
+
+/**
+ * Issue a new token for a session and retire the old one
+ * The old token stays valid for a short grace window, then expires.
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Stored hash of the current session token
+ * @returns {object|null} { token, token_hash, expires_at, previous_expires_at },
+ *   or null if the token is invalid or has already been rotated
+ */
+function rotateSession(db, token) {
+  return db.transaction(() => {
+    const session = db.prepare(`
+      SELECT id, player_id, browser_id, created_at FROM sessions
+      WHERE token = ? AND replaced_by IS NULL
+        AND (expires_at IS NULL OR expires_at > datetime('now'))
+    `).get(token);
+
+    if (!session) return null;
+
+    const newToken = generateSessionToken();
+    const newHash = hashSecret(newToken);
+    const newId = insertSession(db, session.player_id, newHash, session.browser_id, session.created_at);
+
+    db.prepare(`
+      UPDATE sessions SET
+        replaced_by = ?,
+        expires_at = MIN(COALESCE(expires_at, datetime('now', ?)), datetime('now', ?))
+      WHERE id = ?
+    `).run(newId, `+${ROTATION_GRACE_SECONDS} seconds`, `+${ROTATION_GRACE_SECONDS} seconds`, session.id);
+
+    const expiries = db.prepare(`
+      SELECT id, expires_at FROM sessions WHERE id IN (?, ?)
+    `).all(session.id, newId);
+
+    return {
+      token: newToken,
+      token_hash: newHash,
+      expires_at: expiries.find(row => row.id === newId).expires_at,
+      previous_expires_at: expiries.find(row => row.id === session.id).expires_at
+    };
+  })();
+}
+
+/**
+ * A session token and the tokens it was rotated into, oldest first
+ * A rotated-out token still in its grace window speaks for the same device
+ * as its successor, so both count as the current session.
+ * @param {Database} db - SQLite database instance
+ * @param {string|null} token - Stored session token hash
+ * @returns {Array<string>} Stored token hashes (empty if token is null or unknown)
+ */
+function sessionChain(db, token) {
+  if (!token) return [];
+
+  return db.prepare(`
+    WITH RECURSIVE chain(token, replaced_by) AS (
+      SELECT token, replaced_by FROM sessions WHERE token = ?
+      UNION ALL
+      SELECT s.token, s.replaced_by FROM sessions s JOIN chain c ON s.id = c.replaced_by
+    )
+    SELECT token FROM chain
+  `).all(token).map(row => row.token);
+}
+
+/**
+ * List all unexpired sessions for a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} currentToken - Stored token hash of the requesting session (flagged as current)
+ * @returns {Array<object>} Session summaries (tokens are never included)
+ */
+function listSessions(db, playerId, currentToken) {
+  const rows = db.prepare(`
+    SELECT s.id, s.token, s.browser_id, s.created_at, s.expires_at, s.last_used_at,
+           a.last_ping, a.connected_at
+    FROM sessions s
+    LEFT JOIN active_sessions a ON a.session_token = s.token
+    WHERE s.player_id = ? AND s.replaced_by IS NULL
+      AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))
+    ORDER BY s.created_at DESC
+  `).all(playerId);
+  const current = sessionChain(db, currentToken);
+
+  return rows.map(row => ({
+    id: row.id,
+    browser_id: row.browser_id,
+    created_at: row.created_at,
+    expires_at: row.expires_at,
+    last_activity: [row.last_used_at, row.last_ping]
+      .filter(Boolean)
+      .sort()
+      .pop() || row.created_at,
+    online: !!row.connected_at,
+    current: current.includes(row.token)
+  }));
+}
+
+/**
+ * Delete sessions and their active_sessions rows
+ * @param {Database} db - SQLite database instance
+ * @param {Array<string>} tokens - Stored session token hashes to delete
+ */
+function deleteSessions(db, tokens) {
+  const deleteSession = db.prepare('DELETE FROM sessions WHERE token = ?');
+  const deleteActive = db.prepare('DELETE FROM active_sessions WHERE session_token = ?');
+  // Tokens rotated out of a revoked session must not survive their grace window
+  const deletePredecessors = db.prepare(`
+    DELETE FROM sessions WHERE replaced_by IN (SELECT id FROM sessions WHERE token = ?)
+  `);
+
+  db.transaction(() => {
+    for (const token of tokens) {
+      deleteActive.run(token);
+      deletePredecessors.run(token);
+      deleteSession.run(token);
+    }
+  })();
+}
+
+/**
+ * Revoke a single session belonging to a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID (sessions of other players are never touched)
+ * @param {number} sessionId - ID of the session to revoke
+ * @returns {string|null} The revoked token hash, or null if not found
+ */
+function revokeSession(db, playerId, sessionId) {
+  const session = db.prepare(`
+    SELECT token FROM sessions WHERE id = ? AND player_id = ?
+  `).get(sessionId, playerId);
+
+  if (!session) return null;
+
+  deleteSessions(db, [session.token]);
+  return session.token;
+}
+
+/**
+ * Revoke every session of a player except one
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string|null} keepToken - Token hash to keep, along with any token
+ *   it was rotated into (null revokes all)
+ * @returns {Array<string>} The revoked token hashes
+ */
+function revokeOtherSessions(db, playerId, keepToken) {
+  const keep = sessionChain(db, keepToken);
+  const tokens = db.prepare(`
+    SELECT token FROM sessions WHERE player_id = ?
+  `).all(playerId)
+    .map(row => row.token)
+    .filter(token => !keep.includes(token));
+
+  deleteSessions(db, tokens);
+  return tokens;
+}
+
+/**
+ * Revoke a session by its token (logout)
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Stored session token hash
+ */
+function revokeToken(db, token) {
+  deleteSessions(db, [token]);
+}
+
+module.exports = {
+  generateSessionToken,
+  createSession,
+  findSession,
+  touchSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeToken
+};
@@ -0,0 +1,174 @@
+/**
+ * TOTP (RFC 6238) - time-based one-time passwords
+ * HMAC-SHA1, 30 second steps, 6 digits: what every authenticator app uses.
+ *
+ * The clock is injectable for tests: call setClock(() => fixedMs), or start
+ * the server with TOTP_FIXED_TIME (ms since epoch or an ISO date) outside
+ * production.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+let clock = () => Date.now();
+
+if (process.env.TOTP_FIXED_TIME && process.env.NODE_ENV !== 'production') {
+  const raw = process.env.TOTP_FIXED_TIME;
+  const fixed = /^\d+$/.test(raw) ? parseInt(raw, 10) : Date.parse(raw);
+  if (!Number.isNaN(fixed)) {
+    console.log(`[TOTP] Using fixed clock: ${new Date(fixed).toISOString()}`);
+    clock = () => fixed;
+  }
+}
+
+/**
+ * Replace the clock used for code generation and verification
+ * @param {Function|null} fn - Returns the current time in ms; null restores Date.now
+ */
+function setClock(fn) {
+  clock = fn || (() => Date.now());
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case, spaces and padding ignored)
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random shared secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Current time step
+ * @returns {number}
+ */
+function currentStep() {
+  return Math.floor(clock() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the player
+ * @returns {number|null} The matching time step, or null if invalid
+ */
+function verifyCode(secret, code) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const step = currentStep();
+  for (let delta = -WINDOW; delta <= WINDOW; delta++) {
+    const candidate = generateCode(secret, step + delta);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) {
+      return step + delta;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (player handle)
+ * @param {string} issuer - Service name
+ * @returns {string}
+ */
+function buildOtpAuthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  setClock,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode,
+  STEP_SECONDS
+};
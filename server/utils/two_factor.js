@@ -0,0 +1,214 @@
+/**
+ * Two-Factor Authentication
+ * Optional TOTP second factor with single-use backup codes. Once enabled,
+ * every way of getting a session on a new device (recovery code, email
+ * login code) also needs a one-time code.
+ *
+ * The TOTP secret is stored encrypted (sealSecret), backup codes as keyed
+ * hashes. A TOTP code is accepted once: the last used time step is kept.
+ */
+
+const crypto = require('crypto');
+const { hashSecret, sealSecret, openSecret } = require('./secret_hash');
+const totp = require('./totp');
+
+const ISSUER = 'HackTerm80s';
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Normalize a backup code as typed (case, spaces, dashes)
+ */
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Generate one backup code (XXXX-XXXX)
+ */
+function generateBackupCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += BACKUP_CODE_CHARS[crypto.randomInt(BACKUP_CODE_CHARS.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * Two-factor state of a player
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {object} { enabled, pending, enabled_at, backup_codes_remaining }
+ */
+function getTwoFactorStatus(db, playerId) {
+  const row = db.prepare('SELECT enabled_at FROM two_factor WHERE player_id = ?').get(playerId);
+  const remaining = db.prepare(`
+    SELECT COUNT(*) as count FROM two_factor_backup_codes
+    WHERE player_id = ? AND used_at IS NULL
+  `).get(playerId).count;
+
+  return {
+    enabled: !!(row && row.enabled_at),
+    pending: !!(row && !row.enabled_at),
+    enabled_at: row ? row.enabled_at : null,
+    backup_codes_remaining: row && row.enabled_at ? remaining : 0
+  };
+}
+
+/**
+ * Check whether a player has two-factor turned on
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {boolean}
+ */
+function isTwoFactorEnabled(db, playerId) {
+  const row = db.prepare(`
+    SELECT 1 FROM two_factor WHERE player_id = ? AND enabled_at IS NOT NULL
+  `).get(playerId);
+  return !!row;
+}
+
+/**
+ * Start enrollment: store a new (not yet active) secret
+ * Replaces any earlier unconfirmed secret.
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} handle - Player handle (label in the authenticator app)
+ * @returns {object} { secret, otpauth_uri }
+ */
+function beginEnrollment(db, playerId, handle) {
+  const secret = totp.generateSecret();
+
+  db.prepare(`
+    INSERT INTO two_factor (player_id, secret, enabled_at, last_used_step)
+    VALUES (?, ?, NULL, NULL)
+    ON CONFLICT(player_id) DO UPDATE SET
+      secret = excluded.secret,
+      enabled_at = NULL,
+      last_used_step = NULL,
+      created_at = datetime('now')
+  `).run(playerId, sealSecret(secret));
+
+  return {
+    secret,
+    otpauth_uri: totp.buildOtpAuthUri(secret, handle, ISSUER)
+  };
+}
+
+/**
+ * Replace a player's backup codes
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @returns {Array<string>} The new plaintext codes (shown once)
+ */
+function regenerateBackupCodes(db, playerId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM two_factor_backup_codes WHERE player_id = ?').run(playerId);
+    const insert = db.prepare(`
+      INSERT INTO two_factor_backup_codes (player_id, code_hash) VALUES (?, ?)
+    `);
+    for (const code of codes) {
+      insert.run(playerId, hashSecret(normalizeBackupCode(code)));
+    }
+  })();
+
+  return codes;
+}
+
+/**
+ * Check a TOTP code against the stored secret and burn its time step
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} code - Six-digit code
+ * @param {boolean} requireEnabled - Only match an active (not pending) secret
+ * @returns {boolean}
+ */
+function useTotpCode(db, playerId, code, requireEnabled) {
+  const row = db.prepare(`
+    SELECT secret, enabled_at, last_used_step FROM two_factor WHERE player_id = ?
+  `).get(playerId);
+  if (!row || (requireEnabled && !row.enabled_at)) return false;
+
+  const secret = openSecret(row.secret);
+  if (!secret) return false;
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return false;
+
+  // Each code works once
+  if (row.last_used_step !== null && step <= row.last_used_step) return false;
+
+  db.prepare('UPDATE two_factor SET last_used_step = ? WHERE player_id = ?').run(step, playerId);
+  return true;
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} code - Six-digit code
+ * @returns {Array<string>|null} Backup codes on success, null if the code is wrong
+ */
+function confirmEnrollment(db, playerId, code) {
+  return db.transaction(() => {
+    if (!useTotpCode(db, playerId, code, false)) return null;
+
+    db.prepare(`
+      UPDATE two_factor SET enabled_at = datetime('now') WHERE player_id = ?
+    `).run(playerId);
+
+    return regenerateBackupCodes(db, playerId);
+  })();
+}
+
+/**
+ * Check a second factor: a TOTP code or an unused backup code
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ * @param {string} code - Code entered by the player
+ * @returns {string|null} 'totp' or 'backup_code' on success, null otherwise
+ */
+function verifySecondFactor(db, playerId, code) {
+  if (!code) return null;
+
+  return db.transaction(() => {
+    if (useTotpCode(db, playerId, code, true)) return 'totp';
+
+    const backup = db.prepare(`
+      SELECT id FROM two_factor_backup_codes
+      WHERE player_id = ? AND code_hash = ? AND used_at IS NULL
+    `).get(playerId, hashSecret(normalizeBackupCode(code)));
+
+    if (!backup) return null;
+
+    db.prepare(`
+      UPDATE two_factor_backup_codes SET used_at = datetime('now') WHERE id = ?
+    `).run(backup.id);
+    return 'backup_code';
+  })();
+}
+
+/**
+ * Turn two-factor off and drop the secret and backup codes
+ * @param {Database} db - SQLite database instance
+ * @param {number} playerId - Player ID
+ */
+function disableTwoFactor(db, playerId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM two_factor WHERE player_id = ?').run(playerId);
+    db.prepare('DELETE FROM two_factor_backup_codes WHERE player_id = ?').run(playerId);
+  })();
+}
+
+module.exports = {
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  BACKUP_CODE_COUNT
+};
@@ -0,0 +1,346 @@
+/**
+ * World Directory
+ * What answers on the numbers no player owns. The world is generated from
+ * the current season's seed, one exchange (area code + two-digit prefix,
+ * the 100 numbers of a war dialer range) at a time:
+ *
+ * - each area code gets a town name, each exchange a character
+ *   (residential, business, campus or telco) that decides its mix;
+ * - NPC systems (universities, banks, telcos, BBSes...) get a name and a
+ *   system template from game/scripts/system_templates.gd;
+ * - the remaining numbers are voice lines, lines that are always busy,
+ *   fax machines and dead numbers that ring out.
+ *
+ * Generation is a pure function of the seed, so the same number gives the
+ * same answer for every player and across restarts, and nothing but the
+ * seed is stored. A new season (scripts/regenerate-world.js) stores a new
+ * seed and with it a whole new world.
+ */
+
+const crypto = require('crypto');
+
+// Seed of the first season (later seasons get theirs from regenerateWorld)
+const FIRST_SEASON_SEED = process.env.WORLD_SEED || 'hackterm80s-1987';
+
+// Phone network result for each kind of number
+const KIND_RESULTS = {
+  host: 'HOST',
+  bbs: 'BBS',
+  fax: 'FAX',
+  voice: 'VOICE',
+  busy: 'BUSY',
+  dead: 'NO_ANSWER'
+};
+
+// What an exchange looks like: [min, max] numbers of each kind (the rest
+// are dead) and the mix of NPC systems
+const EXCHANGE_PROFILES = {
+  residential: {
+    weight: 45,
+    systems: [1, 3],
+    fax: [0, 2],
+    busy: [10, 16],
+    voice: [35, 45],
+    categories: { bbs: 5, school: 1, corporate: 1, unknown: 3 }
+  },
+  business: {
+    weight: 30,
+    systems: [4, 8],
+    fax: [4, 8],
+    busy: [12, 18],
+    voice: [25, 35],
+    categories: { bank: 4, corporate: 5, hospital: 1, utility: 3, bbs: 1, unknown: 3 }
+  },
+  campus: {
+    weight: 15,
+    systems: [6, 12],
+    fax: [2, 5],
+    busy: [10, 15],
+    voice: [20, 30],
+    categories: { university: 6, school: 2, bbs: 2, unknown: 2 }
+  },
+  telco: {
+    weight: 10,
+    systems: [5, 10],
+    fax: [1, 3],
+    busy: [15, 20],
+    voice: [5, 10],
+    categories: { telco: 6, utility: 2, unknown: 2 }
+  }
+};
+
+const PLACES = [
+  'JEFFERSON', 'LINCOLN', 'RIVERSIDE', 'FAIRVIEW', 'OAKDALE', 'MILLBROOK',
+  'CEDAR FALLS', 'PORT HAVEN', 'GRANITE CITY', 'LAKEWOOD', 'HILLCREST',
+  'BAYSIDE', 'NORTHFIELD', 'WESTGATE', 'SPRINGDALE', 'CLEARWATER'
+];
+const SURNAMES = [
+  'HARRISON', 'MERCER', 'PRESCOTT', 'WHITFIELD', 'CALDWELL', 'BRADLEY',
+  'KENDALL', 'MORGAN', 'SUTTON', 'GARRETT', 'HOLLOWAY', 'FLETCHER'
+];
+const BBS_WORDS = [
+  ['PHANTOM', 'DARK', 'ELITE', 'SILICON', 'NEON', 'CYBER', 'LOST', 'BLACK'],
+  ['ZONE', 'CASTLE', 'DOMAIN', 'LAIR', 'KEEP', 'TOWER', 'REALM', 'GRID']
+];
+
+// NPC system categories: kind of number, templates that can answer, names
+const CATEGORIES = {
+  university: {
+    kind: 'host',
+    systems: ['unix_university', 'vms_research', 'rsts_college'],
+    names: [
+      r => `${r.place} STATE UNIVERSITY`,
+      r => `UNIVERSITY OF ${r.place}`,
+      r => `${r.place} COMMUNITY COLLEGE`,
+      r => `${r.surname} INSTITUTE OF TECHNOLOGY`
+    ]
+  },
+  school: {
+    kind: 'host',
+    systems: ['vms_school'],
+    names: [r => `${r.place} SCHOOL DISTRICT`, r => `${r.place} HIGH SCHOOL`]
+  },
+  bank: {
+    kind: 'host',
+    systems: ['ibm_tso', 'ibm_vm', 'util_atm'],
+    names: [
+      r => `FIRST NATIONAL BANK OF ${r.place}`,
+      r => `${r.surname} SAVINGS & LOAN`,
+      r => `${r.place} CREDIT UNION`,
+      r => `${r.surname} TRUST CO.`
+    ]
+  },
+  telco: {
+    kind: 'host',
+    systems: ['unix_isp', 'ibm_vm', 'primos_eng'],
+    names: [
+      r => `${r.place} BELL CENTRAL OFFICE`,
+      r => `${r.place} SWITCHING CENTER`,
+      r => `BELL TEST BOARD ${r.areaCode}`
+    ]
+  },
+  hospital: {
+    kind: 'host',
+    systems: ['vms_hospital'],
+    names: [r => `${r.place} GENERAL HOSPITAL`, r => `${r.surname} MEMORIAL HOSPITAL`]
+  },
+  corporate: {
+    kind: 'host',
+    systems: ['unix_corporate', 'rsts_business', 'hp3000_mfg', 'primos_eng'],
+    names: [
+      r => `${r.surname} INDUSTRIES`,
+      r => `${r.place} MANUFACTURING`,
+      r => `${r.surname} DATA SYSTEMS`
+    ]
+  },
+  utility: {
+    kind: 'host',
+    systems: ['util_hvac', 'util_atm'],
+    names: [r => `${r.place} WATER & POWER`, r => `${r.surname} BUILDING CONTROLS`]
+  },
+  bbs: {
+    kind: 'bbs',
+    systems: ['bbs_hacker', 'bbs_local'],
+    names: [r => `THE ${r.pick(BBS_WORDS[0])} ${r.pick(BBS_WORDS[1])} BBS`]
+  },
+  // Carriers that answer with line noise
+  unknown: {
+    kind: 'host',
+    systems: ['dead_1', 'dead_2', 'dead_3', 'dead_4', 'dead_5'],
+    names: [() => null]
+  }
+};
+
+// Generated exchanges, keyed by seed and exchange
+const exchangeCache = new Map();
+const EXCHANGE_CACHE_SIZE = 500;
+
+/**
+ * Deterministic random numbers for one label
+ * @param {string} seed - World seed
+ * @param {string} label - What is being generated (e.g. '555-01')
+ * @returns {Function} Returns the next number in [0, 1) on each call
+ */
+function createRng(seed, label) {
+  let block = 0;
+  let values = [];
+
+  return () => {
+    if (values.length === 0) {
+      const digest = crypto.createHmac('sha256', seed).update(`${label}:${block++}`).digest();
+      for (let offset = 0; offset < digest.length; offset += 4) {
+        values.push(digest.readUInt32BE(offset) / 2 ** 32);
+      }
+    }
+    return values.shift();
+  };
+}
+
+/**
+ * Pick a key of a weight table
+ * @param {object} table - key -> weight, or key -> { weight }
+ * @param {number} roll - In [0, 1)
+ * @returns {string}
+ */
+function pickWeighted(table, roll) {
+  const weightOf = value => (typeof value === 'number' ? value : value.weight);
+  const total = Object.values(table).reduce((sum, value) => sum + weightOf(value), 0);
+
+  let target = roll * total;
+  for (const [key, value] of Object.entries(table)) {
+    target -= weightOf(value);
+    if (target < 0) return key;
+  }
+  return Object.keys(table)[0];
+}
+
+/**
+ * Town name of an area code
+ */
+function areaPlace(seed, areaCode) {
+  const rng = createRng(seed, areaCode);
+  return PLACES[Math.floor(rng() * PLACES.length)];
+}
+
+/**
+ * Generate the 100 numbers of an exchange
+ * @param {string} seed - World seed
+ * @param {string} areaCode - Three digits
+ * @param {string} exchange - Two digits (the war dialer's prefix)
+ * @returns {object} { place, profile, entries } - entries ordered by suffix
+ */
+function generateExchange(seed, areaCode, exchange) {
+  const key = `${seed}|${areaCode}-${exchange}`;
+  if (exchangeCache.has(key)) return exchangeCache.get(key);
+
+  const rng = createRng(seed, `${areaCode}-${exchange}`);
+  const between = ([min, max]) => min + Math.floor(rng() * (max - min + 1));
+  const pick = list => list[Math.floor(rng() * list.length)];
+
+  const place = areaPlace(seed, areaCode);
+  const profileName = pickWeighted(EXCHANGE_PROFILES, rng());
+  const profile = EXCHANGE_PROFILES[profileName];
+
+  // Shuffle the suffixes, then deal them out kind by kind
+  const suffixes = Array.from({ length: 100 }, (_, i) => i);
+  for (let i = suffixes.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [suffixes[i], suffixes[j]] = [suffixes[j], suffixes[i]];
+  }
+
+  const entries = [];
+  const deal = (count, build) => {
+    for (let i = 0; i < count && suffixes.length > 0; i++) {
+      const suffix = suffixes.pop();
+      entries.push({
+        number: `${areaCode}-${exchange}${String(suffix).padStart(2, '0')}`,
+        suffix,
+        ...build()
+      });
+    }
+  };
+
+  deal(between(profile.systems), () => {
+    const categoryName = pickWeighted(profile.categories, rng());
+    const category = CATEGORIES[categoryName];
+    const naming = { place, areaCode, surname: pick(SURNAMES), pick };
+    return {
+      kind: category.kind,
+      category: categoryName,
+      name: pick(category.names)(naming),
+      system_id: pick(category.systems)
+    };
+  });
+  deal(between(profile.fax), () => ({ kind: 'fax' }));
+  deal(between(profile.busy), () => ({ kind: 'busy' }));
+  deal(between(profile.voice), () => ({ kind: 'voice' }));
+  deal(suffixes.length, () => ({ kind: 'dead' }));
+
+  entries.sort((a, b) => a.suffix - b.suffix);
+
+  const result = { place, profile: profileName, entries };
+  if (exchangeCache.size >= EXCHANGE_CACHE_SIZE) exchangeCache.clear();
+  exchangeCache.set(key, result);
+  return result;
+}
+
+/**
+ * Create the first season if there is none
+ * @param {Database} db - SQLite database instance
+ */
+function initWorld(db) {
+  const existing = db.prepare('SELECT season FROM world_seasons LIMIT 1').get();
+  if (!existing) {
+    db.prepare(`
+      INSERT INTO world_seasons (seed, note) VALUES (?, 'first season')
+    `).run(FIRST_SEASON_SEED);
+  }
+}
+
+/**
+ * The current season
+ * @param {Database} db - SQLite database instance
+ * @returns {object} { season, seed, note, created_at }
+ */
+function getCurrentSeason(db) {
+  return db.prepare(`
+    SELECT season, seed, note, created_at FROM world_seasons ORDER BY season DESC LIMIT 1
+  `).get();
+}
+
+/**
+ * Start a new season with a new world
+ * @param {Database} db - SQLite database instance
+ * @param {object} [options]
+ * @param {string} [options.seed] - Seed to use (random if omitted)
+ * @param {string} [options.note] - Why / what season this is
+ * @returns {object} The new season { season, note, created_at }
+ */
+function regenerateWorld(db, options = {}) {
+  const seed = options.seed || crypto.randomBytes(16).toString('hex');
+
+  const result = db.prepare(`
+    INSERT INTO world_seasons (seed, note) VALUES (?, ?)
+  `).run(seed, options.note || null);
+
+  const season = db.prepare(`
+    SELECT season, note, created_at FROM world_seasons WHERE season = ?
+  `).get(result.lastInsertRowid);
+  return season;
+}
+
+/**
+ * Directory of one exchange in the current season
+ * @param {Database} db - SQLite database instance
+ * @param {string} areaCode - Three digits
+ * @param {string} exchange - Two digits
+ * @returns {object} { season, area_code, exchange, place, profile, entries }
+ */
+function getExchangeDirectory(db, areaCode, exchange) {
+  const { season, seed } = getCurrentSeason(db);
+  const { place, profile, entries } = generateExchange(seed, areaCode, exchange);
+
+  return { season, area_code: areaCode, exchange, place, profile, entries };
+}
+
+/**
+ * What the world has on a number (ignores players)
+ * @param {Database} db - SQLite database instance
+ * @param {string} number - Normalized phone number (e.g. 555-0142)
+ * @returns {object} Directory entry { number, suffix, kind, category?, name?, system_id? }
+ */
+function lookupWorldNumber(db, number) {
+  const { seed } = getCurrentSeason(db);
+  const { entries } = generateExchange(seed, number.slice(0, 3), number.slice(4, 6));
+  return entries[parseInt(number.slice(6), 10)];
+}
+
+module.exports = {
+  initWorld,
+  getCurrentSeason,
+  regenerateWorld,
+  getExchangeDirectory,
+  lookupWorldNumber,
+  KIND_RESULTS,
+  EXCHANGE_PROFILES: Object.keys(EXCHANGE_PROFILES)
+};
@@ -5,6 +5,22 @@
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { authenticateToken } = require('./utils/auth');
+const { getPlayerRole, roleAtLeast } = require('./utils/roles');
+const { saveMasterConfig } = require('./utils/scene_configs');
+const { getRestriction, describeRestriction } = require('./utils/moderation');
+const { enforceQuota } = require('./utils/quotas');
+const { consumeWsMessage } = require('./utils/rate_limit');
+const { logSecurityEvent } = require('./utils/security_log');
+const { normalizePhoneNumber, dialNumber } = require('./utils/phone_network');
+const { createScanJob, listScanJobs, updateScanJob } = require('./utils/scan_jobs');
+const {
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeToken
+} = require('./utils/sessions');
 
 // Store active connections by player_id
 const playerConnections = new Map(); // player_id -> Set of { ws, sessionToken }
@@ -26,6 +42,10 @@ function initWebSocket(server, db) {
   wss.on('connection', (ws, req) => {
     console.log('[WS] New connection from', req.socket.remoteAddress);
 
+    // Client address and user agent, for audit and security logs
+    ws.clientIp = req.socket.remoteAddress;
+    ws.userAgent = req.headers['user-agent'] || null;
+
     let authenticated = false;
     let playerId = null;
     let sessionToken = null;
@@ -99,6 +119,12 @@ function initWebSocket(server, db) {
 function handleMessage(ws, message, context) {
   const { db, authenticated, playerId, sessionToken, playerHandle, setAuth } = context;
 
+  const limit = consumeWsMessage(message.type, ws.clientIp, playerId);
+  if (!limit.allowed) {
+    sendError(ws, 'RATE_LIMITED', `Too many ${message.type} messages. Slow down.`, { retry_after: limit.retry_after });
+    return;
+  }
+
   switch (message.type) {
     case 'auth':
       handleAuth(ws, message, db, setAuth);
@@ -172,6 +198,80 @@ function handleMessage(ws, message, context) {
       handleSceneLoad(ws, message, db, playerId);
       break;
 
+    case 'session_list':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleSessionList(ws, db, playerId, sessionToken);
+      break;
+
+    case 'session_revoke':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleSessionRevoke(ws, message, db, playerId, sessionToken, playerHandle);
+      break;
+
+    case 'session_revoke_others':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleSessionRevokeOthers(ws, db, playerId, sessionToken, playerHandle);
+      break;
+
+    case 'session_rotate':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleSessionRotate(ws, db, playerId, sessionToken, playerHandle, setAuth);
+      break;
+
+    case 'logout':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleLogout(ws, db, playerId, sessionToken, playerHandle);
+      break;
+
+    case 'dial':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleDial(ws, message, db);
+      break;
+
+    case 'start_scan':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleStartScan(ws, message, db, playerId, playerHandle);
+      break;
+
+    case 'pause_scan':
+    case 'resume_scan':
+    case 'cancel_scan':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleScanControl(ws, message, db, playerId, playerHandle);
+      break;
+
+    case 'scan_list':
+      if (!authenticated) {
+        sendError(ws, 'NOT_AUTHENTICATED', 'Must authenticate first');
+        return;
+      }
+      handleScanList(ws, db, playerId);
+      break;
+
     default:
       sendError(ws, 'UNKNOWN_TYPE', `Unknown message type: ${message.type}`);
   }
@@ -184,22 +284,31 @@ function handleAuth(ws, message, db, setAuth) {
   const { token } = message;
 
   if (!token) {
+    logSecurityEvent(db, null, 'WS_AUTH_FAILED', { ...clientContext(ws), details: { reason: 'missing_token' } });
     sendError(ws, 'MISSING_TOKEN', 'Session token required');
     return;
   }
 
-  const session = db.prepare(`
-    SELECT s.player_id, s.token, p.handle
-    FROM sessions s
-    JOIN players p ON s.player_id = p.id
-    WHERE s.token = ? AND (s.expires_at IS NULL OR s.expires_at > datetime('now'))
-  `).get(token);
-
+  const session = authenticateToken(db, token);
   if (!session) {
+    logSecurityEvent(db, null, 'WS_AUTH_FAILED', { ...clientContext(ws), details: { reason: 'invalid_token' } });
     sendError(ws, 'INVALID_TOKEN', 'Invalid or expired session token');
     return;
   }
 
+  ws.browserId = session.browser_id;
+
+  const restriction = getRestriction(db, session.player_id);
+  if (restriction) {
+    const { error, message } = describeRestriction(restriction);
+    logSecurityEvent(db, session.player_id, 'WS_AUTH_FAILED', {
+      ...clientContext(ws),
+      details: { reason: restriction.status }
+    });
+    sendError(ws, error, message);
+    return;
+  }
+
   // Set authentication state
   setAuth({
     authenticated: true,
@@ -227,6 +336,7 @@ function handleAuth(ws, message, db, setAuth) {
     type: 'auth_ok',
     player_id: session.player_id,
     handle: session.handle,
+    role: getPlayerRole(db, session.player_id),
     timestamp: Date.now()
   }));
 }
@@ -243,35 +353,39 @@ function handleFileChange(ws, message, db, playerId, sessionToken, playerHandle)
   }
 
   try {
-    // Save version before update
-    saveFileVersion(db, playerId, path);
-
     const hash = computeHash(content);
     const size = content ? content.length : 0;
 
-    db.prepare(`
-      INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, program, metadata, updated_at, updated_by_session)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
-      ON CONFLICT(player_id, path) DO UPDATE SET
-        file_type = excluded.file_type,
-        content = excluded.content,
-        content_hash = excluded.content_hash,
-        file_size = excluded.file_size,
-        program = excluded.program,
-        metadata = excluded.metadata,
-        updated_at = datetime('now'),
-        updated_by_session = excluded.updated_by_session
-    `).run(
-      playerId,
-      path,
-      file_type || 'file',
-      content || null,
-      hash,
-      size,
-      program || null,
-      metadata ? JSON.stringify(metadata) : null,
-      sessionToken
-    );
+    db.transaction(() => {
+      // Save version before update
+      saveFileVersion(db, playerId, path);
+
+      db.prepare(`
+        INSERT INTO player_files (player_id, path, file_type, content, content_hash, file_size, program, metadata, updated_at, updated_by_session)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
+        ON CONFLICT(player_id, path) DO UPDATE SET
+          file_type = excluded.file_type,
+          content = excluded.content,
+          content_hash = excluded.content_hash,
+          file_size = excluded.file_size,
+          program = excluded.program,
+          metadata = excluded.metadata,
+          updated_at = datetime('now'),
+          updated_by_session = excluded.updated_by_session
+      `).run(
+        playerId,
+        path,
+        file_type || 'file',
+        content || null,
+        hash,
+        size,
+        program || null,
+        metadata ? JSON.stringify(metadata) : null,
+        sessionToken
+      );
+
+      enforceQuota(db, playerId);
+    })();
 
     console.log(`[WS] ${playerHandle}: file_change ${path}`);
 
@@ -297,6 +411,10 @@ function handleFileChange(ws, message, db, playerId, sessionToken, playerHandle)
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      sendError(ws, 'QUOTA_EXCEEDED', error.message);
+      return;
+    }
     console.error('[WS] file_change error:', error.message);
     sendError(ws, 'FILE_CHANGE_FAILED', error.message);
   }
@@ -371,10 +489,14 @@ function handleMkdir(ws, message, db, playerId, sessionToken, playerHandle) {
       return;
     }
 
-    db.prepare(`
-      INSERT INTO player_files (player_id, path, file_type, updated_at, updated_by_session)
-      VALUES (?, ?, 'dir', datetime('now'), ?)
-    `).run(playerId, path, sessionToken);
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO player_files (player_id, path, file_type, updated_at, updated_by_session)
+        VALUES (?, ?, 'dir', datetime('now'), ?)
+      `).run(playerId, path, sessionToken);
+
+      enforceQuota(db, playerId);
+    })();
 
     console.log(`[WS] ${playerHandle}: mkdir ${path}`);
 
@@ -396,6 +518,10 @@ function handleMkdir(ws, message, db, playerId, sessionToken, playerHandle) {
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      sendError(ws, 'QUOTA_EXCEEDED', error.message);
+      return;
+    }
     console.error('[WS] mkdir error:', error.message);
     sendError(ws, 'MKDIR_FAILED', error.message);
   }
@@ -617,11 +743,10 @@ function handleSceneUpdate(ws, message, db, playerId, sessionToken, playerHandle
  * Handle scene save as default (admin only)
  */
 function handleSceneSaveDefault(ws, message, db, playerId, playerHandle) {
-  const { admin_key, config } = message;
-  const expectedKey = process.env.ADMIN_KEY || 'hackterm-admin-2024';
+  const { config } = message;
 
-  if (admin_key !== expectedKey) {
-    sendError(ws, 'FORBIDDEN', 'Invalid admin key');
+  if (!roleAtLeast(getPlayerRole(db, playerId), 'admin')) {
+    sendError(ws, 'FORBIDDEN', 'Requires admin role');
     return;
   }
 
@@ -631,16 +756,7 @@ function handleSceneSaveDefault(ws, message, db, playerId, playerHandle) {
   }
 
   try {
-    const configJson = JSON.stringify(config);
-
-    // Save to master config (player_id = NULL)
-    db.prepare(`
-      INSERT INTO scene_configs (player_id, config_name, config_data, updated_at)
-      VALUES (NULL, 'master', ?, datetime('now'))
-      ON CONFLICT(player_id, config_name) DO UPDATE SET
-        config_data = excluded.config_data,
-        updated_at = datetime('now')
-    `).run(configJson);
+    saveMasterConfig(db, playerId, config, ws.clientIp);
 
     console.log(`[WS] ${playerHandle}: saved master default config`);
 
@@ -692,6 +808,233 @@ function handleSceneLoad(ws, message, db, playerId) {
   }
 }
 
+// ============================================================================
+// Session Management Handlers
+// ============================================================================
+
+/**
+ * Handle session list request (all devices logged in to this account)
+ */
+function handleSessionList(ws, db, playerId, sessionToken) {
+  try {
+    ws.send(JSON.stringify({
+      type: 'session_list_response',
+      sessions: listSessions(db, playerId, sessionToken),
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.error('[WS] session_list error:', error.message);
+    sendError(ws, 'SESSION_LIST_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle revoking a single session by ID
+ */
+function handleSessionRevoke(ws, message, db, playerId, sessionToken, playerHandle) {
+  const sessionId = parseInt(message.session_id);
+
+  if (isNaN(sessionId)) {
+    sendError(ws, 'INVALID_SESSION', 'Session ID required');
+    return;
+  }
+
+  try {
+    const revoked = revokeSession(db, playerId, sessionId);
+    if (!revoked) {
+      sendError(ws, 'SESSION_NOT_FOUND', `Session not found: ${sessionId}`);
+      return;
+    }
+
+    logSecurityEvent(db, playerId, 'SESSION_REVOKED', { ...clientContext(ws), details: { session_id: sessionId } });
+    console.log(`[WS] ${playerHandle}: revoked session ${sessionId}`);
+
+    // Confirm before disconnecting, in case the sender revoked itself
+    ws.send(JSON.stringify({
+      type: 'session_revoke_ok',
+      session_id: sessionId,
+      timestamp: Date.now()
+    }));
+
+    disconnectSessions(playerId, [revoked], 'SESSION_REVOKED');
+  } catch (error) {
+    console.error('[WS] session_revoke error:', error.message);
+    sendError(ws, 'SESSION_REVOKE_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle revoking every session except the sender's
+ */
+function handleSessionRevokeOthers(ws, db, playerId, sessionToken, playerHandle) {
+  try {
+    const revoked = revokeOtherSessions(db, playerId, sessionToken);
+
+    logSecurityEvent(db, playerId, 'OTHER_SESSIONS_REVOKED', { ...clientContext(ws), details: { revoked: revoked.length } });
+    console.log(`[WS] ${playerHandle}: revoked ${revoked.length} other sessions`);
+
+    ws.send(JSON.stringify({
+      type: 'session_revoke_others_ok',
+      revoked: revoked.length,
+      timestamp: Date.now()
+    }));
+
+    disconnectSessions(playerId, revoked, 'SESSION_REVOKED');
+  } catch (error) {
+    console.error('[WS] session_revoke_others error:', error.message);
+    sendError(ws, 'SESSION_REVOKE_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle token rotation: issue a new token and move this socket onto it
+ */
+function handleSessionRotate(ws, db, playerId, sessionToken, playerHandle, setAuth) {
+  try {
+    const rotated = rotateSession(db, sessionToken);
+    if (!rotated) {
+      sendError(ws, 'ALREADY_ROTATED', 'Session token has already been rotated');
+      return;
+    }
+
+    setAuth({
+      authenticated: true,
+      playerId,
+      sessionToken: rotated.token_hash,
+      playerHandle
+    });
+    rebindConnection(playerId, ws, rotated.token_hash);
+
+    db.prepare(`
+      UPDATE active_sessions SET session_token = ? WHERE session_token = ?
+    `).run(rotated.token_hash, sessionToken);
+
+    console.log(`[WS] ${playerHandle}: rotated session token`);
+
+    ws.send(JSON.stringify({
+      type: 'session_rotate_ok',
+      session_token: rotated.token,
+      expires_at: rotated.expires_at,
+      previous_expires_at: rotated.previous_expires_at,
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.error('[WS] session_rotate error:', error.message);
+    sendError(ws, 'SESSION_ROTATE_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle logout of the sender's own session
+ */
+function handleLogout(ws, db, playerId, sessionToken, playerHandle) {
+  try {
+    revokeToken(db, sessionToken);
+    logSecurityEvent(db, playerId, 'LOGGED_OUT', clientContext(ws));
+
+    console.log(`[WS] ${playerHandle}: logged out`);
+
+    ws.send(JSON.stringify({
+      type: 'logout_ok',
+      timestamp: Date.now()
+    }));
+    ws.close(1000, 'LOGGED_OUT');
+  } catch (error) {
+    console.error('[WS] logout error:', error.message);
+    sendError(ws, 'LOGOUT_FAILED', error.message);
+  }
+}
+
+// ============================================================================
+// Phone Network Handlers
+// ============================================================================
+
+/**
+ * Handle dialing a number (what answers is decided by the phone network)
+ */
+function handleDial(ws, message, db) {
+  const number = normalizePhoneNumber(message.number);
+
+  if (!number) {
+    sendError(ws, 'INVALID_NUMBER', 'Phone number must be seven digits (e.g. 555-0142)');
+    return;
+  }
+
+  try {
+    ws.send(JSON.stringify({
+      type: 'dial_result',
+      ...dialNumber(db, number),
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.error('[WS] dial error:', error.message);
+    sendError(ws, 'DIAL_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle starting a server-side war dial scan
+ * Progress arrives as scan_started, number_result and scan_complete events.
+ */
+function handleStartScan(ws, message, db, playerId, playerHandle) {
+  try {
+    const job = createScanJob(db, playerId, message);
+    console.log(`[WS] ${playerHandle}: started scan ${job.id} (${job.area_code}-${job.prefix}-${job.start}..${job.end})`);
+  } catch (error) {
+    if (['INVALID_RANGE', 'SCAN_IN_PROGRESS', 'QUOTA_EXCEEDED'].includes(error.code)) {
+      sendError(ws, error.code, error.message, { request: 'start_scan' });
+      return;
+    }
+    console.error('[WS] start_scan error:', error.message);
+    sendError(ws, 'SCAN_FAILED', error.message, { request: 'start_scan' });
+  }
+}
+
+/**
+ * Handle pausing, resuming or cancelling a scan (answered with scan_status)
+ */
+function handleScanControl(ws, message, db, playerId, playerHandle) {
+  const jobId = parseInt(message.job_id);
+  const action = message.type.replace('_scan', '');
+
+  if (isNaN(jobId)) {
+    sendError(ws, 'INVALID_SCAN', 'Scan job ID required');
+    return;
+  }
+
+  try {
+    const job = updateScanJob(db, playerId, jobId, action);
+    if (!job) {
+      sendError(ws, 'SCAN_NOT_FOUND', `Scan not found: ${jobId}`);
+      return;
+    }
+    console.log(`[WS] ${playerHandle}: ${action} scan ${jobId}`);
+  } catch (error) {
+    if (['INVALID_STATE', 'SCAN_IN_PROGRESS'].includes(error.code)) {
+      sendError(ws, error.code, error.message);
+      return;
+    }
+    console.error(`[WS] ${message.type} error:`, error.message);
+    sendError(ws, 'SCAN_UPDATE_FAILED', error.message);
+  }
+}
+
+/**
+ * Handle listing the player's scans
+ */
+function handleScanList(ws, db, playerId) {
+  try {
+    ws.send(JSON.stringify({
+      type: 'scan_list_response',
+      jobs: listScanJobs(db, playerId),
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.error('[WS] scan_list error:', error.message);
+    sendError(ws, 'LIST_FAILED', error.message);
+  }
+}
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -724,6 +1067,21 @@ function removeConnection(playerId, ws) {
   }
 }
 
+/**
+ * Point an existing connection at a new session token (after rotation)
+ */
+function rebindConnection(playerId, ws, sessionToken) {
+  const connections = playerConnections.get(playerId);
+  if (!connections) return;
+
+  for (const conn of connections) {
+    if (conn.ws === ws) {
+      conn.sessionToken = sessionToken;
+      break;
+    }
+  }
+}
+
 /**
  * Broadcast message to all other sessions of a player
  */
@@ -740,15 +1098,78 @@ function broadcastToPlayer(playerId, excludeToken, message) {
   }
 }
 
+/**
+ * Close live sockets that are using any of the given session tokens
+ * @param {number} playerId - Player the sessions belong to
+ * @param {Array<string>} tokens - Revoked session tokens
+ * @param {string} reason - Reason code sent to the client before closing
+ * @returns {number} Number of sockets closed
+ */
+function disconnectSessions(playerId, tokens, reason) {
+  const connections = playerConnections.get(playerId);
+  if (!connections || tokens.length === 0) return 0;
+
+  const revoked = new Set(tokens);
+  let closed = 0;
+
+  for (const conn of [...connections]) {
+    if (!revoked.has(conn.sessionToken)) continue;
+
+    if (conn.ws.readyState === WebSocket.OPEN) {
+      conn.ws.send(JSON.stringify({
+        type: 'session_revoked',
+        reason,
+        timestamp: Date.now()
+      }));
+      conn.ws.close(4001, reason);
+    }
+    connections.delete(conn);
+    closed++;
+  }
+
+  if (connections.size === 0) {
+    playerConnections.delete(playerId);
+  }
+
+  return closed;
+}
+
+/**
+ * Close every WebSocket connection of a player (suspension, ban, force logout)
+ * @param {number} playerId - Player ID
+ * @param {string} reason - Reason code sent to the clients
+ * @returns {number} Number of connections closed
+ */
+function disconnectPlayer(playerId, reason) {
+  const connections = playerConnections.get(playerId);
+  if (!connections) return 0;
+
+  return disconnectSessions(playerId, [...connections].map(conn => conn.sessionToken), reason);
+}
+
+/**
+ * Where a socket connects from, for security events
+ * @param {WebSocket} ws - Client connection
+ * @returns {object} { ip, browserId, userAgent }
+ */
+function clientContext(ws) {
+  return {
+    ip: ws.clientIp,
+    browserId: ws.browserId || null,
+    userAgent: ws.userAgent
+  };
+}
+
 /**
  * Send error message
  */
-function sendError(ws, code, message) {
+function sendError(ws, code, message, extra = {}) {
   if (ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify({
       type: 'error',
       code,
       message,
+      ...extra,
       timestamp: Date.now()
     }));
   }
@@ -819,6 +1240,8 @@ function getTotalConnections() {
 module.exports = {
   initWebSocket,
   broadcastToPlayer,
+  disconnectSessions,
+  disconnectPlayer,
   getPlayerConnectionCount,
   getTotalConnections
 };